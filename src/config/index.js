@@ -26,6 +26,16 @@ export const config = {
     redirectUri: process.env.GA4_REDIRECT_URI,
   },
 
+  // Signs the GA4 OAuth state parameter (oauth-state.service.js)
+  oauthState: {
+    secret: process.env.OAUTH_STATE_SECRET,
+  },
+
+  // OAuth token encryption at rest - "1:<base64 key>,2:<base64 key>", newest version encrypts
+  tokenEncryption: {
+    keys: process.env.TOKEN_ENCRYPTION_KEYS,
+  },
+
   // Email
   email: {
     host: process.env.SMTP_HOST,
@@ -57,6 +67,10 @@ export const config = {
       required: 3, // Must be anomalous 3+ days
     },
     minSampleSize: 100, // Need 100+ sessions/day
+    significanceLevel: 0.05, // Largest multiple-testing adjusted p-value that is reported
+    baselineMethod: "seasonal", // "seasonal" (mean/std-dev) or "robust" (median/MAD)
+    detectors: ["zscore", "forecast", "data-quality"], // Run in order - see services/detectors
+    holidayCountry: null, // e.g. "US" - public holidays kept out of baselines (src/data/holidays)
   },
 };
 
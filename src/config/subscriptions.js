@@ -77,9 +77,16 @@ function getLookbackDays(subscriptionTier) {
   return tier.limits.lookbackDays;
 }
 
-module.exports = {
+// Get report runs per day for tier (weekly-only tiers count as 1)
+function getReportsPerDay(subscriptionTier) {
+  const tier = SUBSCRIPTION_TIERS[subscriptionTier] || SUBSCRIPTION_TIERS.starter;
+  return tier.limits.reportsPerDay || 1;
+}
+
+export {
   SUBSCRIPTION_TIERS,
   canAddProperty,
   hasFeatureAccess,
-  getLookbackDays
+  getLookbackDays,
+  getReportsPerDay
 };
\ No newline at end of file
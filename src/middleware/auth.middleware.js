@@ -30,3 +30,23 @@ export async function authenticateUser(req, res, next) {
     res.status(500).json({ error: "Authentication failed" });
   }
 }
+
+// Admin-only routes - use after authenticateUser
+export async function requireAdmin(req, res, next) {
+  try {
+    const { data: profile, error } = await supabaseAdmin
+      .from("user_profiles")
+      .select("is_admin")
+      .eq("id", req.user.id)
+      .single();
+
+    if (error || !profile?.is_admin) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Admin middleware error:", error);
+    res.status(500).json({ error: "Authorization failed" });
+  }
+}
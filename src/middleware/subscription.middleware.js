@@ -129,14 +129,17 @@ export const checkPropertyLimit = async (req, res, next) => {
     const currentCount = connections?.length || 0;
     const limit = planLimit.properties;
 
-    // Check if trying to add a property that already exists (upsert scenario)
-    const propertyId = req.body.propertyId;
-    const alreadyConnected = connections?.some(
-      (conn) => conn.property_id === propertyId
+    // Properties being connected - one (propertyId) or several (propertyIds)
+    const requested = Array.isArray(req.body.propertyIds)
+      ? [...new Set(req.body.propertyIds.map(String))]
+      : [req.body.propertyId].filter(Boolean);
+    const newProperties = requested.filter(
+      (propertyId) =>
+        !connections?.some((conn) => conn.property_id === propertyId)
     );
 
-    // If property already exists, allow the upsert (just updating existing connection)
-    if (alreadyConnected) {
+    // If every property already exists, allow the upsert (just updating existing connections)
+    if (requested.length > 0 && newProperties.length === 0) {
       req.propertyLimit = {
         plan: planType,
         planName: planLimit.name,
@@ -147,13 +150,14 @@ export const checkPropertyLimit = async (req, res, next) => {
       return next();
     }
 
-    // Check if at or over limit for NEW properties
-    if (currentCount >= limit) {
+    // Check if the NEW properties would go over the limit
+    if (currentCount + Math.max(newProperties.length, 1) > limit) {
       return res.status(403).json({
         error: "Property limit reached",
         currentPlan: planType,
         limit: limit === Infinity ? "Unlimited" : limit,
         current: currentCount,
+        requested: newProperties.length,
         upgradeRequired: planType !== "business",
         message: `You've reached your ${planLimit.name} plan limit of ${
           limit === Infinity ? "unlimited" : limit
@@ -2,6 +2,7 @@
 import express from "express";
 import { authenticateUser } from "../middleware/auth.middleware.js";
 import { supabaseService, supabaseAdmin } from "../services/supabase.service.js";
+import { actionLibraryService } from "../services/action-library.service.js";
 const router = express.Router();
 
 // Get current user profile
@@ -15,6 +16,51 @@ router.get("/profile", authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Industry verticals with an action library
+ * GET /api/auth/industries
+ */
+router.get("/industries", authenticateUser, (req, res) => {
+  res.json({ industries: actionLibraryService.listIndustries() });
+});
+
+/**
+ * Set the industry used to pick recommended actions
+ * PUT /api/auth/profile/industry
+ * Body: { industry: "ecommerce" }   // null resets to general advice
+ */
+router.put("/profile/industry", authenticateUser, async (req, res) => {
+  try {
+    const { industry } = req.body || {};
+
+    if (industry !== null && !actionLibraryService.getLibrary(industry)) {
+      return res.status(400).json({
+        error: `industry must be null or one of: ${actionLibraryService
+          .listIndustries()
+          .map((i) => i.industry)
+          .join(", ")}`,
+      });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("user_profiles")
+      .update({ industry })
+      .eq("id", req.user.id)
+      .select("id, industry")
+      .single();
+
+    if (error) {
+      console.error("Update industry error:", error);
+      return res.status(500).json({ error: "Failed to update industry" });
+    }
+
+    res.json({ profile: data });
+  } catch (error) {
+    console.error("Update industry error:", error);
+    res.status(500).json({ error: "Failed to update industry" });
+  }
+});
+
 /**
  * Delete user account
  * POST /api/auth/delete-account
@@ -0,0 +1,250 @@
+// Calendar Routes - Built-in holidays and user annotations (campaigns, launches, migrations)
+import express from "express";
+import { authenticateUser } from "../middleware/auth.middleware.js";
+import { supabaseAdmin } from "../services/supabase.service.js";
+import {
+  calendarService,
+  EVENT_CATEGORIES,
+  BASELINE_EFFECTS,
+} from "../services/calendar.service.js";
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate and normalize an event body
+ * @param {boolean} partial - PUT allows any subset of fields
+ * @returns {object} { event } or { error }
+ */
+function parseEventBody(body, partial = false) {
+  const event = {};
+
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "title is required" };
+    }
+    event.title = body.title.trim().slice(0, 100);
+  }
+
+  if (body.startDate !== undefined || !partial) {
+    if (!DATE_PATTERN.test(body.startDate || "")) {
+      return { error: "startDate must be YYYY-MM-DD" };
+    }
+    event.start_date = body.startDate;
+  }
+
+  if (body.endDate !== undefined) {
+    if (body.endDate !== null && !DATE_PATTERN.test(body.endDate)) {
+      return { error: "endDate must be YYYY-MM-DD" };
+    }
+    event.end_date = body.endDate;
+  }
+
+  if (
+    event.start_date &&
+    event.end_date &&
+    event.end_date < event.start_date
+  ) {
+    return { error: "endDate must not be before startDate" };
+  }
+
+  if (body.category !== undefined || !partial) {
+    const category = body.category ?? "other";
+    if (!EVENT_CATEGORIES.includes(category)) {
+      return {
+        error: `category must be one of: ${EVENT_CATEGORIES.join(", ")}`,
+      };
+    }
+    event.category = category;
+  }
+
+  if (body.baselineEffect !== undefined || !partial) {
+    const effect = body.baselineEffect ?? "exclude";
+    if (!BASELINE_EFFECTS.includes(effect)) {
+      return {
+        error: `baselineEffect must be one of: ${BASELINE_EFFECTS.join(", ")}`,
+      };
+    }
+    event.baseline_effect = effect;
+  }
+
+  return { event };
+}
+
+/**
+ * ROUTE: Countries with built-in holidays, or one country's holidays
+ * GET /api/calendar/holidays
+ * GET /api/calendar/holidays?country=US&year=2026
+ */
+router.get("/holidays", authenticateUser, (req, res) => {
+  const { country, year } = req.query;
+
+  if (!country) {
+    return res.json({ countries: calendarService.listCountries() });
+  }
+
+  const set = calendarService.getHolidaySet(country);
+  if (!set) {
+    return res.status(404).json({ error: "No holiday set for that country" });
+  }
+
+  const holidays = year
+    ? set.holidays.filter((holiday) => holiday.date.startsWith(`${year}-`))
+    : set.holidays;
+
+  res.json({ country: set.country, name: set.name, holidays });
+});
+
+/**
+ * ROUTE: List annotations
+ * GET /api/calendar/events?connectionId=...
+ */
+router.get("/events", authenticateUser, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("start_date", { ascending: false });
+
+    if (req.query.connectionId) {
+      query = query.eq("ga4_connection_id", req.query.connectionId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("List calendar events error:", error);
+      return res.status(500).json({ error: "Failed to fetch events" });
+    }
+
+    res.json({ events: data || [] });
+  } catch (error) {
+    console.error("List calendar events error:", error);
+    res.status(500).json({ error: "Failed to fetch events" });
+  }
+});
+
+/**
+ * ROUTE: Annotate a date (or range)
+ * POST /api/calendar/events
+ *
+ * Expected body:
+ * {
+ *   title: "Site migration",
+ *   startDate: "2026-10-12",
+ *   endDate: "2026-10-14",        // optional, defaults to startDate
+ *   category: "migration",        // campaign | promotion | launch | migration | outage | other
+ *   baselineEffect: "exclude",    // exclude | downweight | none (default exclude)
+ *   connectionId: "uuid"          // optional, omit for all properties
+ * }
+ */
+router.post("/events", authenticateUser, async (req, res) => {
+  try {
+    const { connectionId } = req.body || {};
+    const { event, error: validationError } = parseEventBody(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Annotations can only be attached to the caller's own connections
+    if (connectionId) {
+      const { data: connection, error: connectionError } = await supabaseAdmin
+        .from("ga4_connections")
+        .select("id")
+        .eq("id", connectionId)
+        .eq("user_id", req.user.id)
+        .single();
+
+      if (connectionError || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("calendar_events")
+      .insert({
+        ...event,
+        user_id: req.user.id,
+        ga4_connection_id: connectionId || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Create calendar event error:", error);
+      return res.status(500).json({ error: "Failed to create event" });
+    }
+
+    res.status(201).json({ event: data });
+  } catch (error) {
+    console.error("Create calendar event error:", error);
+    res.status(500).json({ error: "Failed to create event" });
+  }
+});
+
+/**
+ * ROUTE: Update an annotation
+ * PUT /api/calendar/events/:eventId
+ * Body: any of { title, startDate, endDate, category, baselineEffect }
+ */
+router.put("/events/:eventId", authenticateUser, async (req, res) => {
+  try {
+    const { event, error: validationError } = parseEventBody(
+      req.body || {},
+      true
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("calendar_events")
+      .update({ ...event, updated_at: new Date().toISOString() })
+      .eq("id", req.params.eventId)
+      .eq("user_id", req.user.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.json({ event: data });
+  } catch (error) {
+    console.error("Update calendar event error:", error);
+    res.status(500).json({ error: "Failed to update event" });
+  }
+});
+
+/**
+ * ROUTE: Delete an annotation
+ * DELETE /api/calendar/events/:eventId
+ */
+router.delete("/events/:eventId", authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("calendar_events")
+      .delete()
+      .eq("id", req.params.eventId)
+      .eq("user_id", req.user.id)
+      .select("id");
+
+    if (error) {
+      console.error("Delete calendar event error:", error);
+      return res.status(500).json({ error: "Failed to delete event" });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete calendar event error:", error);
+    res.status(500).json({ error: "Failed to delete event" });
+  }
+});
+
+export default router;
@@ -7,6 +7,11 @@ import {
   supabaseAdmin,
 } from "../services/supabase.service.js";
 import { config } from "../config/index.js";
+import { detectorRegistry } from "../services/detectors/index.js";
+import { calendarService } from "../services/calendar.service.js";
+import { ANALYZED_METRICS } from "../services/insights.service.js";
+import { pendingConnectionService } from "../services/pending-connection.service.js";
+import { oauthStateService } from "../services/oauth-state.service.js";
 import {
   checkTrialStatus,
   checkPropertyLimit,
@@ -16,7 +21,7 @@ const router = express.Router();
 
 /**
  * ROUTE 1: Start OAuth flow
- * GET /api/ga4/connect
+ * GET /api/ga4/connect?redirect=/settings
  */
 router.get("/connect", async (req, res) => {
   try {
@@ -37,8 +42,11 @@ router.get("/connect", async (req, res) => {
       return res.status(401).json({ error: "Invalid token" });
     }
 
-    const userId = user.id;
-    const authUrl = ga4Service.getAuthUrl(userId);
+    const { state, codeChallenge } = await oauthStateService.create(
+      user.id,
+      req.query.redirect
+    );
+    const authUrl = ga4Service.getAuthUrl({ state, codeChallenge });
 
     res.redirect(authUrl);
   } catch (error) {
@@ -49,20 +57,38 @@ router.get("/connect", async (req, res) => {
 
 /**
  * ROUTE 2: Handle OAuth callback
- * GET /api/ga4/callback?code=xyz&state=userId
+ * GET /api/ga4/callback?code=xyz&state=SIGNED_STATE
  */
 router.get("/callback", async (req, res) => {
   try {
-    const { code, state: userId } = req.query;
+    const { code } = req.query;
+
+    // Verify (and consume) the state before touching the code
+    let state;
+    try {
+      state = await oauthStateService.verify(req.query.state);
+    } catch (stateError) {
+      if (stateError.status !== 400) throw stateError;
+      console.error("Invalid OAuth state:", stateError.message);
+      return res.redirect(
+        `${config.frontendUrls[0]}/dashboard?error=invalid_state`
+      );
+    }
+
+    const { userId, redirectTo, codeVerifier } = state;
+    const errorUrl = (reason) =>
+      `${config.frontendUrls[0]}${redirectTo}${
+        redirectTo.includes("?") ? "&" : "?"
+      }error=${reason}`;
 
     if (!code) {
-      return res.redirect(`${config.frontendUrls[0]}/dashboard?error=no_code`);
+      return res.redirect(errorUrl("no_code"));
     }
 
-    const tokens = await ga4Service.getTokensFromCode(code);
+    const tokens = await ga4Service.getTokensFromCode(code, codeVerifier);
 
     if (!tokens.access_token) {
-      return res.redirect(`${config.frontendUrls[0]}/dashboard?error=no_token`);
+      return res.redirect(errorUrl("no_token"));
     }
 
     let properties;
@@ -75,34 +101,23 @@ router.get("/callback", async (req, res) => {
 
     if (!properties || properties.length === 0) {
       return res.redirect(
-        `${config.frontendUrls[0]}/dashboard?error=no_ga4_properties&message=No GA4 properties found. Please set one up in Google Analytics.`
+        `${errorUrl(
+          "no_ga4_properties"
+        )}&message=No GA4 properties found. Please set one up in Google Analytics.`
       );
     }
 
-    const crypto = await import("crypto");
-    const tempToken = crypto.randomBytes(32).toString("hex");
-
-    global.tempOAuthData = global.tempOAuthData || {};
-    global.tempOAuthData[tempToken] = {
+    // Tokens stay server-side; the select-property page only gets the pending id
+    const pending = await pendingConnectionService.create(
       userId,
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token,
-      expiresAt: new Date(
-        Date.now() + (tokens.expiry_date || 3600000)
-      ).toISOString(),
-      properties,
-      createdAt: Date.now(),
-    };
-
-    // Clean up old temp data (older than 10 minutes)
-    Object.keys(global.tempOAuthData).forEach((key) => {
-      if (Date.now() - global.tempOAuthData[key].createdAt > 10 * 60 * 1000) {
-        delete global.tempOAuthData[key];
-      }
-    });
+      tokens,
+      properties
+    );
 
     res.redirect(
-      `${config.frontendUrls[0]}/select-property?token=${tempToken}`
+      `${config.frontendUrls[0]}/select-property?pending=${
+        pending.id
+      }&redirect=${encodeURIComponent(redirectTo)}`
     );
   } catch (error) {
     console.error("Callback error:", error);
@@ -111,36 +126,27 @@ router.get("/callback", async (req, res) => {
 });
 
 /**
- * ROUTE: Get OAuth data from temporary token
- * GET /api/ga4/oauth-data?token=TEMP_TOKEN
+ * ROUTE: Properties available to a pending connection (after the OAuth callback)
+ * GET /api/ga4/pending/:pendingId
  */
-router.get("/oauth-data", async (req, res) => {
+router.get("/pending/:pendingId", authenticateUser, async (req, res) => {
   try {
-    const { token } = req.query;
-
-    if (!token) {
-      return res.status(400).json({ error: "Token required" });
-    }
-
-    const oauthData = global.tempOAuthData?.[token];
+    const pending = await pendingConnectionService.get(
+      req.params.pendingId,
+      req.user.id
+    );
 
-    if (!oauthData) {
+    if (!pending) {
       return res.status(404).json({
-        error: "Invalid or expired token",
+        error: "Invalid or expired pending connection",
         message: "Session expired. Please reconnect from the dashboard.",
       });
     }
 
-    res.json({
-      userId: oauthData.userId,
-      accessToken: oauthData.accessToken,
-      refreshToken: oauthData.refreshToken,
-      expiresAt: oauthData.expiresAt,
-      properties: oauthData.properties,
-    });
+    res.json(pendingConnectionService.toPublic(pending));
   } catch (error) {
-    console.error("OAuth data retrieval error:", error);
-    res.status(500).json({ error: "Failed to retrieve OAuth data" });
+    console.error("Pending connection retrieval error:", error);
+    res.status(500).json({ error: "Failed to retrieve pending connection" });
   }
 });
 
@@ -224,59 +230,46 @@ router.get("/properties", authenticateUser, async (req, res) => {
 });
 
 /**
- * ROUTE: Save selected GA4 property connection
- * POST /api/ga4/save-connection
+ * ROUTE: Connect the selected properties of a pending connection
+ * POST /api/ga4/pending/:pendingId/connect
+ *
+ * Expected body: { propertyIds: ["123456789", "987654321"] }
  */
 router.post(
-  "/save-connection",
+  "/pending/:pendingId/connect",
   authenticateUser,
   checkTrialStatus,
   checkPropertyLimit,
   async (req, res) => {
     try {
       const userId = req.user.id;
-      const { propertyId, propertyName, accessToken, refreshToken, expiresAt } =
-        req.body;
+      const { propertyIds } = req.body;
 
-      if (!propertyId || !propertyName || !accessToken || !refreshToken) {
-        return res.status(400).json({ error: "Missing required fields" });
+      if (!Array.isArray(propertyIds) || propertyIds.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "propertyIds must be a non-empty array" });
       }
 
-      const { data, error } = await supabaseAdmin
-        .from("ga4_connections")
-        .upsert(
-          {
-            user_id: userId,
-            property_id: propertyId,
-            property_name: propertyName,
-            access_token: accessToken,
-            refresh_token: refreshToken,
-            token_expires_at: expiresAt,
-            is_active: true,
-            last_synced_at: new Date().toISOString(),
-          },
-          {
-            onConflict: "user_id,property_id",
-          }
-        )
-        .select()
-        .single();
+      const pending = await pendingConnectionService.get(
+        req.params.pendingId,
+        userId
+      );
 
-      if (error) {
-        console.error("Failed to save connection:", error);
-        return res.status(500).json({ error: "Failed to save connection" });
+      if (!pending) {
+        return res.status(404).json({
+          error: "Invalid or expired pending connection",
+          message: "Session expired. Please reconnect from the dashboard.",
+        });
       }
 
-      // Send welcome email after first GA4 connection
-      const { data: existingConnections } = await supabaseAdmin
-        .from("ga4_connections")
-        .select("id")
-        .eq("user_id", userId)
-        .eq("is_active", true);
-
-      const isFirstConnection = existingConnections?.length === 1;
+      const connections = await pendingConnectionService.connectProperties(
+        pending,
+        propertyIds
+      );
 
-      if (isFirstConnection) {
+      // Send welcome email after the first GA4 connection(s)
+      if (req.propertyLimit.current === 0) {
         console.log(`[GA4] Sending welcome email to user ${userId}`);
         const { sendWelcomeEmail } = await import(
           "../services/email.service.js"
@@ -290,16 +283,250 @@ router.post(
 
       res.json({
         success: true,
-        connection: data,
+        connections,
         propertyLimit: req.propertyLimit,
       });
     } catch (error) {
-      console.error("Save connection error:", error);
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Connect pending properties error:", error);
       res.status(500).json({ error: "Failed to save connection" });
     }
   }
 );
 
+// Per-metric threshold multipliers users may set (>1 = needs a bigger move)
+const METRIC_SENSITIVITY_RANGE = [0.1, 10];
+
+function isPlainObject(value) {
+  return (
+    value !== null && typeof value === "object" && !Array.isArray(value)
+  );
+}
+
+/**
+ * Validate algorithm overrides before saving them on a connection
+ * Returns an error message, or null if valid
+ */
+function validateAlgorithmSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return "algorithm_settings must be an object";
+  }
+
+  for (const key of [
+    "thresholds",
+    "persistence",
+    "metricWeights",
+    "metricSensitivity",
+  ]) {
+    if (settings[key] !== undefined && !isPlainObject(settings[key])) {
+      return `${key} must be an object`;
+    }
+  }
+
+  if (settings.thresholds !== undefined) {
+    for (const [metric, value] of Object.entries(settings.thresholds)) {
+      if (typeof value !== "number" || value < 0 || value > 10) {
+        return `Threshold for ${metric} must be a number between 0 and 10 (0.2 = 20%)`;
+      }
+    }
+  }
+
+  if (settings.persistence !== undefined) {
+    const { window, required } = settings.persistence;
+    if (window !== undefined && (!Number.isInteger(window) || window < 1)) {
+      return "persistence.window must be a positive integer";
+    }
+    if (
+      required !== undefined &&
+      (!Number.isInteger(required) || required < 1)
+    ) {
+      return "persistence.required must be a positive integer";
+    }
+    if (window !== undefined && required !== undefined && required > window) {
+      return "persistence.required cannot be larger than persistence.window";
+    }
+  }
+
+  if (
+    settings.minSampleSize !== undefined &&
+    (!Number.isInteger(settings.minSampleSize) || settings.minSampleSize < 0)
+  ) {
+    return "minSampleSize must be a non-negative integer";
+  }
+
+  if (
+    settings.baselineMethod !== undefined &&
+    !["seasonal", "robust"].includes(settings.baselineMethod)
+  ) {
+    return 'baselineMethod must be "seasonal" or "robust"';
+  }
+
+  if (
+    settings.zScoreThreshold !== undefined &&
+    (typeof settings.zScoreThreshold !== "number" ||
+      settings.zScoreThreshold <= 0 ||
+      settings.zScoreThreshold > 10)
+  ) {
+    return "zScoreThreshold must be a number between 0 and 10";
+  }
+
+  if (
+    settings.significanceLevel !== undefined &&
+    (typeof settings.significanceLevel !== "number" ||
+      settings.significanceLevel <= 0 ||
+      settings.significanceLevel > 1)
+  ) {
+    return "significanceLevel must be a number above 0 and at most 1";
+  }
+
+  if (
+    settings.trendWindow !== undefined &&
+    (!Number.isInteger(settings.trendWindow) || settings.trendWindow < 2)
+  ) {
+    return "trendWindow must be an integer of at least 2 (days)";
+  }
+
+  if (settings.metricWeights !== undefined) {
+    for (const [metric, value] of Object.entries(settings.metricWeights)) {
+      if (typeof value !== "number" || value < 0) {
+        return `Weight for ${metric} must be a non-negative number`;
+      }
+    }
+  }
+
+  if (settings.metricSensitivity !== undefined) {
+    const [min, max] = METRIC_SENSITIVITY_RANGE;
+    for (const [metric, value] of Object.entries(settings.metricSensitivity)) {
+      if (!ANALYZED_METRICS.includes(metric)) {
+        return `Unknown metric in metricSensitivity: ${metric}. Available: ${ANALYZED_METRICS.join(
+          ", "
+        )}`;
+      }
+      if (!Number.isFinite(value) || value < min || value > max) {
+        return `Sensitivity for ${metric} must be a number between ${min} and ${max} (1 = default)`;
+      }
+    }
+  }
+
+  if (settings.detectors !== undefined) {
+    if (!Array.isArray(settings.detectors) || settings.detectors.length === 0) {
+      return "detectors must be a non-empty array of detector ids";
+    }
+    const unknown = settings.detectors.filter((id) => !detectorRegistry.get(id));
+    if (unknown.length > 0) {
+      return `Unknown detector(s): ${unknown.join(", ")}. Available: ${detectorRegistry
+        .ids()
+        .join(", ")}`;
+    }
+  }
+
+  if (
+    settings.holidayCountry !== undefined &&
+    settings.holidayCountry !== null &&
+    !calendarService.getHolidaySet(settings.holidayCountry)
+  ) {
+    return `holidayCountry must be null or one of: ${calendarService
+      .listCountries()
+      .map((c) => c.code)
+      .join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * ROUTE: Get anomaly detection settings for a connection
+ * GET /api/ga4/connections/:connectionId/algorithm-settings
+ */
+router.get(
+  "/connections/:connectionId/algorithm-settings",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { data: connection, error } = await supabaseAdmin
+        .from("ga4_connections")
+        .select("id, algorithm_settings")
+        .eq("id", req.params.connectionId)
+        .eq("user_id", req.user.id)
+        .single();
+
+      if (error || !connection) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      const { insightsService } = await import(
+        "../services/insights.service.js"
+      );
+
+      res.json({
+        overrides: connection.algorithm_settings || {},
+        effective: insightsService.resolveAlgorithmSettings(
+          connection.algorithm_settings
+        ),
+        availableDetectors: detectorRegistry.list(),
+        availableHolidayCountries: calendarService.listCountries(),
+      });
+    } catch (error) {
+      console.error("Get algorithm settings error:", error);
+      res.status(500).json({ error: "Failed to fetch algorithm settings" });
+    }
+  }
+);
+
+/**
+ * ROUTE: Save anomaly detection overrides for a connection
+ * PUT /api/ga4/connections/:connectionId/algorithm-settings
+ *
+ * Expected body (all fields optional):
+ * {
+ *   thresholds: { sessions: 0.5, revenue: 0.25 },  // fraction, 0.5 = 50%
+ *   persistence: { window: 7, required: 4 },
+ *   minSampleSize: 50,                              // sessions per day
+ *   baselineMethod: "robust",                       // "seasonal" | "robust"
+ *   detectors: ["robust", "forecast", "threshold"], // run in order, see services/detectors
+ *   zScoreThreshold: 2,                             // screening gate
+ *   significanceLevel: 0.01,                        // max adjusted p-value reported
+ *   trendWindow: 7,                                 // days before a level shift can start
+ *   metricWeights: { conversions: 4 },              // impact ranking weights
+ *   metricSensitivity: { sessions: 1.5 },           // threshold multiplier, 0.1-10
+ *   holidayCountry: "US"                            // holidays kept out of baselines (null = none)
+ * }
+ */
+router.put(
+  "/connections/:connectionId/algorithm-settings",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const settings = req.body;
+      const validationError = validateAlgorithmSettings(settings);
+
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("ga4_connections")
+        .update({ algorithm_settings: settings })
+        .eq("id", req.params.connectionId)
+        .eq("user_id", req.user.id)
+        .select("id, algorithm_settings")
+        .single();
+
+      if (error || !data) {
+        console.error("Failed to save algorithm settings:", error);
+        return res.status(404).json({ error: "Connection not found" });
+      }
+
+      res.json({ success: true, overrides: data.algorithm_settings });
+    } catch (error) {
+      console.error("Save algorithm settings error:", error);
+      res.status(500).json({ error: "Failed to save algorithm settings" });
+    }
+  }
+);
+
 /**
  * ROUTE: Disconnect GA4 property
  * DELETE /api/ga4/disconnect/:connectionId
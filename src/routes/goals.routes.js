@@ -0,0 +1,215 @@
+// Goals Routes - Revenue/conversion targets per GA4 connection
+import express from "express";
+import { authenticateUser } from "../middleware/auth.middleware.js";
+import { supabaseAdmin } from "../services/supabase.service.js";
+import {
+  goalsService,
+  GOAL_METRICS,
+  GOAL_PERIODS,
+} from "../services/goals.service.js";
+
+const router = express.Router();
+
+/**
+ * Validate and normalize a goal body
+ * @param {boolean} partial - PUT allows any subset of fields
+ * @returns {object} { goal } or { error }
+ */
+function parseGoalBody(body, partial = false) {
+  const goal = {};
+
+  if (body.metric !== undefined || !partial) {
+    const metric = goalsService.normalizeMetric(body.metric);
+    if (!metric) {
+      return {
+        error: `metric must be one of: ${GOAL_METRICS.join(", ")} (or "revenue")`,
+      };
+    }
+    goal.metric_name = metric;
+  }
+
+  if (body.target !== undefined || !partial) {
+    if (typeof body.target !== "number" || !(body.target > 0)) {
+      return { error: "target must be a positive number" };
+    }
+    goal.target_value = body.target;
+  }
+
+  if (body.period !== undefined || !partial) {
+    const period = body.period ?? "month";
+    if (!GOAL_PERIODS.includes(period)) {
+      return { error: `period must be one of: ${GOAL_PERIODS.join(", ")}` };
+    }
+    goal.period = period;
+  }
+
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== "string") {
+      return { error: "name must be a string" };
+    }
+    goal.name = body.name?.trim().slice(0, 100) || null;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") {
+      return { error: "isActive must be a boolean" };
+    }
+    goal.is_active = body.isActive;
+  }
+
+  return { goal };
+}
+
+/**
+ * ROUTE: List goals
+ * GET /api/goals?connectionId=...
+ */
+router.get("/", authenticateUser, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from("goals")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: true });
+
+    if (req.query.connectionId) {
+      query = query.eq("ga4_connection_id", req.query.connectionId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("List goals error:", error);
+      return res.status(500).json({ error: "Failed to fetch goals" });
+    }
+
+    res.json({ goals: data || [] });
+  } catch (error) {
+    console.error("List goals error:", error);
+    res.status(500).json({ error: "Failed to fetch goals" });
+  }
+});
+
+/**
+ * ROUTE: Create a goal
+ * POST /api/goals
+ *
+ * Expected body:
+ * {
+ *   connectionId: "uuid",
+ *   metric: "totalRevenue",   // totalRevenue | conversions | sessions | newUsers
+ *   target: 25000,
+ *   period: "month",          // month | quarter | year (default month)
+ *   name: "October revenue"   // optional
+ * }
+ */
+router.post("/", authenticateUser, async (req, res) => {
+  try {
+    const { connectionId } = req.body || {};
+    if (!connectionId) {
+      return res.status(400).json({ error: "connectionId is required" });
+    }
+
+    const { goal, error: validationError } = parseGoalBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Goals can only be set on the caller's own connections
+    const { data: connection, error: connectionError } = await supabaseAdmin
+      .from("ga4_connections")
+      .select("id")
+      .eq("id", connectionId)
+      .eq("user_id", req.user.id)
+      .single();
+
+    if (connectionError || !connection) {
+      return res.status(404).json({ error: "Connection not found" });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("goals")
+      .insert({
+        ...goal,
+        user_id: req.user.id,
+        ga4_connection_id: connection.id,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Create goal error:", error);
+      return res.status(500).json({ error: "Failed to create goal" });
+    }
+
+    res.status(201).json({ goal: data });
+  } catch (error) {
+    console.error("Create goal error:", error);
+    res.status(500).json({ error: "Failed to create goal" });
+  }
+});
+
+/**
+ * ROUTE: Update a goal
+ * PUT /api/goals/:goalId
+ * Body: any of { metric, target, period, name, isActive }
+ */
+router.put("/:goalId", authenticateUser, async (req, res) => {
+  try {
+    const { goal, error: validationError } = parseGoalBody(
+      req.body || {},
+      true
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("goals")
+      .update({ ...goal, updated_at: new Date().toISOString() })
+      .eq("id", req.params.goalId)
+      .eq("user_id", req.user.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    res.json({ goal: data });
+  } catch (error) {
+    console.error("Update goal error:", error);
+    res.status(500).json({ error: "Failed to update goal" });
+  }
+});
+
+/**
+ * ROUTE: Delete a goal
+ * DELETE /api/goals/:goalId
+ */
+router.delete("/:goalId", authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("goals")
+      .delete()
+      .eq("id", req.params.goalId)
+      .eq("user_id", req.user.id)
+      .select("id");
+
+    if (error) {
+      console.error("Delete goal error:", error);
+      return res.status(500).json({ error: "Failed to delete goal" });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete goal error:", error);
+    res.status(500).json({ error: "Failed to delete goal" });
+  }
+});
+
+export default router;
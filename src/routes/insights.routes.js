@@ -1,7 +1,11 @@
 // Insights routes - fetch user's insights
 import express from 'express';
-import { authenticateUser } from '../middleware/auth.middleware.js';
+import { authenticateUser, requireAdmin } from '../middleware/auth.middleware.js';
 import { supabaseAdmin } from '../services/supabase.service.js';
+import { feedbackService, FEEDBACK_RATINGS } from '../services/feedback.service.js';
+import { rulesService } from '../services/rules.service.js';
+import { narrativeService } from '../services/narrative.service.js';
+import { portfolioService } from '../services/portfolio.service.js';
 
 const router = express.Router();
 
@@ -54,9 +58,366 @@ router.get('/status', authenticateUser, async (req, res) => {
   }
 });
 
-// TODO: Implement insights fetching (Week 1 Day 5-7)
-router.get('/today', authenticateUser, (req, res) => {
-  res.json({ message: 'Today\'s insights - coming in Day 5-7' });
+// GET /api/insights/forecasts?connectionId=...&metric=sessions&days=30
+// Expected vs actual series for dashboard charts
+router.get('/forecasts', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { connectionId, metric } = req.query;
+    const days = Math.min(parseInt(req.query.days || '30', 10) || 30, 90);
+
+    if (!connectionId) {
+      return res.status(400).json({ error: 'connectionId is required' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .split('T')[0];
+
+    let query = supabaseAdmin
+      .from('metric_forecasts')
+      .select(
+        'metric_name, forecast_date, expected_value, lower_80, upper_80, lower_95, upper_95, actual_value, generated_at'
+      )
+      .eq('user_id', userId) // Only the caller's own connections
+      .eq('ga4_connection_id', connectionId)
+      .gte('forecast_date', since)
+      .order('forecast_date', { ascending: true });
+
+    if (metric) {
+      query = query.eq('metric_name', metric);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching forecasts:', error);
+      return res.status(500).json({ error: 'Failed to fetch forecasts' });
+    }
+
+    // Group rows into one series per metric
+    const series = {};
+    for (const row of data || []) {
+      series[row.metric_name] = series[row.metric_name] || [];
+      series[row.metric_name].push({
+        date: row.forecast_date,
+        expected: row.expected_value,
+        lower80: row.lower_80,
+        upper80: row.upper_80,
+        lower95: row.lower_95,
+        upper95: row.upper_95,
+        actual: row.actual_value,
+      });
+    }
+
+    res.json({ connectionId, series });
+  } catch (error) {
+    console.error('Forecasts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Validate an alert rule body (partial = PUT, any subset of fields)
+ * @returns {object} { rule } or { error }
+ */
+function parseRuleBody(body, partial = false) {
+  const rule = {};
+
+  if (body.expression !== undefined || !partial) {
+    const { error } = rulesService.validate(body.expression);
+    if (error) return { error };
+    rule.expression = body.expression.trim();
+  }
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    rule.name = body.name.trim().slice(0, 100);
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive must be a boolean' };
+    }
+    rule.is_active = body.isActive;
+  }
+
+  return { rule };
+}
+
+// GET /api/insights/rules?connectionId=... - List alert rules
+router.get('/rules', authenticateUser, async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from('alert_rules')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (req.query.connectionId) {
+      query = query.eq('ga4_connection_id', req.query.connectionId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ rules: data || [] });
+  } catch (error) {
+    console.error('List rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+// POST /api/insights/rules/validate - Check an expression without saving it
+// Body: { expression: 'conversions < 5 on weekdays' }
+router.post('/rules/validate', authenticateUser, (req, res) => {
+  const { rule, error } = rulesService.validate(req.body?.expression);
+  if (error) {
+    return res.status(400).json({ valid: false, error });
+  }
+  res.json({ valid: true, rule });
+});
+
+// POST /api/insights/rules - Create an alert rule
+// Body: { name, expression, connectionId? } - no connectionId = all properties
+router.post('/rules', authenticateUser, async (req, res) => {
+  try {
+    const { connectionId } = req.body || {};
+    const { rule, error: validationError } = parseRuleBody(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Rules can only target the caller's own connections
+    if (connectionId) {
+      const { data: connection, error: connectionError } = await supabaseAdmin
+        .from('ga4_connections')
+        .select('id')
+        .eq('id', connectionId)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (connectionError || !connection) {
+        return res.status(404).json({ error: 'Connection not found' });
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('alert_rules')
+      .insert({
+        ...rule,
+        user_id: req.user.id,
+        ga4_connection_id: connectionId || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ rule: data });
+  } catch (error) {
+    console.error('Create rule error:', error);
+    res.status(500).json({ error: 'Failed to create rule' });
+  }
+});
+
+// PUT /api/insights/rules/:ruleId - Update an alert rule
+// Body: any of { name, expression, isActive }
+router.put('/rules/:ruleId', authenticateUser, async (req, res) => {
+  try {
+    const { rule, error: validationError } = parseRuleBody(req.body || {}, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('alert_rules')
+      .update({ ...rule, updated_at: new Date().toISOString() })
+      .eq('id', req.params.ruleId)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ rule: data });
+  } catch (error) {
+    console.error('Update rule error:', error);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+// DELETE /api/insights/rules/:ruleId - Delete an alert rule
+router.delete('/rules/:ruleId', authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('alert_rules')
+      .delete()
+      .eq('id', req.params.ruleId)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// GET /api/insights/feedback/precision?days=90 - Admin: rated precision per metric
+router.get('/feedback/precision', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '0', 10);
+    const since = days > 0
+      ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const metrics = await feedbackService.getPrecisionByMetric({ since });
+    res.json({ since, metrics });
+  } catch (error) {
+    console.error('Feedback precision error:', error);
+    res.status(500).json({ error: 'Failed to load feedback precision' });
+  }
+});
+
+// POST /api/insights/:insightId/feedback - Rate an insight
+// Body: { rating: 'useful' | 'not_useful' | 'already_knew', reason?: string }
+router.post('/:insightId/feedback', authenticateUser, async (req, res) => {
+  try {
+    const { rating, reason } = req.body || {};
+
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({
+        error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`,
+      });
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    const feedback = await feedbackService.rateInsight(
+      req.user.id,
+      req.params.insightId,
+      { rating, reason: reason?.trim().slice(0, 1000) || null }
+    );
+
+    res.json({ success: true, feedback });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Insight feedback error:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// GET /api/insights/today - Latest report per property: summary + ranked insights
+router.get('/today', authenticateUser, async (req, res) => {
+  try {
+    const { data: connections, error: connectionsError } = await supabaseAdmin
+      .from('ga4_connections')
+      .select('id, property_id, property_name')
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (connectionsError) throw connectionsError;
+
+    if (!connections || connections.length === 0) {
+      return res.json({ properties: [] });
+    }
+
+    const properties = [];
+    const runIds = new Map(); // connection id -> run shown
+    for (const connection of connections) {
+      // Most recent report for this property - its rows can span several
+      // insight dates, so they're keyed by the run that saved them
+      const { data: latest } = await supabaseAdmin
+        .from('daily_insights')
+        .select('run_id, insight_date')
+        .eq('ga4_connection_id', connection.id)
+        .not('run_id', 'is', null)
+        .order('run_at', { ascending: false })
+        .order('insight_date', { ascending: false })
+        .limit(1);
+
+      const runId = latest?.[0]?.run_id || null;
+      const date = latest?.[0]?.insight_date || null;
+      let insights = [];
+
+      if (runId) {
+        const { data, error } = await supabaseAdmin
+          .from('daily_insights')
+          .select('*')
+          .eq('ga4_connection_id', connection.id)
+          .eq('run_id', runId)
+          .order('priority', { ascending: true });
+
+        if (error) throw error;
+        insights = data || [];
+        runIds.set(connection.id, runId);
+      }
+
+      properties.push({
+        connectionId: connection.id,
+        propertyId: connection.property_id,
+        propertyName: connection.property_name || connection.property_id,
+        date,
+        insights,
+      });
+    }
+
+    // Only the summary written by the same run as the insights above
+    const summaries = await narrativeService.getSummariesForRuns([
+      ...runIds.values(),
+    ]);
+
+    res.json({
+      properties: properties.map((property) => {
+        const summary = summaries[runIds.get(property.connectionId)];
+        return {
+          ...property,
+          summary: summary?.summary || null,
+          summaryDate: summary?.summary_date || null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Today insights error:', error);
+    res.status(500).json({ error: 'Failed to load insights' });
+  }
+});
+
+// GET /api/insights/portfolio - Health score and rank per property, plus
+// cross-property insights ("3 of your 8 properties saw conversion drops this week")
+router.get('/portfolio', authenticateUser, async (req, res) => {
+  try {
+    const snapshot = await portfolioService.getLatestSnapshot(req.user.id);
+
+    if (!snapshot) {
+      return res.json({ date: null, properties: [], insights: [] });
+    }
+
+    res.json({
+      date: snapshot.snapshot_date,
+      properties: snapshot.properties, // Healthiest first (rank 1)
+      insights: snapshot.insights,
+    });
+  } catch (error) {
+    console.error('Portfolio error:', error);
+    res.status(500).json({ error: 'Failed to load portfolio' });
+  }
 });
 
 export default router;
\ No newline at end of file
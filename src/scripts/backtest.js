@@ -0,0 +1,124 @@
+// Backtest CLI - Compare anomaly detection configurations on historical data
+//
+// Usage:
+//   npm run backtest -- --series data/daily.csv --incidents data/incidents.json
+//   npm run backtest -- --connection <ga4_connection_id> --incidents incidents.json \
+//     --configs configs.json --warmup 28 --tolerance 1 [--json] [--verbose]
+//
+// --series      JSON or CSV daily series (date + one column per GA4 metric)
+// --connection  Use the actuals stored in metric_forecasts for a connection instead
+// --incidents   JSON array of { metric, startDate, endDate, direction, label }
+// --configs     JSON array of { name, algorithm } - algorithm uses the same keys as
+//               ga4_connections.algorithm_settings (thresholds, detectors,
+//               zScoreThreshold, significanceLevel, trendWindow, metricWeights, ...)
+import { readFile } from "fs/promises";
+import { backtestService } from "../services/backtest.service.js";
+
+/**
+ * Parse --flag value pairs (flags without a value become true)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function formatPercent(value) {
+  return value === null ? "n/a" : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatDays(value) {
+  return value === null ? "n/a" : `${value.toFixed(1)}d`;
+}
+
+function printResults(results) {
+  console.log("");
+  console.table(
+    results.map((r) => ({
+      config: r.name,
+      precision: formatPercent(r.precision),
+      recall: formatPercent(r.recall),
+      "alerts/week": r.alertsPerWeek.toFixed(2),
+      "mean TTD": formatDays(r.meanTimeToDetect),
+      "median TTD": formatDays(r.medianTimeToDetect),
+      alerts: r.alerts,
+      "false positives": r.falsePositives,
+    }))
+  );
+
+  for (const result of results) {
+    console.log(`\n${result.name} - incidents:`);
+    for (const incident of result.incidents) {
+      console.log(
+        `  ${incident.detected ? "✓" : "✗"} ${incident.label} (${
+          incident.metric
+        }, ${incident.startDate})${
+          incident.detected
+            ? ` detected ${incident.detectedOn}, ${incident.timeToDetect}d`
+            : ""
+        }`
+      );
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if ((!args.series && !args.connection) || !args.incidents) {
+    console.error(
+      "Usage: npm run backtest -- (--series <file> | --connection <id>) --incidents <file> [--configs <file>] [--warmup N] [--tolerance N] [--json] [--verbose]"
+    );
+    process.exit(1);
+  }
+
+  const series = args.series
+    ? await backtestService.loadSeries(args.series)
+    : await backtestService.loadStoredSeries(args.connection);
+  const incidents = await backtestService.loadIncidents(args.incidents);
+  const configurations = args.configs
+    ? JSON.parse(await readFile(args.configs, "utf8"))
+    : [{ name: "current", algorithm: {} }];
+
+  console.log(
+    `Backtesting ${configurations.length} configuration(s) over ${series.length} days against ${incidents.length} incident(s)`
+  );
+
+  // The engine logs every analysis - keep the report readable
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+
+  let results;
+  try {
+    results = await backtestService.run({
+      series,
+      incidents,
+      configurations,
+      warmupDays: args.warmup ? parseInt(args.warmup, 10) : undefined,
+      toleranceDays: args.tolerance ? parseInt(args.tolerance, 10) : undefined,
+    });
+  } finally {
+    console.log = log;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printResults(results);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Backtest failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+// Token key rotation CLI - Move every ga4_connections row onto the newest master key
+//
+// Usage:
+//   npm run rotate-token-keys -- [--dry-run] [--batch 100]
+//
+// 1. Add the new key to TOKEN_ENCRYPTION_KEYS with a higher version
+//    (e.g. "1:<old>,2:<new>") and deploy
+// 2. Run this command - plaintext rows are encrypted, rows on older versions get
+//    their data key re-wrapped
+// 3. Once it reports nothing left to rotate, drop the old key from the env
+import { supabaseAdmin } from "../services/supabase.service.js";
+import { tokenEncryptionService } from "../services/token-encryption.service.js";
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Parse --flag value pairs (flags without a value become true)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Next page of rows that are plaintext or on an older key version
+ */
+async function loadBatch(currentVersion, batchSize, afterId) {
+  let query = supabaseAdmin
+    .from("ga4_connections")
+    .select(
+      "id, access_token, refresh_token, token_data_key, token_key_version"
+    )
+    .or(`token_key_version.is.null,token_key_version.lt.${currentVersion}`)
+    .order("id")
+    .limit(batchSize);
+
+  if (afterId) query = query.gt("id", afterId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const batchSize = args.batch ? parseInt(args.batch, 10) : DEFAULT_BATCH_SIZE;
+  const currentVersion = tokenEncryptionService.getCurrentVersion();
+
+  console.log(
+    `Rotating GA4 connection tokens to key version ${currentVersion}${
+      args["dry-run"] ? " (dry run)" : ""
+    }`
+  );
+
+  let rotated = 0;
+  let skipped = 0;
+  let failed = 0;
+  let afterId = null;
+
+  for (;;) {
+    const batch = await loadBatch(currentVersion, batchSize, afterId);
+    if (batch.length === 0) break;
+    afterId = batch[batch.length - 1].id;
+
+    for (const connection of batch) {
+      try {
+        const update = tokenEncryptionService.rotateTokens(connection);
+        if (args["dry-run"]) {
+          rotated++;
+          continue;
+        }
+
+        // Only if untouched since we read it - a token refresh may have re-keyed it
+        let query = supabaseAdmin
+          .from("ga4_connections")
+          .update(update)
+          .eq("id", connection.id);
+        query =
+          connection.token_key_version == null
+            ? query.is("token_key_version", null)
+            : query.eq("token_data_key", connection.token_data_key);
+
+        const { data, error } = await query.select("id");
+        if (error) throw error;
+
+        if (data.length === 0) {
+          skipped++;
+        } else {
+          rotated++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(
+          `Failed to rotate connection ${connection.id}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  console.log(
+    `${args["dry-run"] ? "Would rotate" : "Rotated"} ${rotated} connection(s), ${skipped} changed during the run, ${failed} failed`
+  );
+  if (failed > 0) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error("❌ Token key rotation failed:", error.message);
+  process.exit(1);
+});
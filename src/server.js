@@ -23,6 +23,10 @@ console.log("Step 4.5: Stripe routes imported");
 import schedulerRoutes from "./routes/scheduler.routes.js";
 import emailPreferencesRoutes from "./routes/email-preferences.routes.js";
 console.log("Step 4.6: Email preferences routes imported");
+import goalsRoutes from "./routes/goals.routes.js";
+console.log("Step 4.7: Goals routes imported");
+import calendarRoutes from "./routes/calendar.routes.js";
+console.log("Step 4.8: Calendar routes imported");
 
 // Scheduler
 import {
@@ -258,6 +262,12 @@ console.log("Scheduler routes registered");
 app.use("/api/email-preferences", emailPreferencesRoutes);
 console.log("Email preferences routes registered");
 
+app.use("/api/goals", goalsRoutes);
+console.log("Goals routes registered");
+
+app.use("/api/calendar", calendarRoutes);
+console.log("Calendar routes registered");
+
 // ==================================================
 // ERROR HANDLERS
 // ==================================================
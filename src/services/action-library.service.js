@@ -0,0 +1,103 @@
+// Action Library Service - Recommended actions per industry vertical
+// Libraries live in src/data/actions/<industry>.json and can be edited without a
+// code change. Each "<metric>_<direction>" key holds actions, either plain strings
+// or { text, when: { <drill-down dimension>: <segment> } } for segment-specific advice.
+import { readFileSync, readdirSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+export const DEFAULT_INDUSTRY = "general";
+
+const ACTIONS_DIR = fileURLToPath(new URL("../data/actions/", import.meta.url));
+const ACTIONS_PER_INSIGHT = 3;
+const SEGMENT_MATCH_SHARE = 0.3; // Segment must drive 30%+ of the change to get its own advice
+
+const libraries = new Map();
+
+/**
+ * Normalize a library entry to { text, when }
+ */
+function toAction(entry) {
+  return typeof entry === "string" ? { text: entry, when: null } : entry;
+}
+
+export const actionLibraryService = {
+  /**
+   * Industries with an action library
+   * @returns {Array} [{ industry, name }]
+   */
+  listIndustries() {
+    return readdirSync(ACTIONS_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => this.getLibrary(path.basename(file, ".json")))
+      .map(({ industry, name }) => ({ industry, name }));
+  },
+
+  /**
+   * Action library for an industry (null when there isn't one)
+   */
+  getLibrary(industry) {
+    if (typeof industry !== "string" || !/^[a-z_]+$/.test(industry)) {
+      return null;
+    }
+
+    if (!libraries.has(industry)) {
+      try {
+        libraries.set(
+          industry,
+          JSON.parse(readFileSync(path.join(ACTIONS_DIR, `${industry}.json`)))
+        );
+      } catch {
+        libraries.set(industry, null);
+      }
+    }
+
+    return libraries.get(industry);
+  },
+
+  /**
+   * Does a segment-specific action apply to this drill-down?
+   * Every dimension in `when` must match one of the top contributors
+   */
+  matchesSegments(when, drilldown) {
+    const contributors = (drilldown?.topContributors || []).filter(
+      (c) => c.share >= SEGMENT_MATCH_SHARE
+    );
+
+    return Object.entries(when).every(([dimension, segment]) =>
+      contributors.some(
+        (c) =>
+          c.dimension === dimension &&
+          String(c.segment).toLowerCase() === String(segment).toLowerCase()
+      )
+    );
+  },
+
+  /**
+   * Pick the actions for an insight
+   * Industry library first (general as fallback), segment-specific actions that
+   * match the drill-down lead, generic ones fill the rest.
+   * @param {object} options - { industry, drilldown }
+   * @returns {Array} Action strings
+   */
+  selectActions(metricName, direction, { industry, drilldown } = {}) {
+    const key = `${metricName}_${direction}`;
+    const general = this.getLibrary(DEFAULT_INDUSTRY);
+    const library = this.getLibrary(industry || DEFAULT_INDUSTRY) || general;
+
+    const entries = (
+      library.actions[key] ||
+      general.actions[key] ||
+      general.actions.default
+    ).map(toAction);
+
+    const segmentActions = entries.filter(
+      (action) => action.when && this.matchesSegments(action.when, drilldown)
+    );
+    const genericActions = entries.filter((action) => !action.when);
+
+    return [...segmentActions, ...genericActions]
+      .slice(0, ACTIONS_PER_INSIGHT)
+      .map((action) => action.text);
+  },
+};
@@ -0,0 +1,317 @@
+// Backtest Service - Replays the insights engine day by day against labeled incidents
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import { insightsService } from "./insights.service.js";
+
+// Replay defaults
+const WARMUP_DAYS = 28; // History the engine sees before the first replayed day
+const MATCH_TOLERANCE_DAYS = 1; // Alerts this close to an incident still count
+const ALERTS_PER_DAY = 3; // Same cut as the scheduler (top 3 per property)
+const SUPPRESSION_LOOKBACK_DAYS = 7; // Same window as scheduler getRecentInsights
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from a to b (YYYY-MM-DD)
+ */
+function daysBetween(a, b) {
+  return Math.round((new Date(b) - new Date(a)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Accept YYYY-MM-DD or GA4's YYYYMMDD
+ */
+function normalizeDate(value) {
+  const date = String(value).trim();
+  if (/^\d{8}$/.test(date)) {
+    return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  }
+  return date;
+}
+
+export const backtestService = {
+  /**
+   * Load a daily series from a JSON or CSV file
+   * JSON: an array of daily rows, or { daily: [...] } as returned by fetchMetrics
+   * CSV: header row with a "date" column plus one column per metric
+   */
+  async loadSeries(filePath) {
+    const content = await readFile(filePath, "utf8");
+
+    const rows =
+      extname(filePath).toLowerCase() === ".csv"
+        ? this.parseCsv(content)
+        : (() => {
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed) ? parsed : parsed.daily || [];
+          })();
+
+    return rows
+      .map((row) => ({ ...row, date: normalizeDate(row.date) }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+
+  /**
+   * Parse a simple CSV (no quoted commas) into daily rows
+   */
+  parseCsv(content) {
+    const lines = content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) return [];
+
+    const headers = lines[0].split(",").map((h) => h.trim());
+    if (!headers.includes("date")) {
+      throw new Error('CSV series needs a "date" column');
+    }
+
+    return lines.slice(1).map((line) => {
+      const values = line.split(",");
+      const row = {};
+      headers.forEach((header, index) => {
+        const value = values[index]?.trim();
+        row[header] = header === "date" ? value : parseFloat(value) || 0;
+      });
+      return row;
+    });
+  },
+
+  /**
+   * Load labeled incidents from JSON
+   * [{ metric, startDate, endDate, direction, label }] - metric "*" (or none)
+   * matches any metric, direction is optional, endDate defaults to startDate
+   */
+  async loadIncidents(filePath) {
+    const parsed = JSON.parse(await readFile(filePath, "utf8"));
+    const incidents = Array.isArray(parsed) ? parsed : parsed.incidents || [];
+
+    return incidents.map((incident, index) => ({
+      label: incident.label || `incident-${index + 1}`,
+      metric: incident.metric || "*",
+      direction: incident.direction || null,
+      startDate: normalizeDate(incident.startDate),
+      endDate: normalizeDate(incident.endDate || incident.startDate),
+    }));
+  },
+
+  /**
+   * Load actuals stored in metric_forecasts for a connection as a daily series
+   */
+  async loadStoredSeries(connectionId) {
+    const { supabaseAdmin } = await import("./supabase.service.js");
+
+    const { data, error } = await supabaseAdmin
+      .from("metric_forecasts")
+      .select("metric_name, forecast_date, actual_value")
+      .eq("ga4_connection_id", connectionId)
+      .not("actual_value", "is", null)
+      .order("forecast_date", { ascending: true });
+
+    if (error) throw new Error(`Failed to load stored series: ${error.message}`);
+
+    const byDate = {};
+    for (const row of data || []) {
+      byDate[row.forecast_date] = byDate[row.forecast_date] || {
+        date: row.forecast_date,
+      };
+      byDate[row.forecast_date][row.metric_name] = row.actual_value;
+    }
+
+    return Object.values(byDate);
+  },
+
+  /**
+   * Replay one configuration: run the engine as of every day after the warm-up,
+   * the way the scheduler would (repeat suppression + top 3), and collect alerts
+   * @param {Array} series - Daily rows sorted oldest first
+   * @param {object} algorithm - Overrides passed to analyzeMetrics as options.algorithm
+   * @returns {Array} Alerts: { asOf (run date), date, metric, metrics, direction, insightType, detector }
+   */
+  async replay(series, algorithm = {}, options = {}) {
+    const { warmupDays = WARMUP_DAYS } = options;
+    const alerts = [];
+    const history = []; // Saved rows, shaped like daily_insights
+
+    for (let index = warmupDays; index < series.length; index++) {
+      const visible = series.slice(0, index + 1);
+
+      // The scheduler runs the morning after the last day of data
+      const asOf = addDays(visible[visible.length - 1].date, 1);
+      const analysisOptions = { algorithm, asOf };
+
+      const detected = await insightsService.analyzeMetrics(
+        visible,
+        analysisOptions
+      );
+
+      const since = addDays(asOf, -SUPPRESSION_LOOKBACK_DAYS);
+      const { insights } = insightsService.suppressRepeats(
+        detected,
+        history.filter((row) => row.insight_date >= since),
+        visible,
+        analysisOptions
+      );
+
+      for (const insight of insights.slice(0, ALERTS_PER_DAY)) {
+        history.push({
+          metric_name: insight.metric,
+          insight_date: insight.date,
+          direction: insight.direction,
+          percent_change: insight.percentChange,
+          insight_type: insight.insightType || "ANOMALY",
+          supporting_data: {
+            relatedMetrics: insight.relatedMetrics || [],
+            updateType: insight.updateType,
+            originalDate: insight.originalDate,
+            originalDirection: insight.originalDirection,
+          },
+        });
+
+        alerts.push({
+          asOf,
+          date: insight.date,
+          metric: insight.metric,
+          metrics: [
+            insight.metric,
+            ...(insight.relatedMetrics || []).map((r) => r.metric),
+            ...(insight.affectedMetrics || []),
+          ],
+          direction: insight.direction,
+          insightType: insight.insightType || "ANOMALY",
+          updateType: insight.updateType || null,
+          detector: insight.detector || null,
+        });
+      }
+    }
+
+    return alerts;
+  },
+
+  /**
+   * Does an alert point at an incident?
+   */
+  matchesIncident(alert, incident, toleranceDays = MATCH_TOLERANCE_DAYS) {
+    const metricMatches =
+      incident.metric === "*" ||
+      alert.metrics.includes("*") ||
+      alert.metrics.includes(incident.metric);
+    const directionMatches =
+      !incident.direction || alert.direction === incident.direction;
+    const dateMatches =
+      alert.date >= addDays(incident.startDate, -toleranceDays) &&
+      alert.date <= addDays(incident.endDate, toleranceDays);
+
+    return metricMatches && directionMatches && dateMatches;
+  },
+
+  /**
+   * Score alerts against incidents
+   * Recovery notices aren't detections, so they only count toward volume
+   * @returns {object} { precision, recall, alertsPerWeek, meanTimeToDetect, ... }
+   */
+  score(alerts, incidents, replayedDays, options = {}) {
+    const { toleranceDays = MATCH_TOLERANCE_DAYS } = options;
+    const detections = alerts.filter((a) => a.updateType !== "recovered");
+
+    const truePositives = detections.filter((alert) =>
+      incidents.some((incident) =>
+        this.matchesIncident(alert, incident, toleranceDays)
+      )
+    );
+
+    const incidentResults = incidents.map((incident) => {
+      const matching = detections.filter((alert) =>
+        this.matchesIncident(alert, incident, toleranceDays)
+      );
+      const firstAlert = matching.sort((a, b) =>
+        a.asOf.localeCompare(b.asOf)
+      )[0];
+
+      return {
+        label: incident.label,
+        metric: incident.metric,
+        startDate: incident.startDate,
+        detected: Boolean(firstAlert),
+        detectedOn: firstAlert?.asOf || null,
+        // Days from incident start until it would have been in an email
+        timeToDetect: firstAlert
+          ? Math.max(0, daysBetween(incident.startDate, firstAlert.asOf))
+          : null,
+      };
+    });
+
+    const detectedIncidents = incidentResults.filter((i) => i.detected);
+    const detectionTimes = detectedIncidents.map((i) => i.timeToDetect);
+    const sortedTimes = [...detectionTimes].sort((a, b) => a - b);
+
+    return {
+      alerts: alerts.length,
+      detections: detections.length,
+      truePositives: truePositives.length,
+      falsePositives: detections.length - truePositives.length,
+      precision:
+        detections.length > 0 ? truePositives.length / detections.length : null,
+      recall:
+        incidents.length > 0
+          ? detectedIncidents.length / incidents.length
+          : null,
+      alertsPerWeek: replayedDays > 0 ? (alerts.length / replayedDays) * 7 : 0,
+      meanTimeToDetect:
+        detectionTimes.length > 0
+          ? detectionTimes.reduce((acc, t) => acc + t, 0) /
+            detectionTimes.length
+          : null,
+      medianTimeToDetect:
+        sortedTimes.length > 0
+          ? sortedTimes[Math.floor((sortedTimes.length - 1) / 2)]
+          : null,
+      incidents: incidentResults,
+    };
+  },
+
+  /**
+   * Backtest several configurations over the same series and incidents
+   * @param {object} params - { series, incidents, configurations: [{ name, algorithm }], warmupDays, toleranceDays }
+   * @returns {Array} One result per configuration
+   */
+  async run({
+    series,
+    incidents,
+    configurations,
+    warmupDays = WARMUP_DAYS,
+    toleranceDays = MATCH_TOLERANCE_DAYS,
+  }) {
+    if (!series || series.length <= warmupDays) {
+      throw new Error(
+        `Series has ${series?.length || 0} days - need more than the ${warmupDays}-day warm-up`
+      );
+    }
+
+    const replayedDays = series.length - warmupDays;
+    const results = [];
+
+    for (const configuration of configurations) {
+      const alerts = await this.replay(series, configuration.algorithm, {
+        warmupDays,
+      });
+
+      results.push({
+        name: configuration.name,
+        algorithm: configuration.algorithm,
+        replayedDays,
+        ...this.score(alerts, incidents, replayedDays, { toleranceDays }),
+        alertLog: alerts,
+      });
+    }
+
+    return results;
+  },
+};
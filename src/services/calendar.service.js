@@ -0,0 +1,193 @@
+// Calendar Service - Public holidays and user annotations that distort baselines
+// Built-in holiday sets live in src/data/holidays/<COUNTRY>.json; annotations
+// ("campaign launched", "site migration") live in the calendar_events table.
+import { readFileSync, readdirSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+import { supabaseAdmin } from "./supabase.service.js";
+
+export const EVENT_CATEGORIES = [
+  "campaign",
+  "promotion",
+  "launch",
+  "migration",
+  "outage",
+  "other",
+];
+export const BASELINE_EFFECTS = ["exclude", "downweight", "none"];
+
+const HOLIDAYS_DIR = fileURLToPath(new URL("../data/holidays/", import.meta.url));
+
+// Weight a day keeps in the baselines
+const BASELINE_WEIGHTS = {
+  exclude: 0,
+  downweight: 0.25,
+  none: 1,
+};
+const NEAREST_EVENT_DAYS = 7; // Events further away aren't worth mentioning
+
+const holidaySets = new Map();
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from a to b (YYYY-MM-DD), negative when b is earlier
+ */
+function daysBetween(a, b) {
+  return Math.round((new Date(b) - new Date(a)) / (24 * 60 * 60 * 1000));
+}
+
+export const calendarService = {
+  /**
+   * Countries with a built-in holiday set
+   * @returns {Array} [{ code, name }]
+   */
+  listCountries() {
+    return readdirSync(HOLIDAYS_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => this.getHolidaySet(path.basename(file, ".json")))
+      .map(({ country, name }) => ({ code: country, name }));
+  },
+
+  /**
+   * Built-in holiday set for a country (null when we don't ship one)
+   */
+  getHolidaySet(country) {
+    if (typeof country !== "string" || !/^[A-Z]{2}$/.test(country)) {
+      return null;
+    }
+
+    if (!holidaySets.has(country)) {
+      try {
+        holidaySets.set(
+          country,
+          JSON.parse(readFileSync(path.join(HOLIDAYS_DIR, `${country}.json`)))
+        );
+      } catch {
+        holidaySets.set(country, null);
+      }
+    }
+
+    return holidaySets.get(country);
+  },
+
+  /**
+   * Public holidays (and big retail days) as calendar events
+   */
+  getHolidays(country, startDate, endDate) {
+    const set = this.getHolidaySet(country);
+    if (!set) return [];
+
+    return set.holidays
+      .filter((holiday) => holiday.date >= startDate && holiday.date <= endDate)
+      .map((holiday) => ({
+        title: holiday.name,
+        startDate: holiday.date,
+        endDate: holiday.date,
+        source: "holiday",
+        category: holiday.type,
+        effect: "exclude",
+      }));
+  },
+
+  /**
+   * calendar_events row -> calendar event
+   */
+  toEvent(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      startDate: row.start_date,
+      endDate: row.end_date || row.start_date,
+      source: "annotation",
+      category: row.category,
+      effect: row.baseline_effect,
+    };
+  },
+
+  /**
+   * A user's annotations for one connection (plus the ones for all connections)
+   */
+  async getAnnotations(userId, connectionId) {
+    const { data, error } = await supabaseAdmin
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", userId)
+      .or(`ga4_connection_id.is.null,ga4_connection_id.eq.${connectionId}`)
+      .order("start_date", { ascending: true });
+
+    if (error) {
+      console.error("Failed to load calendar events:", error);
+      return [];
+    }
+
+    return (data || []).map((row) => this.toEvent(row));
+  },
+
+  /**
+   * Every event touching the series, and the baseline weight of each date
+   * @param {object} options - { country: holiday set, events: annotations }
+   * @returns {object} { events, weights: Map(date -> weight), only dates below 1 }
+   */
+  buildCalendar(sortedData, { country = null, events = [] } = {}) {
+    if (!sortedData || sortedData.length === 0) {
+      return { events: [], weights: new Map() };
+    }
+
+    const firstDate = sortedData[0].date;
+    const lastDate = sortedData[sortedData.length - 1].date;
+
+    // Reach a week past both ends so the nearest event can be outside the data
+    const allEvents = [
+      ...this.getHolidays(
+        country,
+        addDays(firstDate, -NEAREST_EVENT_DAYS),
+        addDays(lastDate, NEAREST_EVENT_DAYS)
+      ),
+      ...(events || []),
+    ].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    const weights = new Map();
+    for (const event of allEvents) {
+      const weight = BASELINE_WEIGHTS[event.effect] ?? 1;
+      if (weight >= 1) continue;
+
+      const start = event.startDate > firstDate ? event.startDate : firstDate;
+      const end = event.endDate < lastDate ? event.endDate : lastDate;
+      for (let date = start; date <= end; date = addDays(date, 1)) {
+        // Overlapping events: the strongest effect wins
+        weights.set(date, Math.min(weights.get(date) ?? 1, weight));
+      }
+    }
+
+    return { events: allEvents, weights };
+  },
+
+  /**
+   * Closest event to a date within NEAREST_EVENT_DAYS
+   * @returns {object|null} The event plus daysAway (0 = during, <0 = before the date)
+   */
+  findNearestEvent(events, date, maxDays = NEAREST_EVENT_DAYS) {
+    let nearest = null;
+
+    for (const event of events || []) {
+      let daysAway = 0;
+      if (date < event.startDate) daysAway = daysBetween(date, event.startDate);
+      else if (date > event.endDate) daysAway = daysBetween(date, event.endDate);
+
+      if (Math.abs(daysAway) > maxDays) continue;
+      if (!nearest || Math.abs(daysAway) < Math.abs(nearest.daysAway)) {
+        nearest = { ...event, daysAway };
+      }
+    }
+
+    return nearest;
+  },
+};
@@ -0,0 +1,121 @@
+// Change-Point Service - CUSUM level-shift detection on de-seasonalized daily data
+import {
+  MAD_SCALE,
+  mean,
+  median,
+  medianAbsoluteDeviation,
+} from "../utils/statistics.js";
+
+// Statistical constants
+const MIN_SEGMENT_BEFORE = 5; // Days of history needed before a shift
+const MIN_SEGMENT_AFTER = 2; // Days needed after a shift to call it a shift
+const SHIFT_SIGNIFICANCE = 3.0; // Standardized difference between segment means
+const MIN_RELATIVE_SHIFT = 0.05; // Ignore shifts smaller than 5%
+const PERSISTENCE_DAYS = 3; // Recent days that must stay on the new level
+
+export const changePointService = {
+  /**
+   * Remove day-of-week effects so weekends don't look like level shifts
+   * Uses weekday median minus overall median (robust to the shift itself)
+   */
+  deseasonalize(sortedData, metricName) {
+    const values = sortedData.map((d) => d[metricName] || 0);
+    const overallMedian = median(values);
+
+    const byDayOfWeek = Array(7)
+      .fill()
+      .map(() => []);
+    sortedData.forEach((day, i) => {
+      byDayOfWeek[new Date(day.date).getDay()].push(values[i]);
+    });
+
+    const seasonal = byDayOfWeek.map((dayValues) =>
+      dayValues.length > 0 ? median(dayValues) - overallMedian : 0
+    );
+
+    return sortedData.map(
+      (day, i) => values[i] - seasonal[new Date(day.date).getDay()]
+    );
+  },
+
+  /**
+   * Find the most likely single level shift in the series
+   * CUSUM picks the split point; a standardized mean difference decides significance.
+   * @param {object} options - { minSegmentBefore: days of history required before a shift }
+   * @returns {object} { detected, startDate, magnitude, direction, persists, ... }
+   */
+  detect(sortedData, metricName, options = {}) {
+    const { minSegmentBefore = MIN_SEGMENT_BEFORE } = options;
+    const n = sortedData.length;
+    if (n < minSegmentBefore + MIN_SEGMENT_AFTER) {
+      return { detected: false };
+    }
+
+    const series = this.deseasonalize(sortedData, metricName);
+    const seriesMean = mean(series);
+
+    // CUSUM of deviations from the overall mean - peaks where the level changes
+    let cusum = 0;
+    let bestIndex = -1;
+    let bestCusum = 0;
+    for (let k = 0; k < n - MIN_SEGMENT_AFTER; k++) {
+      cusum += series[k] - seriesMean;
+      if (k + 1 >= minSegmentBefore && Math.abs(cusum) > bestCusum) {
+        bestCusum = Math.abs(cusum);
+        bestIndex = k + 1; // First day of the new level
+      }
+    }
+
+    if (bestIndex === -1) return { detected: false };
+
+    const before = series.slice(0, bestIndex);
+    const after = series.slice(bestIndex);
+    const beforeMean = mean(before);
+    const afterMean = mean(after);
+
+    // Robust noise estimate from within-segment residuals
+    const residuals = [
+      ...before.map((v) => v - beforeMean),
+      ...after.map((v) => v - afterMean),
+    ];
+    const noise = MAD_SCALE * medianAbsoluteDeviation(residuals);
+    const standardError =
+      noise * Math.sqrt(1 / before.length + 1 / after.length);
+
+    const statistic =
+      standardError > 0
+        ? Math.abs(afterMean - beforeMean) / standardError
+        : afterMean !== beforeMean
+        ? Infinity
+        : 0;
+
+    // De-seasonalized levels can overshoot zero - a level can't fall more than 100%
+    const magnitude =
+      beforeMean !== 0
+        ? Math.max(-1, (afterMean - beforeMean) / Math.abs(beforeMean))
+        : 0;
+
+    const detected =
+      statistic >= SHIFT_SIGNIFICANCE &&
+      Math.abs(magnitude) >= MIN_RELATIVE_SHIFT;
+
+    // Persists if the latest days are all closer to the new level than the old one
+    const midpoint = (beforeMean + afterMean) / 2;
+    const recent = after.slice(-PERSISTENCE_DAYS);
+    const persists = recent.every((v) =>
+      afterMean > beforeMean ? v > midpoint : v < midpoint
+    );
+
+    return {
+      detected,
+      startDate: sortedData[bestIndex].date,
+      daysSinceShift: n - bestIndex,
+      beforeMean,
+      afterMean,
+      magnitude,
+      direction: magnitude > 0 ? "up" : "down",
+      persists,
+      statistic,
+    };
+  },
+};
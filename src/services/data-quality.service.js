@@ -0,0 +1,273 @@
+// Data Quality Service - Spots broken tracking before it's mistaken for a business change
+import { median } from "../utils/statistics.js";
+
+// Detection thresholds
+const BASELINE_DAYS = 14; // Days before the checked window used as "normal"
+const NEAR_ZERO_RATIO = 0.1; // Sessions below 10% of normal = tag likely broken
+const MIN_BASELINE_SESSIONS = 50; // Ignore sites too small to judge
+const FLAT_ZERO_DAYS = 3; // Consecutive zero-conversion days to flag
+const NORMAL_TRAFFIC_RATIO = 0.7; // Sessions at 70%+ of normal = traffic is fine
+const MISSING_REVENUE_RATIO = 0.05; // Revenue below 5% of normal = purchase tracking broken
+const RECENT_WINDOW_DAYS = 7; // Only report missing days this recent
+const TRAILING_GAP_TOLERANCE = 1; // Days of reporting lag (property timezone)
+
+// Action items specific to tracking problems
+const DATA_QUALITY_ACTIONS = {
+  tracking_zero: [
+    "Confirm the GA4 tag still fires on your site (GA4 DebugView or Tag Assistant)",
+    "Check recent deploys, theme changes or Tag Manager publishes that may have removed the tag",
+    "Make sure a consent banner or cookie setting isn't blocking analytics",
+  ],
+  conversions_flat: [
+    "Confirm your key events are still marked as conversions in GA4 Admin",
+    "Run through the conversion flow yourself and watch for the event in DebugView",
+    "Check whether form or thank-you page URLs changed recently",
+  ],
+  revenue_missing: [
+    "Place a test order and confirm the purchase event includes value and currency",
+    "Check for recent e-commerce plugin or checkout integration updates",
+    "Verify the purchase event still fires on the order confirmation page",
+  ],
+  missing_days: [
+    "Check in GA4 whether the property received any data on the missing dates",
+    "Look for site outages, tag removal or data filters applied on those days",
+    "Treat comparisons that include those dates with caution",
+  ],
+};
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+export const dataQualityService = {
+  /**
+   * Run every data-quality check on a daily series
+   * @param {Array} sortedData - Daily rows sorted oldest first
+   * @param {object} options - { asOf: YYYY-MM-DD the check runs on (default today) }
+   * @returns {Array} DATA_QUALITY insights (highest priority first)
+   */
+  check(sortedData, options = {}) {
+    if (!sortedData || sortedData.length === 0) return [];
+
+    const issues = [
+      this.checkTrackingZero(sortedData),
+      this.checkConversionsFlat(sortedData),
+      this.checkRevenueMissing(sortedData),
+      this.checkMissingDays(sortedData, options.asOf),
+    ].filter(Boolean);
+
+    if (issues.length > 0) {
+      console.log(
+        `Data quality: ${issues.length} issue(s) - ${issues
+          .map((i) => i.check)
+          .join(", ")}`
+      );
+    }
+
+    return issues.sort((a, b) => b.impactScore - a.impactScore);
+  },
+
+  /**
+   * Median of a metric over the days before the last `excludeRecent` days
+   */
+  baselineMedian(sortedData, metricName, excludeRecent = 1) {
+    const history = sortedData.slice(
+      Math.max(0, sortedData.length - excludeRecent - BASELINE_DAYS),
+      sortedData.length - excludeRecent
+    );
+    return median(history.map((d) => d[metricName] || 0));
+  },
+
+  /**
+   * Sessions collapsed to near zero on the latest day
+   */
+  checkTrackingZero(sortedData) {
+    const latest = sortedData[sortedData.length - 1];
+    if (latest.sessions === undefined) return null;
+
+    const normalSessions = this.baselineMedian(sortedData, "sessions");
+    if (normalSessions < MIN_BASELINE_SESSIONS) return null;
+    if (latest.sessions >= normalSessions * NEAR_ZERO_RATIO) return null;
+
+    return this.buildInsight({
+      check: "tracking_zero",
+      date: latest.date,
+      metric: "sessions",
+      currentValue: latest.sessions,
+      expectedValue: normalSessions,
+      affectedMetrics: ["*"],
+      affectedDates: [latest.date],
+      impactScore: 1000,
+      headline: "Tracking may be broken: sessions fell to near zero",
+      explanation: `Only ${Math.round(latest.sessions)} sessions were recorded on ${
+        latest.date
+      }, compared with a normal ${Math.round(
+        normalSessions
+      )} per day. A drop this sudden almost always means the GA4 tag stopped firing, not that visitors disappeared.`,
+    });
+  },
+
+  /**
+   * Conversions stuck at exactly 0 for several days while traffic is normal
+   */
+  checkConversionsFlat(sortedData) {
+    const latest = sortedData[sortedData.length - 1];
+    if (latest.conversions === undefined) return null;
+
+    const recent = sortedData.slice(-FLAT_ZERO_DAYS);
+    if (recent.length < FLAT_ZERO_DAYS) return null;
+    if (!recent.every((d) => (d.conversions || 0) === 0)) return null;
+
+    // Conversions must have been a regular thing before
+    const normalConversions = this.baselineMedian(
+      sortedData,
+      "conversions",
+      FLAT_ZERO_DAYS
+    );
+    if (normalConversions < 1) return null;
+
+    if (!this.trafficIsNormal(sortedData, FLAT_ZERO_DAYS)) return null;
+
+    return this.buildInsight({
+      check: "conversions_flat",
+      date: latest.date,
+      metric: "conversions",
+      currentValue: 0,
+      expectedValue: normalConversions,
+      affectedMetrics: ["conversions"],
+      affectedDates: recent.map((d) => d.date),
+      impactScore: 900,
+      headline: `Tracking may be broken: 0 conversions for ${FLAT_ZERO_DAYS} days`,
+      explanation: `Conversions have been exactly 0 since ${
+        recent[0].date
+      } while traffic stayed normal. You usually get about ${Math.round(
+        normalConversions
+      )} per day, so the conversion event has most likely stopped being recorded.`,
+    });
+  },
+
+  /**
+   * Revenue vanished on the latest day while sessions look normal
+   */
+  checkRevenueMissing(sortedData) {
+    const latest = sortedData[sortedData.length - 1];
+    if (latest.totalRevenue === undefined) return null;
+
+    const normalRevenue = this.baselineMedian(sortedData, "totalRevenue");
+    if (normalRevenue <= 0) return null;
+    if ((latest.totalRevenue || 0) >= normalRevenue * MISSING_REVENUE_RATIO) {
+      return null;
+    }
+
+    if (!this.trafficIsNormal(sortedData, 1)) return null;
+
+    return this.buildInsight({
+      check: "revenue_missing",
+      date: latest.date,
+      metric: "totalRevenue",
+      currentValue: latest.totalRevenue || 0,
+      expectedValue: normalRevenue,
+      affectedMetrics: ["totalRevenue"],
+      affectedDates: [latest.date],
+      impactScore: 950,
+      headline: "Tracking may be broken: revenue disappeared",
+      explanation: `Revenue was $${(latest.totalRevenue || 0).toFixed(
+        2
+      )} on ${latest.date} against a normal $${normalRevenue.toFixed(
+        2
+      )}, while sessions were normal. Purchase tracking (value/currency on the purchase event) is the most likely cause.`,
+    });
+  },
+
+  /**
+   * Dates missing from metrics.daily (GA4 omits days with no data at all)
+   */
+  checkMissingDays(
+    sortedData,
+    asOf = new Date().toISOString().split("T")[0]
+  ) {
+    const present = new Set(sortedData.map((d) => d.date));
+    const firstDate = sortedData[0].date;
+    const lastDate = sortedData[sortedData.length - 1].date;
+
+    // Expected last date = yesterday (UTC), allowing for property timezone lag
+    const yesterday = addDays(asOf, -1);
+    const expectedLast =
+      lastDate < addDays(yesterday, -TRAILING_GAP_TOLERANCE)
+        ? yesterday
+        : lastDate;
+
+    const missing = [];
+    for (
+      let date = firstDate;
+      date <= expectedLast;
+      date = addDays(date, 1)
+    ) {
+      if (!present.has(date)) missing.push(date);
+    }
+
+    const recentCutoff = addDays(expectedLast, -RECENT_WINDOW_DAYS);
+    const recentMissing = missing.filter((date) => date > recentCutoff);
+    if (recentMissing.length === 0) return null;
+
+    return this.buildInsight({
+      check: "missing_days",
+      date: recentMissing[recentMissing.length - 1],
+      metric: "sessions",
+      currentValue: 0,
+      expectedValue: this.baselineMedian(sortedData, "sessions", 0),
+      affectedMetrics: ["*"],
+      affectedDates: recentMissing,
+      missingDates: recentMissing,
+      impactScore: 800,
+      headline: `Tracking may be broken: ${recentMissing.length} day${
+        recentMissing.length === 1 ? "" : "s"
+      } of missing data`,
+      explanation: `GA4 returned no data at all for ${recentMissing.join(
+        ", "
+      )}. Even quiet sites record some traffic every day, so this points to a tracking gap.`,
+    });
+  },
+
+  /**
+   * Were sessions in the last N days close to normal?
+   */
+  trafficIsNormal(sortedData, recentDays) {
+    if (sortedData[0].sessions === undefined) return true;
+
+    const normalSessions = this.baselineMedian(
+      sortedData,
+      "sessions",
+      recentDays
+    );
+    const recentSessions = median(
+      sortedData.slice(-recentDays).map((d) => d.sessions || 0)
+    );
+    return recentSessions >= normalSessions * NORMAL_TRAFFIC_RATIO;
+  },
+
+  /**
+   * Shape a data-quality finding like the rest of the insights
+   */
+  buildInsight({ check, currentValue, expectedValue, ...fields }) {
+    return {
+      ...fields,
+      check,
+      insightType: "DATA_QUALITY",
+      currentValue,
+      expectedValue,
+      percentChange:
+        expectedValue !== 0 ? (currentValue - expectedValue) / expectedValue : -1,
+      zScore: null,
+      confidence: null,
+      trendType: "spike",
+      direction: "down",
+      actionItems: DATA_QUALITY_ACTIONS[check],
+    };
+  },
+};
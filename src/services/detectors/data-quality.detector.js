@@ -0,0 +1,17 @@
+// Data-Quality Detector - Broken tracking checks from dataQualityService
+import { dataQualityService } from "../data-quality.service.js";
+
+export const dataQualityDetector = {
+  id: "data-quality",
+  name: "Data quality",
+  scope: "series",
+
+  /**
+   * Check the whole series for tracking problems
+   * @param {object} context - { sortedData, settings, asOf }
+   * @returns {Array} Complete DATA_QUALITY insights
+   */
+  detect({ sortedData, asOf }) {
+    return dataQualityService.check(sortedData, { asOf });
+  },
+};
@@ -0,0 +1,38 @@
+// Forecast Detector - Flags days outside their Holt-Winters 95% prediction interval
+
+export const forecastDetector = {
+  id: "forecast",
+  name: "Forecast interval",
+  scope: "metric",
+
+  /**
+   * Flag recent days outside the interval forecast from the history before them
+   * Z-score here is the distance from the forecast in forecast standard errors
+   * @param {object} context - Detector context built by insightsService.analyzeMetric
+   * @returns {Array} Findings: { date, currentValue, expectedValue, zScore,
+   *   degreesOfFreedom, percentChange }
+   */
+  detect({ days, metricName, forecastChecks, passesGates }) {
+    return days.flatMap((day) => {
+      const forecastCheck = forecastChecks.find((f) => f.date === day.date);
+      if (!forecastCheck?.outside95) return [];
+
+      const currentValue = day[metricName] || 0;
+      const expectedValue = forecastCheck.expected;
+      const zScore = (currentValue - expectedValue) / forecastCheck.stdError;
+      const percentChange = (currentValue - expectedValue) / expectedValue;
+
+      if (!passesGates(day, zScore, percentChange)) return [];
+      return [
+        {
+          date: day.date,
+          currentValue,
+          expectedValue,
+          zScore,
+          degreesOfFreedom: forecastCheck.degreesOfFreedom,
+          percentChange,
+        },
+      ];
+    });
+  },
+};
@@ -0,0 +1,75 @@
+// Detector Registry - Anomaly detection methods the insights engine can run
+//
+// Every detector exports { id, name, scope, detect(context) }:
+// - scope "metric": called once per metric with the context built by
+//   insightsService.analyzeMetric; returns findings
+//   { date, currentValue, expectedValue, zScore, degreesOfFreedom, percentChange }
+//   that the engine turns into full insights (degreesOfFreedom of the noise
+//   estimate behind zScore; omit it for a normal-distribution p-value).
+//   Findings must clear the significance level after multiple-testing correction
+//   unless the detector sets significance: false
+// - scope "series": called once per analysis with { sortedData, settings, asOf };
+//   returns complete insights and outranks metric findings
+import { zScoreDetector } from "./zscore.detector.js";
+import { robustDetector } from "./robust.detector.js";
+import { forecastDetector } from "./forecast.detector.js";
+import { thresholdDetector } from "./threshold.detector.js";
+import { dataQualityDetector } from "./data-quality.detector.js";
+
+const detectors = new Map();
+
+export const detectorRegistry = {
+  /**
+   * Add a detector (replaces any detector with the same id)
+   */
+  register(detector) {
+    if (!detector?.id || typeof detector.detect !== "function") {
+      throw new Error("Detector must have an id and a detect() function");
+    }
+    if (!["metric", "series"].includes(detector.scope)) {
+      throw new Error(
+        `Detector ${detector.id} has unknown scope: ${detector.scope}`
+      );
+    }
+    detectors.set(detector.id, detector);
+  },
+
+  /**
+   * Look up a detector by id
+   */
+  get(id) {
+    return detectors.get(id) || null;
+  },
+
+  /**
+   * All registered detector ids
+   */
+  ids() {
+    return [...detectors.keys()];
+  },
+
+  /**
+   * Public description of every detector (for settings UIs)
+   */
+  list() {
+    return [...detectors.values()].map(({ id, name, scope }) => ({
+      id,
+      name,
+      scope,
+    }));
+  },
+
+  /**
+   * Detectors for a list of ids, in the given order (unknown ids are skipped)
+   */
+  resolve(ids) {
+    return ids.map((id) => detectors.get(id)).filter(Boolean);
+  },
+};
+
+// Built-in detectors
+detectorRegistry.register(zScoreDetector);
+detectorRegistry.register(robustDetector);
+detectorRegistry.register(forecastDetector);
+detectorRegistry.register(thresholdDetector);
+detectorRegistry.register(dataQualityDetector);
@@ -0,0 +1,35 @@
+// Robust Detector - Day-of-week median baseline with MAD scale
+// Outliers (including the days being judged) can't inflate the baseline
+
+export const robustDetector = {
+  id: "robust",
+  name: "Robust median/MAD",
+  scope: "metric",
+
+  /**
+   * Flag recent days far from their day-of-week median
+   * @param {object} context - Detector context built by insightsService.analyzeMetric
+   * @returns {Array} Findings: { date, currentValue, expectedValue, zScore,
+   *   degreesOfFreedom, percentChange }
+   */
+  detect({ days, metricName, scoreBaselines, passesGates }) {
+    return days.flatMap((day) => {
+      const currentValue = day[metricName] || 0;
+      const { expectedValue, zScore, degreesOfFreedom } =
+        scoreBaselines(day).robust;
+      const percentChange = (currentValue - expectedValue) / expectedValue;
+
+      if (!passesGates(day, zScore, percentChange)) return [];
+      return [
+        {
+          date: day.date,
+          currentValue,
+          expectedValue,
+          zScore,
+          degreesOfFreedom,
+          percentChange,
+        },
+      ];
+    });
+  },
+};
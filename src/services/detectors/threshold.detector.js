@@ -0,0 +1,41 @@
+// Threshold Detector - Plain percent-change rule against the day-of-week mean
+// Catches big moves on noisy metrics where the z-score never gets significant
+
+export const thresholdDetector = {
+  id: "threshold",
+  name: "Threshold rule",
+  scope: "metric",
+  significance: false, // A rule, not a test - the p-value gate doesn't apply
+
+  /**
+   * Flag recent days whose change clears the metric's configured threshold
+   * Metrics without a threshold in settings.thresholds are never flagged
+   * @param {object} context - Detector context built by insightsService.analyzeMetric
+   * @returns {Array} Findings: { date, currentValue, expectedValue, zScore,
+   *   degreesOfFreedom, percentChange }
+   */
+  detect({ days, metricName, settings, scoreBaselines, passesGates }) {
+    if (settings.thresholds[metricName] === undefined) return [];
+
+    return days.flatMap((day) => {
+      const currentValue = day[metricName] || 0;
+      const { expectedValue, zScore, degreesOfFreedom } =
+        scoreBaselines(day).seasonal;
+      const percentChange = (currentValue - expectedValue) / expectedValue;
+
+      if (!passesGates(day, zScore, percentChange, { significance: false })) {
+        return [];
+      }
+      return [
+        {
+          date: day.date,
+          currentValue,
+          expectedValue,
+          zScore,
+          degreesOfFreedom,
+          percentChange,
+        },
+      ];
+    });
+  },
+};
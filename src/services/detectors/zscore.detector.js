@@ -0,0 +1,34 @@
+// Z-Score Detector - Day-of-week mean baseline with global standard deviation
+
+export const zScoreDetector = {
+  id: "zscore",
+  name: "Seasonal z-score",
+  scope: "metric",
+
+  /**
+   * Flag recent days far from their day-of-week mean
+   * @param {object} context - Detector context built by insightsService.analyzeMetric
+   * @returns {Array} Findings: { date, currentValue, expectedValue, zScore,
+   *   degreesOfFreedom, percentChange }
+   */
+  detect({ days, metricName, scoreBaselines, passesGates }) {
+    return days.flatMap((day) => {
+      const currentValue = day[metricName] || 0;
+      const { expectedValue, zScore, degreesOfFreedom } =
+        scoreBaselines(day).seasonal;
+      const percentChange = (currentValue - expectedValue) / expectedValue;
+
+      if (!passesGates(day, zScore, percentChange)) return [];
+      return [
+        {
+          date: day.date,
+          currentValue,
+          expectedValue,
+          zScore,
+          degreesOfFreedom,
+          percentChange,
+        },
+      ];
+    });
+  },
+};
@@ -2,59 +2,58 @@
 
 import { Resend } from "resend";
 import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
 
 // Initialize Resend with API key from environment variables
 const resend = new Resend(process.env.RESEND_API_KEY);
 
 /**
- * Generate HTML email template with insights
- * @param {Array} insights - Array of top insights
- * @param {string} userName - User's name for personalization
- * @returns {string} HTML email template
+ * Escape user- and GA4-supplied text (goal names, rule expressions, calendar
+ * events, property names, landing pages) before it goes into email HTML
  */
-function generateEmailTemplate(insights, userName = "there") {
-  // Email styles (inline CSS for email client compatibility)
-  const styles = {
-    container:
-      'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;',
-    header:
-      "background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;",
-    headerTitle: "margin: 0; font-size: 28px; font-weight: bold;",
-    headerSubtitle: "margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;",
-    content:
-      "background: white; padding: 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);",
-    greeting: "font-size: 18px; color: #1f2937; margin-bottom: 20px;",
-    insightCard:
-      "background: #f3f4f6; border-left: 4px solid #667eea; padding: 20px; margin-bottom: 20px; border-radius: 8px;",
-    insightNumber:
-      "color: #667eea; font-size: 14px; font-weight: bold; margin-bottom: 8px;",
-    metricName:
-      "font-size: 20px; font-weight: bold; color: #1f2937; margin-bottom: 8px;",
-    changeText: "font-size: 16px; margin-bottom: 12px;",
-    actionTitle:
-      "font-size: 14px; font-weight: bold; color: #4b5563; margin-bottom: 8px;",
-    actionItems:
-      "margin: 0; padding-left: 20px; color: #6b7280; line-height: 1.6;",
-    footer:
-      "text-align: center; padding: 20px; color: #9ca3af; font-size: 14px;",
-    button:
-      "display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin-top: 20px;",
-  };
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Card label and accent for insights that aren't plain metric moves
+const CARD_BADGES = {
+  DATA_QUALITY: { label: "Data quality", color: "#d97706", icon: "⚠️" },
+  RULE: { label: "Your alert rule", color: "#7c3aed", icon: "🔔" },
+};
 
-  // Build insight cards HTML
-  // Build insight cards HTML
-  const insightCards = insights
+/**
+ * Render insight cards for a single property
+ * The headline carries what the numbers alone can't (broken tracking, which
+ * rule fired, level shifts, the p-value), so it leads every card.
+ * @param {Array} insights - Array of top insights (DB or insights service format)
+ * @param {Object} styles - Inline style map from generateEmailTemplate
+ * @returns {string} HTML for the cards
+ */
+export function renderInsightCards(insights, styles) {
+  return insights
     .map((insight, index) => {
       // Handle both database format and insights service format
+      const insightType = insight.insight_type || insight.insightType;
       const metricName = insight.metric_name || insight.metric;
-      const metricValue = insight.metric_value || insight.currentValue;
+      const metricValue = insight.metric_value ?? insight.currentValue;
       const baselineValue =
-        insight.baseline_value || insight.expectedValue || insight.baseline;
-      const percentChange = insight.percent_change || insight.percentChange;
+        insight.baseline_value ?? insight.expectedValue ?? insight.baseline;
+      const percentChange = insight.percent_change ?? insight.percentChange;
       const direction = insight.direction;
+      const badge = CARD_BADGES[insightType];
+
+      // 0 is a valid value - only null/undefined count as missing
+      const hasValues = [metricValue, baselineValue, percentChange].every(
+        (value) => value !== undefined && value !== null
+      );
 
-      // Safety check - skip if critical values are missing
-      if (!metricValue || !baselineValue || percentChange === undefined) {
+      // Safety check - skip if there's nothing to show
+      if (!hasValues && !insight.headline) {
         console.warn("Skipping insight with missing data:", insight);
         return "";
       }
@@ -66,31 +65,105 @@ function generateEmailTemplate(insights, userName = "there") {
 
       const actionItems = actionItemsArray
         .filter((item) => item && item.trim())
-        .map((item) => `<li style="margin-bottom: 6px;">${item.trim()}</li>`)
+        .map(
+          (item) =>
+            `<li style="margin-bottom: 6px;">${escapeHtml(item.trim())}</li>`
+        )
         .join("");
 
-      // Determine color based on direction
+      // Top segments behind the change (root-cause drill-down)
+      const drivers = insightsService.summarizeDrilldown(
+        insight.drilldown || insight.supporting_data?.drilldown
+      );
+      const driversHtml = drivers
+        ? `<div style="${styles.drivers}"><strong>Top drivers:</strong> ${escapeHtml(
+            drivers
+          )}</div>`
+        : "";
+
+      // Other metrics grouped into this insight (same day, same cause)
+      const relatedMetrics =
+        insight.relatedMetrics || insight.supporting_data?.relatedMetrics || [];
+      const relatedHtml = relatedMetrics.length
+        ? `<div style="${styles.drivers}"><strong>Also affected:</strong> ${relatedMetrics
+            .map(
+              (r) =>
+                `${insightsService.getHumanMetricName(r.metric)} ${
+                  r.percentChange > 0 ? "+" : ""
+                }${(r.percentChange * 100).toFixed(1)}%`
+            )
+            .join(", ")}</div>`
+        : "";
+
+      // Goal pacing: progress toward the target instead of a baseline
+      const goal = insight.goal || insight.supporting_data?.goal;
+      const goalHtml = goal
+        ? `<div style="${styles.drivers}"><strong>${escapeHtml(
+            goal.name
+          )}:</strong> ${insightsService.formatMetricValue(
+            goal.metric,
+            goal.actualToDate
+          )} so far, projected ${insightsService.formatMetricValue(
+            goal.metric,
+            goal.projectedTotal
+          )} of ${insightsService.formatMetricValue(
+            goal.metric,
+            goal.target
+          )} (${goal.remainingDays} days left)</div>`
+        : "";
+
+      // Determine color and icon based on direction
       const directionColor =
         direction === "up"
           ? "#10b981"
           : direction === "down"
           ? "#ef4444"
           : "#6b7280";
-
-      return `
-    <div style="${styles.insightCard}">
-      <div style="${styles.insightNumber}">INSIGHT #${index + 1}</div>
-      <div style="${styles.metricName}">${directionIcon} ${metricName}</div>
-      <div style="${styles.changeText}">
+      const directionIcon =
+        direction === "up" ? "📈" : direction === "down" ? "📉" : "➡️";
+
+      const badgeHtml = badge
+        ? ` <span style="${styles.badge} background: ${
+            badge.color
+          };">${badge.label.toUpperCase()}</span>`
+        : "";
+
+      // Broken tracking reads as a collapse in the raw numbers - the headline
+      // and explanation tell the story instead
+      const changeHtml =
+        hasValues && insightType !== "DATA_QUALITY"
+          ? `<div style="${styles.changeText}">
+        ${escapeHtml(insightsService.getHumanMetricName(metricName))}
         <span style="color: ${directionColor}; font-weight: bold;">
           ${percentChange > 0 ? "+" : ""}${(percentChange * 100).toFixed(1)}%
         </span>
         <span style="color: #6b7280;">
           (${Number(metricValue).toLocaleString()} vs ${Number(
-        baselineValue
-      ).toLocaleString()})
+              baselineValue
+            ).toLocaleString()})
         </span>
-      </div>
+      </div>`
+          : "";
+
+      const explanationHtml = insight.explanation
+        ? `<div style="${styles.explanation}">${escapeHtml(
+            insight.explanation
+          )}</div>`
+        : "";
+
+      return `
+    <div style="${styles.insightCard}${
+        badge ? ` border-left-color: ${badge.color};` : ""
+      }">
+      <div style="${styles.insightNumber}">INSIGHT #${index + 1}${badgeHtml}</div>
+      <div style="${styles.metricName}">${
+        badge?.icon || directionIcon
+      } ${escapeHtml(insight.headline || metricName)}</div>
+      ${changeHtml}
+      ${explanationHtml}
+      ${goalHtml}
+      ${relatedHtml}
+      ${driversHtml}
       <div style="${styles.actionTitle}">Recommended Actions:</div>
       <ul style="${styles.actionItems}">
         ${actionItems}
@@ -99,6 +172,104 @@ function generateEmailTemplate(insights, userName = "there") {
   `;
     })
     .join("");
+}
+
+/**
+ * Generate HTML email template with insights
+ * @param {Array} sections - One entry per GA4 property: { propertyName, summary, insights, error }
+ * @param {string} userName - User's name for personalization
+ * @param {Object} options - { title, subtitle, intro } for emails other than the daily report
+ * @returns {string} HTML email template
+ */
+function generateEmailTemplate(sections, userName = "there", options = {}) {
+  const {
+    title = "Your Daily GA4 Insights",
+    subtitle = "Your Daily GA4 Insights",
+    intro = "Here are your top insights from yesterday's Google Analytics data:",
+  } = options;
+
+  // Email styles (inline CSS for email client compatibility)
+  const styles = {
+    container:
+      'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;',
+    header:
+      "background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;",
+    headerTitle: "margin: 0; font-size: 28px; font-weight: bold;",
+    headerSubtitle: "margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;",
+    content:
+      "background: white; padding: 30px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);",
+    greeting: "font-size: 18px; color: #1f2937; margin-bottom: 20px;",
+    insightCard:
+      "background: #f3f4f6; border-left: 4px solid #667eea; padding: 20px; margin-bottom: 20px; border-radius: 8px;",
+    insightNumber:
+      "color: #667eea; font-size: 14px; font-weight: bold; margin-bottom: 8px;",
+    metricName:
+      "font-size: 20px; font-weight: bold; color: #1f2937; margin-bottom: 8px;",
+    changeText: "font-size: 16px; margin-bottom: 12px;",
+    explanation:
+      "font-size: 14px; color: #374151; line-height: 1.5; margin-bottom: 12px;",
+    badge:
+      "display: inline-block; margin-left: 8px; padding: 2px 8px; border-radius: 4px; color: white; font-size: 11px; letter-spacing: 0.5px;",
+    drivers: "font-size: 14px; color: #4b5563; margin-bottom: 12px;",
+    actionTitle:
+      "font-size: 14px; font-weight: bold; color: #4b5563; margin-bottom: 8px;",
+    actionItems:
+      "margin: 0; padding-left: 20px; color: #6b7280; line-height: 1.6;",
+    footer:
+      "text-align: center; padding: 20px; color: #9ca3af; font-size: 14px;",
+    button:
+      "display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin-top: 20px;",
+    propertyTitle:
+      "font-size: 16px; font-weight: bold; color: #4b5563; margin: 30px 0 12px 0; padding-bottom: 6px; border-bottom: 1px solid #e5e7eb;",
+    summary:
+      "background: #eef2ff; padding: 16px 20px; margin-bottom: 24px; border-radius: 8px; color: #1f2937; font-size: 15px; line-height: 1.6;",
+    summaryProperty: "font-weight: bold; color: #4b5563;",
+    propertyError:
+      "background: #fef2f2; border-left: 4px solid #ef4444; padding: 16px; margin-bottom: 20px; border-radius: 8px; color: #991b1b; font-size: 14px;",
+  };
+
+  // Only label sections when the user has more than one property
+  const showPropertyTitles = sections.length > 1;
+
+  // Executive summary: one short narrative per property, above all the cards
+  const summaries = sections.filter((section) => section.summary);
+  const summaryHtml =
+    summaries.length > 0
+      ? `<div style="${styles.summary}">${summaries
+          .map(
+            (section) =>
+              `<p style="margin: 0 0 8px 0;">${
+                showPropertyTitles
+                  ? `<span style="${styles.summaryProperty}">${escapeHtml(
+                      section.propertyName
+                    )}:</span> `
+                  : ""
+              }${escapeHtml(section.summary)}</p>`
+          )
+          .join("")}</div>`
+      : "";
+
+  // Build one block of insight cards per property
+  const propertySections = sections
+    .map((section) => {
+      const title = showPropertyTitles
+        ? `<div style="${styles.propertyTitle}">${escapeHtml(
+            section.propertyName
+          )}</div>`
+        : "";
+
+      if (section.error) {
+        return `
+    ${title}
+    <div style="${styles.propertyError}">
+      We couldn't analyze this property today: ${escapeHtml(section.error)}
+    </div>
+  `;
+      }
+
+      return `${title}${renderInsightCards(section.insights, styles)}`;
+    })
+    .join("");
 
   // Complete HTML email
   return `
@@ -107,27 +278,28 @@ function generateEmailTemplate(insights, userName = "there") {
       <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Your Daily GA4 Insights</title>
+        <title>${title}</title>
       </head>
       <body style="margin: 0; padding: 0; background-color: #f9fafb;">
         <div style="${styles.container}">
           <!-- Header -->
           <div style="${styles.header}">
             <h1 style="${styles.headerTitle}">GobbleData</h1>
-            <p style="${styles.headerSubtitle}">Your Daily GA4 Insights</p>
+            <p style="${styles.headerSubtitle}">${subtitle}</p>
           </div>
 
           <!-- Content -->
           <div style="${styles.content}">
             <p style="${styles.greeting}">
-              Hey ${userName}!
+              Hey ${escapeHtml(userName)}!
             </p>
+            ${summaryHtml}
             <p style="color: #6b7280; margin-bottom: 30px;">
-              Here are your top insights from yesterday's Google Analytics data:
+              ${intro}
             </p>
 
             <!-- Insights -->
-            ${insightCards}
+            ${propertySections}
 
             <!-- CTA Button -->
             <div style="text-align: center; margin-top: 30px;">
@@ -218,17 +390,20 @@ async function retryEmailSend(emailFunction, maxRetries = 3) {
 /**
  * Send daily insights email to user
  * @param {string} userId - User ID from Supabase
- * @param {Array} insights - Array of top insights
+ * @param {Array} sections - Per-property results: { propertyName, insights, error }
  * @returns {Object} Success status and message
  */
-export async function sendDailyInsights(userId, insights) {
+export async function sendDailyInsights(userId, sections) {
   try {
     // Validate inputs
     if (!userId) {
       throw new Error("User ID is required");
     }
 
-    if (!insights || insights.length === 0) {
+    const hasInsights = sections?.some(
+      (section) => section.insights && section.insights.length > 0
+    );
+    if (!hasInsights) {
       throw new Error("No insights provided");
     }
 
@@ -261,7 +436,7 @@ export async function sendDailyInsights(userId, insights) {
     }
 
     // Generate HTML email
-    const htmlContent = generateEmailTemplate(insights, userName);
+    const htmlContent = generateEmailTemplate(sections, userName);
 
     // Send email via Resend
     // Send email via Resend with retry logic
@@ -316,6 +491,95 @@ export async function sendDailyInsights(userId, insights) {
   }
 }
 
+/**
+ * Send same-day drop alerts (Pro/Enterprise extra report slots)
+ * @param {string} userId - User ID from Supabase
+ * @param {Array} sections - Per-property INTRADAY insights: { propertyName, insights }
+ * @returns {Object} Success status and message
+ */
+export async function sendIntradayAlerts(userId, sections) {
+  try {
+    const alerts = (sections || []).flatMap((section) => section.insights);
+    if (alerts.length === 0) {
+      throw new Error("No alerts provided");
+    }
+
+    const {
+      data: { user },
+      error: authError,
+    } = await supabaseAdmin.auth.admin.getUserById(userId);
+
+    if (authError || !user || !user.email) {
+      throw new Error(
+        `User not found or has no email: ${
+          authError?.message || "Unknown error"
+        }`
+      );
+    }
+
+    if (!isValidEmail(user.email)) {
+      throw new Error("Invalid email address format");
+    }
+
+    const { data: profile } = await supabaseAdmin
+      .from("user_profiles")
+      .select("display_name")
+      .eq("id", userId)
+      .single();
+
+    const userName = profile?.display_name || user.email.split("@")[0];
+
+    const htmlContent = generateEmailTemplate(sections, userName, {
+      title: "GA4 Intraday Alert",
+      subtitle: "Intraday Alert",
+      intro:
+        "Something changed in today's Google Analytics data and it's still going on:",
+    });
+
+    const emailResult = await retryEmailSend(async () => {
+      const { data, error } = await resend.emails.send({
+        from: "GobbleData Insights <insights@gobbledata.com>",
+        to: [user.email],
+        subject:
+          alerts.length === 1
+            ? `Intraday alert: ${alerts[0].headline}`
+            : `Intraday alert: ${alerts.length} metrics dropped today`,
+        html: htmlContent,
+      });
+
+      if (error) {
+        console.error("Resend API error:", error);
+        return {
+          success: false,
+          error: error.message,
+        };
+      }
+
+      return {
+        success: true,
+        message: "Email sent successfully",
+        emailId: data.id,
+        recipient: user.email,
+      };
+    });
+
+    if (!emailResult.success) {
+      throw new Error(
+        `Failed to send email after retries: ${emailResult.error}`
+      );
+    }
+
+    return emailResult;
+  } catch (error) {
+    console.error("Error sending intraday alert email:", error);
+    return {
+      success: false,
+      message: error.message,
+      error: error,
+    };
+  }
+}
+
 /**
  * Send test email (for development/testing)
  * @param {string} email - Email address to send test to
@@ -331,17 +595,19 @@ export async function sendTestEmail(email) {
     // Mock insights for testing
     const mockInsights = [
       {
-        metric_name: "Sessions",
+        metric_name: "sessions",
         direction: "up",
         percent_change: 0.255,
+        headline: "Sessions jumped 25.5% (p = 0.004)",
         metric_value: 1250,
         baseline_value: 1000,
         action_item:
           "Increase ad spend on high-performing campaigns\nOptimize landing pages for mobile users\nExpand targeting to similar audiences",
       },
       {
-        metric_name: "Bounce Rate",
+        metric_name: "bounceRate",
         direction: "down",
+        headline: "Bounce Rate dropped 15.2% (p = 0.02)",
         percent_change: -0.152,
         metric_value: 42.5,
         baseline_value: 50.1,
@@ -349,8 +615,9 @@ export async function sendTestEmail(email) {
           "Continue current content strategy\nAnalyze top-performing pages and replicate success\nImprove page load speed for better engagement",
       },
       {
-        metric_name: "Conversions",
+        metric_name: "conversions",
         direction: "up",
+        headline: "Conversions jumped 18.7% (p = 0.01)",
         percent_change: 0.187,
         metric_value: 145,
         baseline_value: 122,
@@ -359,7 +626,10 @@ export async function sendTestEmail(email) {
       },
     ];
 
-    const htmlContent = generateEmailTemplate(mockInsights, "Test User");
+    const htmlContent = generateEmailTemplate(
+      [{ propertyName: "Test Property", insights: mockInsights }],
+      "Test User"
+    );
 
     const { data, error } = await resend.emails.send({
       from: "GobbleData Insights <insights@gobbledata.com>",
@@ -443,7 +713,7 @@ export async function sendWelcomeEmail(userId) {
             <div style="background: white; padding: 40px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
               
               <p style="font-size: 18px; color: #1f2937; margin: 0 0 20px 0;">
-                Hey ${userName}!
+                Hey ${escapeHtml(userName)}!
               </p>
 
               <p style="font-size: 16px; color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
@@ -641,7 +911,7 @@ export async function sendNoInsightsEmail(userId) {
             <div style="background: white; padding: 40px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
               
               <p style="font-size: 18px; color: #1f2937; margin: 0 0 20px 0;">
-                Hey ${userName}!
+                Hey ${escapeHtml(userName)}!
               </p>
 
               <p style="font-size: 16px; color: #4b5563; line-height: 1.6; margin: 0 0 20px 0;">
@@ -0,0 +1,208 @@
+// Feedback Service - Insight ratings and the metric weights/sensitivity learned from them
+import { supabaseAdmin } from "./supabase.service.js";
+
+export const FEEDBACK_RATINGS = ["useful", "not_useful", "already_knew"];
+
+// Learning constants
+const LEARNING_WINDOW_DAYS = 90; // Only recent feedback reflects current tastes
+const MIN_FEEDBACK = 3; // Ratings per metric before we adjust anything
+const PRIOR_STRENGTH = 5; // Pseudo-ratings pulling small samples toward neutral
+const NEUTRAL_USEFUL_RATE = 0.5; // Useful rate that leaves the weight unchanged
+const NEUTRAL_NOISE_RATE = 0.3; // "Not useful" rate that leaves sensitivity unchanged
+const WEIGHT_RANGE = [0.5, 1.5]; // Multiplier applied to METRIC_WEIGHTS
+const SENSITIVITY_RANGE = [0.8, 1.5]; // Multiplier applied to the detection thresholds
+const PAGE_SIZE = 1000; // Supabase's default row cap per request
+
+// Only ratings of what the statistical engine flagged tune it - rules, goals,
+// data-quality checks and portfolio/intraday alerts have their own triggers, and
+// a "back to normal" update says nothing about detection
+const LEARNABLE_INSIGHT_TYPES = ["ANOMALY", "YOY_CHANGE", "POP_CHANGE"];
+
+/**
+ * Rating of a detector-generated insight (rows without a type are anomalies)
+ */
+function isLearnable(row) {
+  return LEARNABLE_INSIGHT_TYPES.includes(row.insight_type || "ANOMALY");
+}
+
+function clamp(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Shrink an observed rate toward a neutral value when there are few ratings
+ */
+function smoothedRate(count, total, neutral) {
+  return (count + PRIOR_STRENGTH * neutral) / (total + PRIOR_STRENGTH);
+}
+
+export const feedbackService = {
+  /**
+   * Save (or change) a user's rating of one of their insights
+   * @returns {object} The saved feedback row
+   */
+  async rateInsight(userId, insightId, { rating, reason = null }) {
+    const { data: insight, error: insightError } = await supabaseAdmin
+      .from("daily_insights")
+      .select("id, user_id, ga4_connection_id, metric_name, insight_type")
+      .eq("id", insightId)
+      .eq("user_id", userId)
+      .single();
+
+    if (insightError || !insight) {
+      const error = new Error("Insight not found");
+      error.status = 404;
+      throw error;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from("insight_feedback")
+      .upsert(
+        {
+          insight_id: insight.id,
+          user_id: userId,
+          ga4_connection_id: insight.ga4_connection_id,
+          metric_name: insight.metric_name,
+          insight_type: insight.insight_type,
+          rating,
+          reason,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "insight_id,user_id" }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Count ratings per metric
+   * @returns {object} { [metric]: { useful, not_useful, already_knew, total } }
+   */
+  countByMetric(rows) {
+    const counts = {};
+    for (const row of rows) {
+      counts[row.metric_name] = counts[row.metric_name] || {
+        useful: 0,
+        not_useful: 0,
+        already_knew: 0,
+        total: 0,
+      };
+      counts[row.metric_name][row.rating]++;
+      counts[row.metric_name].total++;
+    }
+    return counts;
+  },
+
+  /**
+   * Turn a user's recent ratings into per-metric adjustments for analyzeMetrics
+   * - weightMultipliers: useful metrics rank higher, "already knew" ones lower
+   * - sensitivity: metrics often rated noise need a bigger move to be flagged
+   * @returns {object} { weightMultipliers, sensitivity, feedbackCounts }
+   */
+  async getLearnedAdjustments(userId) {
+    const since = new Date(
+      Date.now() - LEARNING_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from("insight_feedback")
+      .select("metric_name, insight_type, rating")
+      .eq("user_id", userId)
+      .gte("created_at", since);
+
+    if (error) {
+      console.error("Failed to load insight feedback:", error);
+      return { weightMultipliers: {}, sensitivity: {}, feedbackCounts: {} };
+    }
+
+    return this.learnAdjustments(data || []);
+  },
+
+  /**
+   * Pure part of getLearnedAdjustments (feedback rows -> adjustments)
+   * Rows without an insight_type count as anomalies
+   */
+  learnAdjustments(rows) {
+    const feedbackCounts = this.countByMetric(rows.filter(isLearnable));
+    const weightMultipliers = {};
+    const sensitivity = {};
+
+    for (const [metric, counts] of Object.entries(feedbackCounts)) {
+      if (counts.total < MIN_FEEDBACK) continue;
+
+      const usefulRate = smoothedRate(
+        counts.useful,
+        counts.total,
+        NEUTRAL_USEFUL_RATE
+      );
+      const noiseRate = smoothedRate(
+        counts.not_useful,
+        counts.total,
+        NEUTRAL_NOISE_RATE
+      );
+
+      weightMultipliers[metric] = clamp(
+        1 + (usefulRate - NEUTRAL_USEFUL_RATE),
+        WEIGHT_RANGE
+      );
+      sensitivity[metric] = clamp(
+        1 + (noiseRate - NEUTRAL_NOISE_RATE),
+        SENSITIVITY_RANGE
+      );
+    }
+
+    return { weightMultipliers, sensitivity, feedbackCounts };
+  },
+
+  /**
+   * Aggregate detector precision per metric across all users (admin report)
+   * Reads every rating page by page - the report must not stop at the row cap
+   */
+  async getPrecisionByMetric({ since = null } = {}) {
+    const learnable = `insight_type.is.null,insight_type.in.(${LEARNABLE_INSIGHT_TYPES.join(
+      ","
+    )})`;
+    const rows = [];
+    let afterId = null;
+
+    for (;;) {
+      let query = supabaseAdmin
+        .from("insight_feedback")
+        .select("id, metric_name, insight_type, rating")
+        .or(learnable)
+        .order("id")
+        .limit(PAGE_SIZE);
+
+      if (since) query = query.gte("created_at", since);
+      if (afterId) query = query.gt("id", afterId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+      afterId = data[data.length - 1].id;
+    }
+
+    return this.summarizePrecision(rows);
+  },
+
+  /**
+   * Pure part of getPrecisionByMetric (feedback rows -> per-metric precision)
+   * precision = share of rated insights that were real (useful or already knew)
+   * usefulness = share that told the user something new
+   */
+  summarizePrecision(rows) {
+    return Object.entries(this.countByMetric(rows.filter(isLearnable)))
+      .map(([metric, counts]) => ({
+        metric,
+        ...counts,
+        precision: (counts.useful + counts.already_knew) / counts.total,
+        usefulness: counts.useful / counts.total,
+      }))
+      .sort((a, b) => b.total - a.total);
+  },
+};
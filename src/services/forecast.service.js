@@ -0,0 +1,193 @@
+// Forecast Service - Holt-Winters (additive) forecasting with prediction intervals
+import { mean } from "../utils/statistics.js";
+
+// Statistical constants
+const SEASON_LENGTH = 7; // Weekly seasonality in daily GA4 data
+const FORECAST_HORIZON = 7; // Days ahead to forecast
+const HOLDOUT_DAYS = 3; // Recent days checked against their forecast interval
+
+// Two-sided normal quantiles for the prediction intervals
+const INTERVAL_Z = {
+  80: 1.2816,
+  95: 1.96,
+};
+
+// Smoothing parameter grid (small enough to search exhaustively per metric)
+const ALPHA_GRID = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETA_GRID = [0.01, 0.05, 0.1, 0.2];
+const GAMMA_GRID = [0.05, 0.1, 0.2, 0.4];
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+export const forecastService = {
+  /**
+   * Run the Holt-Winters recursion for fixed parameters
+   * Returns final components plus one-step-ahead residuals
+   */
+  runHoltWinters(values, alpha, beta, gamma, seasonLength = SEASON_LENGTH) {
+    // Initialize from the first two seasons
+    const firstSeason = values.slice(0, seasonLength);
+    const secondSeason = values.slice(seasonLength, seasonLength * 2);
+
+    let level = mean(firstSeason);
+    let trend = (mean(secondSeason) - mean(firstSeason)) / seasonLength;
+    const seasonals = firstSeason.map((val) => val - level);
+
+    const residuals = [];
+
+    for (let t = 0; t < values.length; t++) {
+      const seasonIndex = t % seasonLength;
+      const predicted = level + trend + seasonals[seasonIndex];
+
+      // First season was used for initialization - don't score it
+      if (t >= seasonLength) {
+        residuals.push(values[t] - predicted);
+      }
+
+      const previousLevel = level;
+      level =
+        alpha * (values[t] - seasonals[seasonIndex]) +
+        (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      seasonals[seasonIndex] =
+        gamma * (values[t] - level) + (1 - gamma) * seasonals[seasonIndex];
+    }
+
+    return {
+      level,
+      trend,
+      seasonals,
+      alpha,
+      beta,
+      gamma,
+      seasonLength,
+      nextSeasonIndex: values.length % seasonLength,
+      residuals,
+    };
+  },
+
+  /**
+   * Fit Holt-Winters by grid search on one-step-ahead squared error
+   * Needs at least two full seasons of data, otherwise returns null
+   */
+  fit(values, seasonLength = SEASON_LENGTH) {
+    if (!values || values.length < seasonLength * 2) return null;
+
+    let best = null;
+    let bestSse = Infinity;
+
+    for (const alpha of ALPHA_GRID) {
+      for (const beta of BETA_GRID) {
+        for (const gamma of GAMMA_GRID) {
+          const model = this.runHoltWinters(
+            values,
+            alpha,
+            beta,
+            gamma,
+            seasonLength
+          );
+          const sse = model.residuals.reduce((acc, r) => acc + r * r, 0);
+
+          if (sse < bestSse) {
+            bestSse = sse;
+            best = model;
+          }
+        }
+      }
+    }
+
+    // Residual std-dev drives the prediction intervals
+    best.sigma = Math.sqrt(bestSse / Math.max(best.residuals.length, 1));
+    return best;
+  },
+
+  /**
+   * Forecast h steps ahead with 80% / 95% prediction intervals
+   * Variance grows with the horizon: sigma^2 * (1 + sum c_j^2),
+   * c_j = alpha * (1 + j * beta) + gamma * [j is a multiple of the season]
+   */
+  forecast(model, horizon = FORECAST_HORIZON) {
+    const points = [];
+    let varianceFactor = 1;
+
+    for (let h = 1; h <= horizon; h++) {
+      if (h > 1) {
+        const j = h - 1;
+        const seasonalTerm = j % model.seasonLength === 0 ? model.gamma : 0;
+        const c = model.alpha * (1 + j * model.beta) + seasonalTerm;
+        varianceFactor += c * c;
+      }
+
+      const seasonIndex = (model.nextSeasonIndex + h - 1) % model.seasonLength;
+      const expected =
+        model.level + h * model.trend + model.seasonals[seasonIndex];
+      const stdError = model.sigma * Math.sqrt(varianceFactor);
+
+      // GA4 metrics are never negative
+      points.push({
+        step: h,
+        expected: Math.max(0, expected),
+        stdError,
+        // sigma comes from the fit's residuals less the 3 smoothing parameters
+        degreesOfFreedom: Math.max(1, model.residuals.length - 3),
+        lower80: Math.max(0, expected - INTERVAL_Z[80] * stdError),
+        upper80: expected + INTERVAL_Z[80] * stdError,
+        lower95: Math.max(0, expected - INTERVAL_Z[95] * stdError),
+        upper95: expected + INTERVAL_Z[95] * stdError,
+      });
+    }
+
+    return points;
+  },
+
+  /**
+   * Forecast the next N days of a metric from the full daily series
+   */
+  forecastMetric(sortedData, metricName, horizon = FORECAST_HORIZON) {
+    const values = sortedData.map((d) => d[metricName] || 0);
+    const model = this.fit(values);
+    if (!model) return [];
+
+    const lastDate = sortedData[sortedData.length - 1].date;
+
+    return this.forecast(model, horizon).map((point) => ({
+      date: addDays(lastDate, point.step),
+      ...point,
+      actual: null,
+    }));
+  },
+
+  /**
+   * Check recent actuals against forecasts made without them
+   * Fits on everything before the holdout window, then compares each held-out day
+   */
+  evaluateRecentDays(sortedData, metricName, holdoutDays = HOLDOUT_DAYS) {
+    const history = sortedData.slice(0, -holdoutDays);
+    const recent = sortedData.slice(-holdoutDays);
+
+    const model = this.fit(history.map((d) => d[metricName] || 0));
+    if (!model) return [];
+
+    const points = this.forecast(model, recent.length);
+
+    return recent.map((day, index) => {
+      const point = points[index];
+      const actual = day[metricName] || 0;
+
+      return {
+        date: day.date,
+        ...point,
+        actual,
+        outside80: actual < point.lower80 || actual > point.upper80,
+        outside95: actual < point.lower95 || actual > point.upper95,
+      };
+    });
+  },
+};
@@ -1,13 +1,31 @@
 // GA4 Service - Handles Google Analytics API OAuth and data fetching
 import { google } from "googleapis";
+import moment from "moment-timezone";
 import { config } from "../config/index.js";
 
-// Create OAuth2 client
-const oauth2Client = new google.auth.OAuth2(
-  config.ga4.clientId,
-  config.ga4.clientSecret,
-  config.ga4.redirectUri
-);
+/**
+ * Fresh OAuth2 client - never shared, so concurrent requests can't swap credentials
+ */
+function createOAuthClient() {
+  return new google.auth.OAuth2({
+    clientId: config.ga4.clientId,
+    clientSecret: config.ga4.clientSecret,
+    redirectUri: config.ga4.redirectUri,
+    // Stored tokens can be revoked before their expiry - refresh and retry once
+    forceRefreshOnFailure: true,
+  });
+}
+
+// Dimensions used to explain an anomaly (root-cause drill-down)
+const DRILLDOWN_DIMENSIONS = [
+  "sessionDefaultChannelGroup",
+  "deviceCategory",
+  "country",
+  "landingPage",
+];
+
+// Weeks of same-weekday history used as the drill-down baseline
+const DRILLDOWN_BASELINE_WEEKS = 3;
 
 // Scopes we need (read-only access to Analytics)
 const SCOPES = [
@@ -15,16 +33,96 @@ const SCOPES = [
   "https://www.googleapis.com/auth/analytics",
 ];
 
+// Rate metrics are averaged (weighted by sessions), everything else is summed
+const AVERAGED_METRICS = [
+  "engagementRate",
+  "bounceRate",
+  "averageSessionDuration",
+  "sessionConversionRate",
+];
+
+/**
+ * Turn a GA4 relative date ("yesterday", "30daysAgo", "today") into YYYY-MM-DD
+ * GA4 resolves relative dates in the property's timezone, so we do too
+ */
+function resolveDate(dateString, timeZone = "UTC") {
+  const date = moment.tz(timeZone);
+  const daysAgo = dateString.match(/^(\d+)daysAgo$/);
+
+  if (dateString === "today") {
+    // Already today
+  } else if (dateString === "yesterday") {
+    date.subtract(1, "day");
+  } else if (daysAgo) {
+    date.subtract(parseInt(daysAgo[1], 10), "days");
+  } else {
+    return dateString;
+  }
+
+  return date.format("YYYY-MM-DD");
+}
+
+/**
+ * Date range to compare against: the same dates last year, or the
+ * equally long period immediately before
+ */
+function getComparisonRange({ startDate, endDate }, type) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (type === "yearOverYear") {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+  } else if (type === "previousPeriod") {
+    const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+    start.setUTCDate(start.getUTCDate() - days);
+    end.setUTCDate(end.getUTCDate() - days);
+  } else {
+    throw new Error(`Unknown comparison type: ${type}`);
+  }
+
+  return {
+    startDate: start.toISOString().split("T")[0],
+    endDate: end.toISOString().split("T")[0],
+  };
+}
+
+/**
+ * Period totals from daily rows
+ */
+function summarizeDaily(daily, metricNames) {
+  const totalSessions = daily.reduce((sum, d) => sum + (d.sessions || 0), 0);
+  const summary = {};
+
+  for (const name of metricNames) {
+    if (AVERAGED_METRICS.includes(name)) {
+      summary[name] =
+        totalSessions > 0
+          ? daily.reduce((sum, d) => sum + (d[name] || 0) * (d.sessions || 0), 0) /
+            totalSessions
+          : daily.reduce((sum, d) => sum + (d[name] || 0), 0) /
+            Math.max(daily.length, 1);
+    } else {
+      summary[name] = daily.reduce((sum, d) => sum + (d[name] || 0), 0);
+    }
+  }
+
+  return summary;
+}
+
 export const ga4Service = {
   /**
    * Generate Google OAuth URL
    * User will be redirected here to authorize
+   * @param {object} options - { state, codeChallenge } from oauthStateService.create
    */
-  getAuthUrl(userId) {
-    const authUrl = oauth2Client.generateAuthUrl({
+  getAuthUrl({ state, codeChallenge }) {
+    const authUrl = createOAuthClient().generateAuthUrl({
       access_type: "offline", // Gets refresh token
       scope: SCOPES,
-      state: userId, // Pass user ID through OAuth flow
+      state, // Signed, single-use - verified in the callback
+      code_challenge: codeChallenge, // PKCE
+      code_challenge_method: "S256",
       prompt: "consent", // Force consent screen (ensures refresh token)
     });
     return authUrl;
@@ -32,10 +130,14 @@ export const ga4Service = {
 
   /**
    * Exchange authorization code for tokens
+   * @param {string} codeVerifier - PKCE verifier stored with the OAuth state
    */
-  async getTokensFromCode(code) {
+  async getTokensFromCode(code, codeVerifier) {
     try {
-      const { tokens } = await oauth2Client.getToken(code);
+      const { tokens } = await createOAuthClient().getToken({
+        code,
+        codeVerifier,
+      });
       return tokens;
     } catch (error) {
       console.error("Error exchanging code for tokens:", error);
@@ -44,19 +146,39 @@ export const ga4Service = {
   },
 
   /**
-   * Refresh access token using refresh token
+   * OAuth client for one connection
+   * The client refreshes an expired access token on its own (and retries once on
+   * 401/403); every refresh is passed to onTokens with Google's real expiry_date
+   * so the caller can write it back to ga4_connections.
+   * @param {object} credentials - { accessToken, refreshToken, expiresAt }
+   * @param {function} onTokens - Called with { access_token, expiry_date, ... }
    */
-  async refreshAccessToken(refreshToken) {
-    try {
-      oauth2Client.setCredentials({
-        refresh_token: refreshToken,
-      });
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      return credentials;
-    } catch (error) {
-      console.error("Error refreshing token:", error);
-      throw new Error("Failed to refresh access token");
+  createClient({ accessToken, refreshToken, expiresAt } = {}, onTokens) {
+    const client = createOAuthClient();
+
+    client.setCredentials({
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expiry_date: expiresAt ? new Date(expiresAt).getTime() : undefined,
+    });
+
+    if (onTokens) {
+      client.on("tokens", onTokens);
     }
+
+    return client;
+  },
+
+  /**
+   * Reporting timezone of a GA4 property (IANA name, e.g. "America/New_York")
+   * GA4 resolves "today"/"yesterday" and dateHour in this timezone
+   */
+  async getPropertyTimezone(propertyId, auth) {
+    const analyticsAdmin = google.analyticsadmin({ version: "v1beta", auth });
+    const response = await analyticsAdmin.properties.get({
+      name: `properties/${propertyId}`,
+    });
+    return response.data.timeZone || null;
   },
 
   /**
@@ -64,13 +186,9 @@ export const ga4Service = {
    */
   async getGA4Properties(accessToken) {
     try {
-      oauth2Client.setCredentials({
-        access_token: accessToken,
-      });
-
       const analyticsAdmin = google.analyticsadmin({
         version: "v1beta",
-        auth: oauth2Client,
+        auth: this.createClient({ accessToken }),
       });
 
       // List all account summaries (includes properties)
@@ -108,12 +226,13 @@ export const ga4Service = {
   /**
    * Fetch metrics from GA4 Data API
    * @param {string} propertyId - GA4 property ID
-   * @param {string} accessToken - Valid OAuth access token
-   * @param {string} refreshToken - Refresh token for auto-renewal
-   * @param {object} options - Date range and metrics options
-   * @returns {object} Metrics data
+   * @param {object} auth - OAuth client from createClient
+   * @param {object} options - Date range, metrics and comparisons
+   *   ("previousPeriod" / "yearOverYear") to fetch alongside the main range;
+   *   timeZone is the property's (getPropertyTimezone) for resolving the comparisons
+   * @returns {object} Metrics data (+ comparisons keyed by type)
    */
-  async fetchMetrics(propertyId, accessToken, refreshToken, options = {}) {
+  async fetchMetrics(propertyId, auth, options = {}) {
     try {
       const {
         startDate = "7daysAgo",
@@ -126,90 +245,49 @@ export const ga4Service = {
           "bounceRate",
           "totalRevenue",
         ],
+        comparisons = [],
+        timeZone = "UTC",
       } = options;
 
       // DEBUG: Log what we're sending to Google
       console.log("GA4 API Request Debug:");
       console.log("  Property ID:", propertyId);
-      console.log(
-        "  Access Token (first 20 chars):",
-        accessToken?.substring(0, 20)
-      );
-      console.log("  Token length:", accessToken?.length);
       console.log("  Date range:", startDate, "to", endDate);
 
-      // Set up OAuth2 client with access token
-      oauth2Client.setCredentials({ 
-        access_token: accessToken,
-        refresh_token: refreshToken 
-      });
-
-      // Initialize Analytics Data API
-      const analyticsData = google.analyticsdata("v1beta");
+      // Comparison ranges need absolute dates - GA4 can't shift "30daysAgo" by a
+      // year. The main range stays as given so GA4 resolves it in the property's
+      // timezone; only the comparisons are derived from its resolved dates.
+      const dateRanges = [{ startDate, endDate }];
+      const comparisonRanges = {};
+      if (comparisons.length > 0) {
+        const currentRange = {
+          startDate: resolveDate(startDate, timeZone),
+          endDate: resolveDate(endDate, timeZone),
+        };
+        dateRanges[0] = { startDate, endDate, name: "current" };
 
-      // Run report request
-      let response;
-      try {
-        response = await analyticsData.properties.runReport({
-          auth: oauth2Client,
-          property: `properties/${propertyId}`,
-          requestBody: {
-            dateRanges: [
-              {
-                startDate: startDate,
-                endDate: endDate,
-              },
-            ],
-            metrics: metrics.map((name) => ({ name })),
-            dimensions: [{ name: "date" }],
-            keepEmptyRows: false,
-          },
-        });
-      } catch (error) {
-        // If token expired, refresh and retry
-        if (error.code === 401 || error.message?.includes('invalid_grant')) {
-          console.log("🔄 Access token expired, refreshing...");
-          
-          const newCredentials = await this.refreshAccessToken(refreshToken);
-          
-          console.log("Token refreshed successfully");
-          
-          // Retry the request with new token
-          oauth2Client.setCredentials({ 
-            access_token: newCredentials.access_token,
-            refresh_token: refreshToken 
-          });
-          
-          response = await analyticsData.properties.runReport({
-            auth: oauth2Client,
-            property: `properties/${propertyId}`,
-            requestBody: {
-              dateRanges: [
-                {
-                  startDate: startDate,
-                  endDate: endDate,
-                },
-              ],
-              metrics: metrics.map((name) => ({ name })),
-              dimensions: [{ name: "date" }],
-              keepEmptyRows: false,
-            },
-          });
-          
-          // Return new access token so caller can save it
-          return {
-            ...this._parseResponse(response, propertyId, startDate, endDate),
-            newAccessToken: newCredentials.access_token,
-            tokenRefreshed: true,
-          };
-        } else {
-          throw error;
+        for (const type of comparisons) {
+          const range = getComparisonRange(currentRange, type);
+          comparisonRanges[type] = { current: currentRange, comparison: range };
+          dateRanges.push({ ...range, name: type });
+          console.log(`  ${type} range:`, range.startDate, "to", range.endDate);
         }
       }
 
-      // Parse and return response
-      return this._parseResponse(response, propertyId, startDate, endDate);
+      const response = await this._runReport(propertyId, auth, {
+        dateRanges,
+        metrics: metrics.map((name) => ({ name })),
+        dimensions: [{ name: "date" }],
+        keepEmptyRows: false,
+      });
 
+      return this._parseResponse(
+        response,
+        propertyId,
+        startDate,
+        endDate,
+        comparisonRanges
+      );
     } catch (error) {
       console.error("❌ Error fetching GA4 metrics:", error.message);
 
@@ -232,11 +310,164 @@ export const ga4Service = {
     }
   },
 
+  /**
+   * Fetch one metric broken down by a dimension for a day vs its baseline
+   * Baseline = average of the same weekday over the previous weeks
+   * @param {string} propertyId - GA4 property ID
+   * @param {object} auth - OAuth client from createClient
+   * @param {object} options - { metric, dimension, date (YYYY-MM-DD), limit }
+   * @returns {object} { rows: [{ segment, current, baseline, currentSessions, baselineSessions }] }
+   */
+  async fetchSegmentBreakdown(propertyId, auth, options = {}) {
+    const { metric, dimension, date, limit = 50 } = options;
+
+    // GA4 allows up to 4 date ranges: the anomaly day + 3 prior same weekdays
+    const dateRanges = [{ startDate: date, endDate: date, name: "current" }];
+    for (let week = 1; week <= DRILLDOWN_BASELINE_WEEKS; week++) {
+      const baselineDate = new Date(date);
+      baselineDate.setUTCDate(baselineDate.getUTCDate() - week * 7);
+      const day = baselineDate.toISOString().split("T")[0];
+      dateRanges.push({ startDate: day, endDate: day, name: `baseline_${week}` });
+    }
+
+    // Sessions let us weight rate metrics by segment size
+    const metrics = metric === "sessions" ? ["sessions"] : [metric, "sessions"];
+
+    const response = await this._runReport(propertyId, auth, {
+      dateRanges,
+      metrics: metrics.map((name) => ({ name })),
+      dimensions: [{ name: dimension }],
+      orderBys: [{ metric: { metricName: metric }, desc: true }],
+      limit,
+    });
+
+    // With several date ranges GA4 appends the range name as the last dimension
+    const segments = {};
+    for (const row of response.data.rows || []) {
+      const segment = row.dimensionValues[0].value;
+      const rangeName = row.dimensionValues[1]?.value || "current";
+      const value = parseFloat(row.metricValues[0]?.value) || 0;
+      const sessions =
+        parseFloat(row.metricValues[metrics.length - 1]?.value) || 0;
+
+      segments[segment] = segments[segment] || {
+        segment,
+        current: 0,
+        currentSessions: 0,
+        baselineValues: [],
+        baselineSessions: [],
+      };
+
+      if (rangeName === "current") {
+        segments[segment].current = value;
+        segments[segment].currentSessions = sessions;
+      } else {
+        segments[segment].baselineValues.push(value);
+        segments[segment].baselineSessions.push(sessions);
+      }
+    }
+
+    // Missing baseline rows mean the segment had no data that day (= 0)
+    const rows = Object.values(segments).map((s) => ({
+      segment: s.segment,
+      current: s.current,
+      currentSessions: s.currentSessions,
+      baseline:
+        s.baselineValues.reduce((acc, v) => acc + v, 0) /
+        DRILLDOWN_BASELINE_WEEKS,
+      baselineSessions:
+        s.baselineSessions.reduce((acc, v) => acc + v, 0) /
+        DRILLDOWN_BASELINE_WEEKS,
+    }));
+
+    return { rows };
+  },
+
+  /**
+   * Fetch the drill-down breakdowns for every drill-down dimension
+   * A failing dimension is skipped so the others still come back
+   * @returns {object} { breakdowns: { [dimension]: rows } }
+   */
+  async fetchDrilldown(propertyId, auth, options = {}) {
+    const breakdowns = {};
+
+    for (const dimension of DRILLDOWN_DIMENSIONS) {
+      try {
+        const result = await this.fetchSegmentBreakdown(propertyId, auth, {
+          ...options,
+          dimension,
+        });
+        breakdowns[dimension] = result.rows;
+      } catch (error) {
+        console.error(
+          `Drill-down by ${dimension} failed for property ${propertyId}:`,
+          error.message
+        );
+      }
+    }
+
+    return { breakdowns };
+  },
+
+  /**
+   * Fetch hourly rows (dateHour) for intraday anomaly detection
+   * GA4 reports dateHour in the property's timezone, so "today" is the property's today
+   * @param {object} options - { startDate, endDate, metrics }
+   * @returns {object} { hourly: [{ dateHour, date, hour, ...metrics }] }
+   */
+  async fetchIntraday(propertyId, auth, options = {}) {
+    const {
+      startDate = "28daysAgo",
+      endDate = "today",
+      metrics = ["sessions", "conversions", "totalRevenue"],
+    } = options;
+
+    const response = await this._runReport(propertyId, auth, {
+      dateRanges: [{ startDate, endDate }],
+      metrics: metrics.map((name) => ({ name })),
+      dimensions: [{ name: "dateHour" }],
+      orderBys: [{ dimension: { dimensionName: "dateHour" } }],
+      limit: 10000,
+    });
+
+    const hourly = (response.data.rows || []).map((row) => {
+      // "2026101810" -> 2026-10-18, hour 10
+      const dateHour = row.dimensionValues[0].value;
+      const entry = {
+        dateHour,
+        date: this.formatDate(dateHour.slice(0, 8)),
+        hour: parseInt(dateHour.slice(8, 10), 10),
+      };
+      metrics.forEach((name, index) => {
+        entry[name] = parseFloat(row.metricValues[index]?.value) || 0;
+      });
+      return entry;
+    });
+
+    return { hourly };
+  },
+
+  /**
+   * Helper: Run a Data API report with a connection's client
+   * Token refresh happens inside the client (see createClient)
+   * @private
+   */
+  async _runReport(propertyId, auth, requestBody) {
+    const analyticsData = google.analyticsdata("v1beta");
+
+    return analyticsData.properties.runReport({
+      auth,
+      property: `properties/${propertyId}`,
+      requestBody,
+    });
+  },
+
   /**
    * Helper: Parse GA4 API response
+   * With comparison ranges, GA4 appends the range name as the last dimension
    * @private
    */
-  _parseResponse(response, propertyId, startDate, endDate) {
+  _parseResponse(response, propertyId, startDate, endDate, comparisonRanges = {}) {
     const { rows, totals, metricHeaders } = response.data;
 
     if (!rows || rows.length === 0) {
@@ -259,9 +490,11 @@ export const ga4Service = {
       });
     }
 
-    // Parse daily breakdown
-    const dailyData = rows.map((row) => {
+    // Parse daily breakdown, split by date range
+    const dailyByRange = {};
+    rows.forEach((row) => {
       const date = row.dimensionValues[0].value;
+      const rangeName = row.dimensionValues[1]?.value || "current";
       const metrics = {};
 
       metricHeaders.forEach((header, index) => {
@@ -269,23 +502,47 @@ export const ga4Service = {
         metrics[header.name] = parseFloat(value) || 0;
       });
 
-      return {
+      dailyByRange[rangeName] = dailyByRange[rangeName] || [];
+      dailyByRange[rangeName].push({
         date: ga4Service.formatDate(date),
         ...metrics,
-      };
+      });
     });
 
+    const dailyData = dailyByRange.current || [];
+
     console.log(
       `Fetched ${dailyData.length} days of data for property ${propertyId}`
     );
 
-    return {
-      hasData: true,
+    const result = {
+      hasData: dailyData.length > 0,
       propertyId,
       dateRange: { startDate, endDate },
       totals: totalMetrics,
       daily: dailyData,
     };
+
+    const comparisonTypes = Object.keys(comparisonRanges);
+    if (comparisonTypes.length > 0) {
+      const metricNames = metricHeaders.map((header) => header.name);
+      result.comparisons = {};
+
+      for (const type of comparisonTypes) {
+        const comparisonDaily = dailyByRange[type] || [];
+        result.comparisons[type] = {
+          type,
+          currentRange: comparisonRanges[type].current,
+          comparisonRange: comparisonRanges[type].comparison,
+          current: summarizeDaily(dailyData, metricNames),
+          comparison: summarizeDaily(comparisonDaily, metricNames),
+          comparisonDays: comparisonDaily.length,
+          daily: comparisonDaily,
+        };
+      }
+    }
+
+    return result;
   },
 
   /**
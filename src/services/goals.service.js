@@ -0,0 +1,301 @@
+// Goals Service - Targets per GA4 connection and month-end (period-end) pacing
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+
+// Goals only make sense for metrics that add up over a period
+export const GOAL_METRICS = [
+  "totalRevenue",
+  "conversions",
+  "sessions",
+  "newUsers",
+];
+export const GOAL_PERIODS = ["month", "quarter", "year"];
+
+// Business-friendly aliases accepted by the API
+const GOAL_METRIC_ALIASES = {
+  revenue: "totalRevenue",
+};
+
+// Pacing constants
+const PACE_HISTORY_DAYS = 28; // Recent days that define the day-of-week run rate
+const MIN_ELAPSED_DAYS = 3; // Too early in the period to project before this
+const AHEAD_MARGIN = 0.1; // Projected 10%+ over target = ahead
+
+const PERIOD_LABELS = {
+  month: "monthly",
+  quarter: "quarterly",
+  year: "yearly",
+};
+
+const PERIOD_NAMES = {
+  month: "Monthly",
+  quarter: "Quarterly",
+  year: "Yearly",
+};
+
+const GOAL_ACTIONS = {
+  behind: [
+    "Review which channels are under-delivering versus last period",
+    "Consider a promotion or campaign push to close the gap",
+    "Check the funnel for new friction (checkout, forms, page speed)",
+  ],
+  on_track: [
+    "Keep current campaigns running - the pace is working",
+    "Watch the next few days in case the pace slips",
+    "Note what's driving results so you can repeat it next period",
+  ],
+  ahead: [
+    "Consider raising the target or reallocating budget to what's working",
+    "Make sure fulfilment and support can keep up with demand",
+    "Document what's driving the outperformance",
+  ],
+};
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from a to b (YYYY-MM-DD), inclusive of both ends
+ */
+function daysInclusive(a, b) {
+  return Math.round((new Date(b) - new Date(a)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+export const goalsService = {
+  /**
+   * Map an API metric name to the GA4 metric name (null if not allowed)
+   */
+  normalizeMetric(metric) {
+    const name = GOAL_METRIC_ALIASES[metric] || metric;
+    return GOAL_METRICS.includes(name) ? name : null;
+  },
+
+  /**
+   * Active goals for a connection
+   */
+  async getActiveGoals(connectionId) {
+    const { data, error } = await supabaseAdmin
+      .from("goals")
+      .select("*")
+      .eq("ga4_connection_id", connectionId)
+      .eq("is_active", true);
+
+    if (error) {
+      console.error("Failed to load goals:", error);
+      return [];
+    }
+
+    return data || [];
+  },
+
+  /**
+   * First and last day of the period containing a date
+   */
+  getPeriodBounds(period, dateString) {
+    const date = new Date(dateString);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    let start;
+    let end;
+    if (period === "year") {
+      start = new Date(Date.UTC(year, 0, 1));
+      end = new Date(Date.UTC(year, 11, 31));
+    } else if (period === "quarter") {
+      const firstMonth = Math.floor(month / 3) * 3;
+      start = new Date(Date.UTC(year, firstMonth, 1));
+      end = new Date(Date.UTC(year, firstMonth + 3, 0));
+    } else {
+      start = new Date(Date.UTC(year, month, 1));
+      end = new Date(Date.UTC(year, month + 1, 0));
+    }
+
+    return {
+      startDate: start.toISOString().split("T")[0],
+      endDate: end.toISOString().split("T")[0],
+    };
+  },
+
+  /**
+   * Earliest period start among goals - the daily series must reach back this far
+   */
+  getEarliestStart(goals, lastDataDate) {
+    return goals
+      .map(
+        (goal) =>
+          this.getPeriodBounds(goal.period, addDays(lastDataDate, 1)).startDate
+      )
+      .sort()[0];
+  },
+
+  /**
+   * Project a goal's period-end total from the daily series
+   * Actual so far + the day-of-week run rate for every remaining day
+   * @param {object} goal - goals row
+   * @param {Array} dailyData - Daily rows ending yesterday (any order)
+   * @returns {object|null} Pacing, or null when it's too early in the period
+   */
+  calculatePacing(goal, dailyData) {
+    if (!dailyData || dailyData.length === 0) return null;
+
+    // GA4 rows aren't guaranteed to be in date order
+    const sortedData = [...dailyData].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+
+    const metric = goal.metric_name;
+    const lastDataDate = sortedData[sortedData.length - 1].date;
+    // The period being paced is the one "today" (the day after the data) falls in
+    const { startDate, endDate } = this.getPeriodBounds(
+      goal.period,
+      addDays(lastDataDate, 1)
+    );
+
+    const elapsedDays = daysInclusive(startDate, lastDataDate);
+    if (elapsedDays < MIN_ELAPSED_DAYS) return null;
+
+    // Days GA4 omitted had no data, so they count as 0
+    const actualToDate = sortedData
+      .filter((d) => d.date >= startDate && d.date <= lastDataDate)
+      .reduce((sum, d) => sum + (d[metric] || 0), 0);
+
+    // Expected value per weekday from the recent run rate
+    const baseline = insightsService.calculateSeasonalBaseline(
+      sortedData.slice(-PACE_HISTORY_DAYS),
+      metric
+    );
+
+    let projectedRemaining = 0;
+    let remainingDays = 0;
+    for (
+      let date = addDays(lastDataDate, 1);
+      date <= endDate;
+      date = addDays(date, 1)
+    ) {
+      projectedRemaining += baseline[new Date(date).getDay()] || 0;
+      remainingDays++;
+    }
+
+    const projectedTotal = actualToDate + projectedRemaining;
+    const target = goal.target_value;
+    const paceRatio = projectedTotal / target - 1;
+
+    let status = "behind";
+    if (paceRatio >= AHEAD_MARGIN) status = "ahead";
+    else if (paceRatio >= 0) status = "on_track";
+
+    return {
+      goalId: goal.id,
+      metric,
+      period: goal.period,
+      startDate,
+      endDate,
+      lastDataDate,
+      target,
+      actualToDate,
+      projectedTotal,
+      projectedRemaining,
+      paceRatio,
+      status,
+      elapsedDays,
+      remainingDays,
+      requiredPerDay:
+        remainingDays > 0
+          ? Math.max(0, target - actualToDate) / remainingDays
+          : 0,
+      expectedPerDay:
+        remainingDays > 0 ? projectedRemaining / remainingDays : 0,
+    };
+  },
+
+  /**
+   * Turn pacing into a GOAL_PACING insight for the daily email
+   */
+  buildPacingInsight(goal, pacing) {
+    const { metric, status } = pacing;
+    const humanMetric = insightsService.getHumanMetricName(metric);
+    const format = (value) => insightsService.formatMetricValue(metric, value);
+    const periodLabel = PERIOD_LABELS[pacing.period] || pacing.period;
+    const goalName =
+      goal.name || `${PERIOD_NAMES[pacing.period]} ${humanMetric} goal`;
+    const gapPercent = (Math.abs(pacing.paceRatio) * 100).toFixed(1);
+
+    const headline =
+      status === "behind"
+        ? `Behind by ${gapPercent}%: ${humanMetric} is pacing to ${format(
+            pacing.projectedTotal
+          )} vs the ${format(pacing.target)} ${periodLabel} goal`
+        : `On track: ${humanMetric} is pacing to ${format(
+            pacing.projectedTotal
+          )} vs the ${format(pacing.target)} ${periodLabel} goal${
+            status === "ahead" ? ` (${gapPercent}% ahead)` : ""
+          }`;
+
+    const remainingContext =
+      pacing.remainingDays > 0
+        ? status === "behind"
+          ? ` To hit it you need about ${format(
+              pacing.requiredPerDay
+            )} per day for the remaining ${
+              pacing.remainingDays
+            } days, versus the ${format(pacing.expectedPerDay)} you usually get.`
+          : ` The remaining ${pacing.remainingDays} days are projected at your usual day-of-week pace.`
+        : "";
+
+    return {
+      date: pacing.lastDataDate,
+      metric,
+      insightType: "GOAL_PACING",
+      detector: "goal",
+      currentValue: pacing.projectedTotal,
+      expectedValue: pacing.target,
+      percentChange: pacing.paceRatio,
+      zScore: null,
+      confidence: null,
+      trendType: "trend",
+      direction: status === "behind" ? "down" : "up",
+      // A shortfall matters more than good news
+      impactScore:
+        Math.abs(pacing.paceRatio) * (status === "behind" ? 100 : 25),
+      goal: {
+        id: goal.id,
+        name: goalName,
+        ...pacing,
+      },
+      headline,
+      explanation: `${goalName}: ${humanMetric} is at ${format(
+        pacing.actualToDate
+      )} after ${pacing.elapsedDays} of ${
+        pacing.elapsedDays + pacing.remainingDays
+      } days (${insightsService.formatShortDate(
+        pacing.startDate
+      )} to ${insightsService.formatShortDate(
+        pacing.endDate
+      )}), projecting to ${format(
+        pacing.projectedTotal
+      )} against a target of ${format(pacing.target)}.${remainingContext}`,
+      actionItems: GOAL_ACTIONS[status],
+    };
+  },
+
+  /**
+   * Pacing insights for every goal, behind-target goals first
+   */
+  evaluateGoals(goals, dailyData) {
+    const insights = [];
+
+    for (const goal of goals) {
+      const pacing = this.calculatePacing(goal, dailyData);
+      if (!pacing) continue;
+      insights.push(this.buildPacingInsight(goal, pacing));
+    }
+
+    return insights.sort((a, b) => b.impactScore - a.impactScore);
+  },
+};
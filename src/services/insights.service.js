@@ -1,10 +1,41 @@
 // Insights Service - Statistical anomaly detection with real rigor
 import { config } from "../config/index.js";
+import { forecastService } from "./forecast.service.js";
+import { changePointService } from "./change-point.service.js";
+import { detectorRegistry } from "./detectors/index.js";
+import { calendarService } from "./calendar.service.js";
+import { actionLibraryService } from "./action-library.service.js";
+import {
+  MAD_SCALE,
+  mean,
+  median,
+  medianAbsoluteDeviation,
+  pearsonCorrelation,
+  twoSidedPValue,
+  benjaminiHochberg,
+} from "../utils/statistics.js";
 
 // Statistical constants
-const Z_SCORE_THRESHOLD = 1.5; // 95% confidence (2 std deviations)
+const Z_SCORE_THRESHOLD = 1.5; // Screening gate - the corrected p-value decides
+const SIGNIFICANCE_LEVEL = 0.05; // Adjusted p-value an insight must reach
 const MIN_DATA_POINTS = 7; // Need at least 1 week for meaningful stats
-const TREND_WINDOW = 5; // Days to determine if sustained trend
+const TREND_WINDOW = 5; // Min days of history before a level shift can start
+const EVALUATION_WINDOW = 3; // Most recent days checked for anomalies
+const BASELINE_METHODS = ["seasonal", "robust"];
+
+// Metrics the engine analyzes, in priority order (only those present in the data)
+export const ANALYZED_METRICS = [
+  "totalRevenue",
+  "conversions",
+  "purchaseProbability",
+  "engagementRate",
+  "averageEngagementTime",
+  "churnProbability",
+  "newUsers",
+  "sessions",
+  "totalUsers",
+  "bounceRate",
+];
 
 // Metric weighting based on business impact
 const METRIC_WEIGHTS = {
@@ -25,77 +56,64 @@ const METRIC_WEIGHTS = {
   bounceRate: 0.5, // Deprecated metric
 };
 
-// Action items library
-const ACTION_LIBRARY = {
-  bounceRate_up: [
-    "Check mobile performance using Google PageSpeed Insights",
-    "Review traffic sources in GA4 to identify low-quality channels",
-    "A/B test landing page design and quiz flow",
-  ],
-  bounceRate_down: [
-    "Document what improved (traffic source, UX change, etc.)",
-    "Scale successful traffic channels",
-    "Apply learnings to other pages",
-  ],
-  sessions_up: [
-    "Ensure infrastructure can handle traffic spike",
-    "Capture leads while traffic is high (pop-ups, CTAs)",
-    "Analyze traffic sources to understand what drove growth",
-  ],
-  sessions_down: [
-    "Check if marketing campaigns paused or ads stopped",
-    "Review SEO rankings for keyword drops",
-    "Investigate technical issues (site down, crawl errors)",
-  ],
-  totalUsers_up: [
-    "Capture new user data (email signups, surveys)",
-    "Optimize onboarding flow for first-time visitors",
-    "Track where new users came from in GA4",
-  ],
-  totalUsers_down: [
-    "Review marketing spend and campaign performance",
-    "Check if competitor launched similar product",
-    "Audit site speed and technical issues",
-  ],
-  engagementRate_up: [
-    "Document successful content/features driving engagement",
-    "Double down on high-engagement pages",
-    "Test similar approaches on other pages",
-  ],
-  engagementRate_down: [
-    "Check for broken features or page errors",
-    "Review content quality and relevance",
-    "A/B test new CTAs and interactive elements",
-  ],
-  conversions_up: [
-    "Scale what's working (traffic source, offer, CTA)",
-    "Capture customer feedback to improve further",
-    "Test higher price points or upsells",
-  ],
-  conversions_down: [
-    "Check conversion funnel for drop-off points",
-    "Review form fields (too many? confusing?)",
-    "Test different offers or CTAs",
-  ],
-  totalRevenue_up: [
-    "Identify which products/services drove the increase",
-    "Scale successful campaigns and channels",
-    "Consider upsell/cross-sell opportunities",
-  ],
-  totalRevenue_down: [
-    "Review pricing strategy and competitor pricing",
-    "Check for payment/checkout issues",
-    "Analyze customer feedback for product issues",
-  ],
-  averageEngagementTime_up: [
-    "Identify which content is keeping users engaged",
-    "Replicate successful content patterns",
-    "Test adding more interactive elements",
+// Grouping: de-seasonalized series this correlated are treated as one driver
+const CORRELATION_THRESHOLD = 0.7;
+
+// Metrics that move together by construction (traffic volume drives all of them)
+const METRIC_FAMILIES = [["sessions", "totalUsers", "newUsers"]];
+
+// Repeat suppression: change in |percent change| that counts as "materially worse"
+const MATERIAL_CHANGE = 0.1; // 10 percentage points
+const RECOVERY_LOOKBACK_DAYS = 3; // Reported anomalies we watch for recovery
+
+// Drill-down: how many segments to surface per anomaly
+const TOP_CONTRIBUTORS = 3;
+
+// Human labels for drill-down dimensions
+const DIMENSION_LABELS = {
+  sessionDefaultChannelGroup: "Channel",
+  deviceCategory: "Device",
+  country: "Country",
+  landingPage: "Landing page",
+};
+
+// Historical comparisons (YoY / previous period)
+const COMPARISON_TYPES = {
+  yearOverYear: {
+    insightType: "YOY_CHANGE",
+    label: "the same period last year",
+    shortLabel: "vs last year",
+  },
+  previousPeriod: {
+    insightType: "POP_CHANGE",
+    label: "the previous period",
+    shortLabel: "vs previous period",
+  },
+};
+const COMPARISON_T_THRESHOLD = 2.0; // Welch t-statistic on daily values
+const DEFAULT_COMPARISON_THRESHOLD = 0.2; // Metrics without a configured threshold
+const MIN_COMPARISON_COVERAGE = 0.8; // Comparison period needs 80%+ of the days
+const COMPARISON_INSIGHT_TYPES = Object.values(COMPARISON_TYPES).map(
+  (type) => type.insightType
+);
+
+// config.algorithm uses business-friendly keys - map them to GA4 metric names
+const THRESHOLD_METRIC_ALIASES = {
+  revenue: "totalRevenue",
+  users: "totalUsers",
+};
+
+// Action items for follow-up ("update") insights
+const UPDATE_ACTIONS = {
+  worsened: [
+    "Escalate - this issue is getting worse, not recovering on its own",
+    "Re-check the drivers listed above for new changes",
+    "Loop in whoever owns the affected channel or page",
   ],
-  averageEngagementTime_down: [
-    "Check page load speed and performance",
-    "Review content quality and relevance",
-    "A/B test different content formats",
+  recovered: [
+    "Confirm what fixed it (rollback, campaign restart, bug fix)",
+    "Note the affected dates so they don't skew future comparisons",
+    "Set up a check so the same issue is caught faster next time",
   ],
 };
 
@@ -110,30 +128,93 @@ export const insightsService = {
     // Get first data point and check which metrics exist
     const sampleData = dailyData[0];
 
-    // Prioritized list (will only use metrics that exist)
-    const desiredMetrics = [
-      "totalRevenue",
-      "conversions",
-      "purchaseProbability",
-      "engagementRate",
-      "averageEngagementTime",
-      "churnProbability",
-      "newUsers",
-      "sessions",
-      "totalUsers",
-      "bounceRate",
-    ];
-
     // Only return metrics that exist in the data
-    return desiredMetrics.filter(
+    return ANALYZED_METRICS.filter(
       (metric) =>
         sampleData.hasOwnProperty(metric) && sampleData[metric] !== undefined
     );
   },
 
+  /**
+   * Merge config.algorithm with per-connection overrides
+   * (ga4_connections.algorithm_settings). Threshold keys come back as GA4 metric names.
+   * @param {object} learned - Per-metric adjustments from feedbackService.getLearnedAdjustments
+   */
+  resolveAlgorithmSettings(overrides = {}, learned = null) {
+    const defaults = config.algorithm;
+    const rawThresholds = {
+      ...defaults.thresholds,
+      ...(overrides?.thresholds || {}),
+    };
+
+    const thresholds = {};
+    for (const [key, value] of Object.entries(rawThresholds)) {
+      thresholds[THRESHOLD_METRIC_ALIASES[key] || key] = value;
+    }
+
+    const baselineMethod = BASELINE_METHODS.includes(overrides?.baselineMethod)
+      ? overrides.baselineMethod
+      : defaults.baselineMethod;
+
+    // Properties that picked the robust baseline get the robust detector by default
+    const detectors = Array.isArray(overrides?.detectors)
+      ? overrides.detectors
+      : defaults.detectors.map((id) =>
+          id === "zscore" && baselineMethod === "robust" ? "robust" : id
+        );
+
+    return {
+      thresholds,
+      persistence: {
+        ...defaults.persistence,
+        ...(overrides?.persistence || {}),
+      },
+      minSampleSize: overrides?.minSampleSize ?? defaults.minSampleSize,
+      baselineMethod,
+      detectors: detectors.filter((id) => detectorRegistry.get(id)),
+      // Engine tuning knobs (mostly for backtesting - see backtest.service.js)
+      zScoreThreshold: overrides?.zScoreThreshold ?? Z_SCORE_THRESHOLD,
+      significanceLevel:
+        overrides?.significanceLevel ??
+        defaults.significanceLevel ??
+        SIGNIFICANCE_LEVEL,
+      trendWindow: overrides?.trendWindow ?? TREND_WINDOW,
+      metricWeights: this.applyLearnedWeights(
+        { ...METRIC_WEIGHTS, ...(overrides?.metricWeights || {}) },
+        learned?.weightMultipliers
+      ),
+      // Per-metric threshold multiplier (>1 = needs a bigger move to flag)
+      metricSensitivity: {
+        ...(learned?.sensitivity || {}),
+        ...(overrides?.metricSensitivity || {}),
+      },
+      // Built-in public holiday set kept out of the baselines (null = none)
+      holidayCountry:
+        overrides?.holidayCountry !== undefined
+          ? overrides.holidayCountry
+          : defaults.holidayCountry ?? null,
+    };
+  },
+
+  /**
+   * Scale metric weights by what the user's feedback says is worth hearing about
+   */
+  applyLearnedWeights(weights, multipliers = {}) {
+    const adjusted = { ...weights };
+    for (const [metric, multiplier] of Object.entries(multipliers || {})) {
+      adjusted[metric] = (weights[metric] ?? 1.0) * multiplier;
+    }
+    return adjusted;
+  },
+
   /**
    * MAIN ANALYSIS ENGINE
    * Uses statistical rigor to detect meaningful anomalies
+   * @param {Array} dailyData - Daily rows from ga4Service.fetchMetrics
+   * @param {object} options - { algorithm: per-connection overrides of config.algorithm }
+   *   algorithm.detectors picks which registered detectors run (see detectors/index.js)
+   *   asOf: YYYY-MM-DD the analysis runs on (default today - set when replaying history)
+   *   learned: feedback-based weights/sensitivity (feedbackService.getLearnedAdjustments)
    */
   async analyzeMetrics(dailyData, options = {}) {
     if (!dailyData || dailyData.length < MIN_DATA_POINTS) {
@@ -162,11 +243,49 @@ export const insightsService = {
       } metrics: ${metricsToAnalyze.join(", ")}`
     );
 
-    // For each metric, run full statistical analysis
+    const settings = this.resolveAlgorithmSettings(
+      options.algorithm,
+      options.learned
+    );
+    const detectors = detectorRegistry.resolve(settings.detectors);
+
+    console.log(`Detectors: ${settings.detectors.join(", ")}`);
+
+    // Holidays and annotated events are kept out of the baselines
+    const calendar = calendarService.buildCalendar(sortedData, {
+      country: settings.holidayCountry,
+      events: options.events,
+    });
+    if (calendar.weights.size > 0) {
+      console.log(
+        `Calendar: ${calendar.weights.size} day(s) excluded or down-weighted in baselines`
+      );
+    }
+
+    // For each metric, run every enabled metric detector
+    // (every metric/day tested is recorded for the multiple-testing correction)
+    const tests = [];
     for (const metricName of metricsToAnalyze) {
-      const metricInsights = this.analyzeMetric(sortedData, metricName);
+      const metricInsights = this.analyzeMetric(
+        sortedData,
+        metricName,
+        settings,
+        detectors,
+        calendar,
+        tests
+      );
       insights.push(...metricInsights);
     }
+    const significant = this.applyMultipleTestingCorrection(
+      insights,
+      tests,
+      settings.significanceLevel
+    );
+
+    // Merge anomalies that share a driver into one composite insight
+    const groupedInsights = this.groupCorrelatedInsights(significant, sortedData);
+    insights.length = 0;
+    insights.push(...groupedInsights);
 
     // Sort by statistical significance (Z-score) then weighted impact
     insights.sort((a, b) => {
@@ -176,196 +295,1337 @@ export const insightsService = {
       return b.impactScore - a.impactScore;
     });
 
-    // Only return top insights (statistically significant)
-    const significantInsights = insights.filter(
-      (i) => Math.abs(i.zScore) >= Z_SCORE_THRESHOLD
+    // Every detector applies its own significance gates
+    console.log(`Found ${insights.length} significant insights`);
+
+    // Series-level findings (broken tracking) outrank everything
+    // and explain away the anomalies they cause
+    const dataQualityIssues = detectors
+      .filter((detector) => detector.scope === "series")
+      .flatMap((detector) =>
+        detector
+          .detect({ sortedData, settings, asOf: options.asOf })
+          .map((issue) => ({ ...issue, detector: detector.id }))
+      );
+    const unexplainedInsights = insights.filter(
+      (insight) =>
+        !dataQualityIssues.some(
+          (issue) =>
+            issue.affectedDates.includes(insight.date) &&
+            (issue.affectedMetrics.includes("*") ||
+              issue.affectedMetrics.includes(insight.metric))
+        )
     );
 
-    console.log(
-      `Found ${significantInsights.length} statistically significant insights`
+    return [...dataQualityIssues, ...unexplainedInsights].slice(0, 5); // Top 5 only
+  },
+
+  /**
+   * Holt-Winters forecasts for every available metric
+   * evaluated: recent days with actuals vs their interval; upcoming: next 7 days
+   */
+  forecastMetrics(dailyData) {
+    if (!dailyData || dailyData.length === 0) return [];
+
+    const sortedData = [...dailyData].sort(
+      (a, b) => new Date(a.date) - new Date(b.date)
     );
 
-    return significantInsights.slice(0, 5); // Top 5 only
+    return this.getAvailableMetrics(sortedData).map((metricName) => ({
+      metric: metricName,
+      evaluated: forecastService.evaluateRecentDays(
+        sortedData,
+        metricName,
+        EVALUATION_WINDOW
+      ),
+      upcoming: forecastService.forecastMetric(sortedData, metricName),
+    }));
   },
 
   /**
-   * STEP 1: Analyze a single metric with full statistical rigor
+   * Report significant changes against the comparison periods from fetchMetrics
+   * @param {Array} dailyData - Daily rows of the current period (metrics.daily)
+   * @param {object} comparisons - metrics.comparisons keyed by comparison type
+   * @param {object} options - { algorithm: per-connection overrides of config.algorithm }
+   * @returns {Array} YOY_CHANGE / POP_CHANGE insights, highest impact first
    */
-  analyzeMetric(sortedData, metricName) {
+  analyzeComparisons(dailyData, comparisons, options = {}) {
+    if (!comparisons || !dailyData || dailyData.length === 0) return [];
+
+    const settings = this.resolveAlgorithmSettings(
+      options.algorithm,
+      options.learned
+    );
     const insights = [];
+    const tests = [];
 
-    // Extract metric values
-    const values = sortedData.map((d) => d[metricName] || 0);
+    for (const comparison of Object.values(comparisons)) {
+      insights.push(
+        ...this.analyzeComparison(dailyData, comparison, settings, tests)
+      );
+    }
+
+    // Correct across every metric and comparison period tested
+    const adjusted = benjaminiHochberg(tests.map((test) => test.pValue));
+    for (const insight of insights) {
+      const index = tests.findIndex(
+        (test) =>
+          test.metric === insight.metric &&
+          test.comparisonType === insight.comparisonType
+      );
+      insight.adjustedPValue = adjusted[index] ?? insight.pValue;
+      insight.confidence = this.pValueToConfidence(insight.adjustedPValue);
+      insight.headline = `${insight.headline} (${this.formatPValue(
+        insight.adjustedPValue
+      )})`;
+    }
+
+    const significant = insights.filter(
+      (insight) => insight.adjustedPValue <= settings.significanceLevel
+    );
+    console.log(`Found ${significant.length} significant period comparisons`);
+
+    return significant.sort((a, b) => b.impactScore - a.impactScore);
+  },
+
+  /**
+   * Compare one period against its comparison period, metric by metric
+   * A change must clear the metric's threshold and a Welch t-test on daily values
+   * @param {Array} tests - Collects { metric, comparisonType, pValue } for every metric tested
+   */
+  analyzeComparison(currentDaily, comparison, settings, tests = []) {
+    const type = COMPARISON_TYPES[comparison.type];
+    if (!type || !comparison.current || !comparison.comparison) return [];
+
+    const currentDays = currentDaily.length;
+    const comparisonDaily = comparison.daily || [];
+
+    // A property younger than a year has nothing (or a partial year) to compare
+    if (comparisonDaily.length < currentDays * MIN_COMPARISON_COVERAGE) {
+      console.log(
+        `Skipping ${comparison.type} comparison: only ${comparisonDaily.length} of ${currentDays} days available`
+      );
+      return [];
+    }
+
+    // Gate: average daily traffic must be large enough to judge
+    if (
+      comparison.current.sessions !== undefined &&
+      comparison.current.sessions / currentDays < settings.minSampleSize
+    ) {
+      return [];
+    }
+
+    const insights = [];
+    const metrics = this.getAvailableMetrics(currentDaily);
+
+    for (const metricName of metrics) {
+      const currentValue = comparison.current[metricName];
+      const previousValue = comparison.comparison[metricName];
+      if (!(previousValue > 0)) continue;
+
+      const currentValues = currentDaily.map((d) => d[metricName] || 0);
+      const comparisonValues = comparisonDaily.map((d) => d[metricName] || 0);
+      const tStatistic = this.welchTStatistic(currentValues, comparisonValues);
+      const pValue = twoSidedPValue(
+        tStatistic,
+        this.welchDegreesOfFreedom(currentValues, comparisonValues)
+      );
+      tests.push({
+        metric: metricName,
+        comparisonType: comparison.type,
+        pValue,
+      });
+
+      const percentChange = (currentValue - previousValue) / previousValue;
+      const threshold =
+        settings.thresholds[metricName] ?? DEFAULT_COMPARISON_THRESHOLD;
+      if (Math.abs(percentChange) < threshold) continue;
+      if (Math.abs(tStatistic) < COMPARISON_T_THRESHOLD) continue;
+
+      const direction = percentChange > 0 ? "up" : "down";
+      const humanMetric = this.getHumanMetricName(metricName);
+      const metricWeight = settings.metricWeights[metricName] || 1.0;
+      const { currentRange, comparisonRange } = comparison;
+
+      insights.push({
+        date: currentRange.endDate,
+        metric: metricName,
+        insightType: type.insightType,
+        detector: "comparison",
+        comparisonType: comparison.type,
+        currentRange,
+        comparisonRange,
+        currentValue,
+        expectedValue: previousValue,
+        percentChange,
+        zScore: tStatistic,
+        pValue,
+        adjustedPValue: pValue,
+        confidence: this.pValueToConfidence(pValue),
+        trendType: "trend",
+        direction,
+        threshold,
+        // Period-level context ranks below fresh day-level anomalies
+        impactScore: Math.abs(percentChange) * 50 * metricWeight,
+        headline: `${humanMetric} ${direction} ${(
+          Math.abs(percentChange) * 100
+        ).toFixed(1)}% ${type.shortLabel}`,
+        explanation: `${humanMetric} came in at ${this.formatMetricValue(
+          metricName,
+          currentValue
+        )} from ${this.formatShortDate(
+          currentRange.startDate
+        )} to ${this.formatShortDate(currentRange.endDate)}, ${direction} from ${this.formatMetricValue(
+          metricName,
+          previousValue
+        )} over ${type.label} (${this.formatShortDate(
+          comparisonRange.startDate
+        )} to ${this.formatShortDate(comparisonRange.endDate)}).`,
+        actionItems: this.getActionItems(metricName, direction),
+      });
+    }
+
+    return insights;
+  },
+
+  /**
+   * Welch's t-statistic for the difference between two samples' means
+   */
+  welchTStatistic(sampleA, sampleB) {
+    if (sampleA.length < 2 || sampleB.length < 2) return 0;
+
+    const varianceA = Math.pow(this.calculateStandardDeviation(sampleA), 2);
+    const varianceB = Math.pow(this.calculateStandardDeviation(sampleB), 2);
+    const standardError = Math.sqrt(
+      varianceA / sampleA.length + varianceB / sampleB.length
+    );
+    const difference = mean(sampleA) - mean(sampleB);
+
+    if (standardError === 0) {
+      return difference === 0 ? 0 : Math.sign(difference) * Infinity;
+    }
+    return difference / standardError;
+  },
+
+  /**
+   * Welch-Satterthwaite degrees of freedom for welchTStatistic
+   */
+  welchDegreesOfFreedom(sampleA, sampleB) {
+    if (sampleA.length < 2 || sampleB.length < 2) return 1;
+
+    const a =
+      Math.pow(this.calculateStandardDeviation(sampleA), 2) / sampleA.length;
+    const b =
+      Math.pow(this.calculateStandardDeviation(sampleB), 2) / sampleB.length;
+    if (a + b === 0) return Infinity;
+
+    return (
+      Math.pow(a + b, 2) /
+      (Math.pow(a, 2) / (sampleA.length - 1) +
+        Math.pow(b, 2) / (sampleB.length - 1))
+    );
+  },
+
+  /**
+   * Drop insights that were already reported and add "update" insights
+   * when a reported anomaly materially worsened or recovered
+   * @param {Array} insights - Output of analyzeMetrics
+   * @param {Array} previousInsights - Recent daily_insights rows for the connection
+   * @param {Array} dailyData - Same daily rows passed to analyzeMetrics
+   * @param {object} options - Same options passed to analyzeMetrics
+   * @returns {object} { insights, suppressed }
+   */
+  suppressRepeats(insights, previousInsights, dailyData, options = {}) {
+    if (!previousInsights || previousInsights.length === 0) {
+      return { insights, suppressed: [] };
+    }
+
+    const keyOf = (metric, date, direction) => `${metric}|${date}|${direction}`;
+
+    // Everything already reported, including metrics folded into a composite insight
+    const reported = new Map();
+    const recoveriesSent = new Set();
+    const comparisonsReported = new Set();
+    for (const row of previousInsights) {
+      // Goal pacing and alert rules are reported whenever they apply, not anomalies
+      if (row.insight_type === "GOAL_PACING" || row.insight_type === "RULE") {
+        continue;
+      }
+
+      // Period comparisons roll forward daily - one report per direction per week
+      if (COMPARISON_INSIGHT_TYPES.includes(row.insight_type)) {
+        comparisonsReported.add(
+          `${row.insight_type}|${row.metric_name}|${row.direction}`
+        );
+        continue;
+      }
+
+      if (row.supporting_data?.updateType === "recovered") {
+        recoveriesSent.add(
+          keyOf(
+            row.metric_name,
+            row.supporting_data.originalDate,
+            row.supporting_data.originalDirection
+          )
+        );
+        continue;
+      }
+
+      const entries = [
+        {
+          metric: row.metric_name,
+          percentChange: row.percent_change,
+          primary: true,
+        },
+        ...(row.supporting_data?.relatedMetrics || []),
+      ];
+      for (const entry of entries) {
+        const key = keyOf(entry.metric, row.insight_date, row.direction);
+        const existing = reported.get(key);
+        // Keep the most severe version we've already told the user about
+        if (
+          !existing ||
+          Math.abs(entry.percentChange) > Math.abs(existing.percentChange)
+        ) {
+          reported.set(key, {
+            metric: entry.metric,
+            date: row.insight_date,
+            direction: row.direction,
+            percentChange: entry.percentChange,
+            primary: Boolean(entry.primary || existing?.primary),
+          });
+        }
+      }
+    }
+
+    const kept = [];
+    const updates = [];
+    const suppressed = [];
+
+    for (const insight of insights) {
+      if (COMPARISON_INSIGHT_TYPES.includes(insight.insightType)) {
+        const key = `${insight.insightType}|${insight.metric}|${insight.direction}`;
+        (comparisonsReported.has(key) ? suppressed : kept).push(insight);
+        continue;
+      }
+
+      const previous = reported.get(
+        keyOf(insight.metric, insight.date, insight.direction)
+      );
+
+      if (!previous) {
+        kept.push(insight);
+        continue;
+      }
+
+      const worsenedBy =
+        Math.abs(insight.percentChange) - Math.abs(previous.percentChange);
+
+      if (worsenedBy >= MATERIAL_CHANGE) {
+        updates.push(this.buildWorsenedUpdate(insight, previous));
+      } else {
+        suppressed.push(insight);
+      }
+    }
+
+    updates.push(
+      ...this.findRecoveries(
+        reported,
+        recoveriesSent,
+        insights,
+        dailyData,
+        options
+      )
+    );
+
+    console.log(
+      `Suppressed ${suppressed.length} repeat insights, added ${updates.length} updates`
+    );
+
+    return { insights: [...kept, ...updates], suppressed };
+  },
+
+  /**
+   * Follow-up insight for an already-reported anomaly that got materially worse
+   */
+  buildWorsenedUpdate(insight, previous) {
+    const humanMetric = this.getHumanMetricName(insight.metric);
+    const change = insight.direction === "up" ? "increase" : "drop";
+
+    return {
+      ...insight,
+      insightType: "UPDATE",
+      updateType: "worsened",
+      originalDate: previous.date,
+      originalDirection: previous.direction,
+      headline: `Update: ${humanMetric} ${change} worsened to ${(
+        Math.abs(insight.percentChange) * 100
+      ).toFixed(1)}% (was ${(Math.abs(previous.percentChange) * 100).toFixed(
+        1
+      )}%)`,
+      explanation: `We reported this on an earlier email. ${insight.explanation}`,
+      actionItems: UPDATE_ACTIONS.worsened,
+    };
+  },
+
+  /**
+   * Recovery insights for recently reported anomalies whose metric is back to normal
+   */
+  findRecoveries(reported, recoveriesSent, insights, dailyData, options) {
+    if (!dailyData || dailyData.length === 0) return [];
+
+    const sortedData = [...dailyData].sort(
+      (a, b) => new Date(a.date) - new Date(b.date)
+    );
+    const latestDay = sortedData[sortedData.length - 1];
+    const settings = this.resolveAlgorithmSettings(
+      options.algorithm,
+      options.learned
+    );
+    const cutoff = new Date(latestDay.date);
+    cutoff.setUTCDate(cutoff.getUTCDate() - RECOVERY_LOOKBACK_DAYS);
+    const calendar = calendarService.buildCalendar(sortedData, {
+      country: settings.holidayCountry,
+      events: options.events,
+    });
+
+    const recoveries = [];
+    const handledMetrics = new Set();
+
+    for (const [key, previous] of reported) {
+      // Metrics folded into a composite insight recover with their primary
+      if (!previous.primary) continue;
+      if (recoveriesSent.has(key)) continue;
+      if (handledMetrics.has(`${previous.metric}|${previous.direction}`)) {
+        continue;
+      }
+      if (new Date(previous.date) < cutoff) continue;
+      if (previous.date >= latestDay.date) continue;
+      if (latestDay[previous.metric] === undefined) continue;
+
+      // Flagged again on a later day in the same direction? Not recovered.
+      const stillFlagged = insights.some(
+        (i) =>
+          !COMPARISON_INSIGHT_TYPES.includes(i.insightType) &&
+          i.date > previous.date &&
+          i.direction === previous.direction &&
+          (i.metric === previous.metric ||
+            i.relatedMetrics?.some((r) => r.metric === previous.metric))
+      );
+      if (stillFlagged) continue;
+
+      const model = this.buildBaselineModel(
+        sortedData,
+        previous.metric,
+        calendar.weights
+      );
+      const evaluation = this.evaluateDay(
+        latestDay,
+        previous.metric,
+        model,
+        settings
+      );
+
+      // Back inside the normal band on the latest day
+      if (Math.abs(evaluation.zScore) >= settings.zScoreThreshold) continue;
+
+      handledMetrics.add(`${previous.metric}|${previous.direction}`);
+      recoveries.push(
+        this.buildRecoveredUpdate(previous, latestDay, evaluation, settings)
+      );
+    }
+
+    return recoveries;
+  },
+
+  /**
+   * Follow-up insight for an already-reported anomaly that recovered
+   */
+  buildRecoveredUpdate(
+    previous,
+    latestDay,
+    evaluation,
+    settings = this.resolveAlgorithmSettings()
+  ) {
+    const humanMetric = this.getHumanMetricName(previous.metric);
+    const metricWeight = settings.metricWeights[previous.metric] || 1.0;
+    const change = previous.direction === "up" ? "jumped" : "dropped";
+
+    return {
+      date: latestDay.date,
+      metric: previous.metric,
+      currentValue: evaluation.currentValue,
+      expectedValue: evaluation.expectedValue,
+      percentChange: evaluation.percentChange,
+      zScore: evaluation.zScore,
+      // "Back to normal" is the absence of an anomaly - nothing to be confident in
+      pValue: evaluation.pValue,
+      confidence: null,
+      trendType: "spike",
+      direction: previous.direction === "up" ? "down" : "up",
+      insightType: "UPDATE",
+      updateType: "recovered",
+      detector: "recovery",
+      originalDate: previous.date,
+      originalDirection: previous.direction,
+      // Good news, but ranked below fresh problems
+      impactScore: Math.abs(previous.percentChange) * 50 * metricWeight,
+      headline: `Update: ${humanMetric} is back to normal`,
+      explanation: `${humanMetric} ${change} ${(
+        Math.abs(previous.percentChange) * 100
+      ).toFixed(1)}% on ${this.formatShortDate(
+        previous.date
+      )}. On ${this.formatShortDate(
+        latestDay.date
+      )} it was ${this.formatMetricValue(
+        previous.metric,
+        evaluation.currentValue
+      )}, in line with the expected ${this.formatMetricValue(
+        previous.metric,
+        evaluation.expectedValue
+      )}.`,
+      actionItems: UPDATE_ACTIONS.recovered,
+    };
+  },
+
+  /**
+   * Cluster anomalies on the same date, in the same direction, with a shared driver
+   * Shared driver = same metric family or correlated de-seasonalized history.
+   * Each cluster becomes one composite insight led by its highest-impact metric.
+   */
+  groupCorrelatedInsights(insights, sortedData) {
+    if (insights.length < 2) return insights;
+
+    // De-seasonalized series per metric, computed once
+    const residualCache = {};
+    const residuals = (metricName) => {
+      residualCache[metricName] =
+        residualCache[metricName] ||
+        changePointService.deseasonalize(sortedData, metricName);
+      return residualCache[metricName];
+    };
+
+    return this.clusterAroundPrimary(insights, (a, b) =>
+      this.shareDriver(a, b, residuals)
+    );
+  },
+
+  /**
+   * Second grouping pass once drill-downs are attached (scheduler, top insights):
+   * anomalies whose biggest contributor is the same segment share a driver
+   */
+  groupByDrilldownDriver(insights) {
+    if (insights.length < 2) return insights;
+
+    return this.clusterAroundPrimary(insights, (a, b) => {
+      const topA = a.drilldown?.topContributors?.[0];
+      const topB = b.drilldown?.topContributors?.[0];
+      return Boolean(
+        topA &&
+          topB &&
+          topA.dimension === topB.dimension &&
+          topA.segment === topB.segment
+      );
+    });
+  },
+
+  /**
+   * Greedy clustering: the highest-impact insight left becomes a primary and
+   * takes every remaining same-day, same-direction insight that shares a driver
+   * with it. Every member is linked to the primary itself - A~B and B~C does
+   * not pull A and C together. Clusters keep the input order of their primary.
+   */
+  clusterAroundPrimary(insights, sharesDriver) {
+    const remaining = [...insights].sort(
+      (a, b) => b.impactScore - a.impactScore
+    );
+    const grouped = [];
+
+    while (remaining.length > 0) {
+      const primary = remaining.shift();
+      const cluster = [primary];
+
+      for (let i = 0; i < remaining.length; i++) {
+        const candidate = remaining[i];
+        if (
+          candidate.date !== primary.date ||
+          candidate.direction !== primary.direction ||
+          cluster.some((member) => member.metric === candidate.metric) ||
+          !sharesDriver(primary, candidate)
+        ) {
+          continue;
+        }
+        cluster.push(candidate);
+        remaining.splice(i, 1);
+        i--;
+      }
+
+      grouped.push({
+        position: insights.indexOf(primary),
+        insight:
+          cluster.length === 1 ? primary : this.buildCompositeInsight(cluster),
+      });
+    }
+
+    return grouped
+      .sort((a, b) => a.position - b.position)
+      .map((entry) => entry.insight);
+  },
+
+  /**
+   * Do two same-day, same-direction anomalies look like one underlying problem?
+   */
+  shareDriver(a, b, residuals) {
+    const sameFamily = METRIC_FAMILIES.some(
+      (family) => family.includes(a.metric) && family.includes(b.metric)
+    );
+    if (sameFamily) return true;
+
+    return (
+      pearsonCorrelation(residuals(a.metric), residuals(b.metric)) >=
+      CORRELATION_THRESHOLD
+    );
+  },
+
+  /**
+   * Merge a cluster into its highest-impact insight, listing the others as related
+   */
+  buildCompositeInsight(cluster) {
+    const [primary, ...others] = [...cluster].sort(
+      (a, b) => b.impactScore - a.impactScore
+    );
+
+    // Members may already be composites from the first grouping pass
+    const relatedMetrics = [
+      ...(primary.relatedMetrics || []),
+      ...others.flatMap((insight) => [
+        {
+          metric: insight.metric,
+          currentValue: insight.currentValue,
+          expectedValue: insight.expectedValue,
+          percentChange: insight.percentChange,
+          zScore: insight.zScore,
+        },
+        ...(insight.relatedMetrics || []),
+      ]),
+    ];
+    const baseHeadline = primary.baseHeadline || primary.headline;
+    const baseExplanation = primary.baseExplanation || primary.explanation;
+
+    const relatedNames = relatedMetrics.map((r) =>
+      this.getHumanMetricName(r.metric)
+    );
+    const relatedSummary = relatedMetrics
+      .map(
+        (r) =>
+          `${this.getHumanMetricName(r.metric)} (${
+            r.percentChange > 0 ? "+" : ""
+          }${(r.percentChange * 100).toFixed(1)}%)`
+      )
+      .join(", ");
+
+    return {
+      ...primary,
+      grouped: true,
+      relatedMetrics,
+      // The primary's z, so it matches the p-value in the headline
+      zScore: primary.zScore,
+      impactScore: cluster.reduce((sum, i) => sum + i.impactScore, 0),
+      baseHeadline,
+      baseExplanation,
+      headline: `${baseHeadline} - along with ${this.joinWithAnd(
+        relatedNames
+      )}`,
+      explanation: `${baseExplanation} ${relatedSummary} moved the same way on the same day, pointing to a shared cause.`,
+    };
+  },
+
+  /**
+   * ["A", "B", "C"] -> "A, B and C"
+   */
+  joinWithAnd(items) {
+    if (items.length <= 1) return items.join("");
+    return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+  },
+
+  /**
+   * STEP 1: Analyze a single metric with every enabled metric detector
+   * Detectors apply the significance/threshold/traffic gates themselves.
+   * The first enabled detector to flag a day owns the insight; every detector
+   * that flagged it is listed in flaggedBy
+   */
+  analyzeMetric(
+    sortedData,
+    metricName,
+    settings = this.resolveAlgorithmSettings(),
+    detectors = detectorRegistry.resolve(settings.detectors),
+    calendar = null,
+    tests = null
+  ) {
+    const insights = [];
 
-    // Calculate seasonal baseline (accounts for day-of-week patterns)
-    const seasonalBaseline = this.calculateSeasonalBaseline(
+    // Build both baselines so results can be compared side by side
+    const model = this.buildBaselineModel(
       sortedData,
-      metricName
+      metricName,
+      calendar?.weights
     );
 
-    // Calculate standard deviation (measures normal variance)
-    const stdDev = this.calculateStandardDeviation(values);
+    // Shared context handed to every metric detector
+    const context = {
+      sortedData,
+      metricName,
+      settings,
+      model,
+      // Analyze the most recent days for anomalies
+      days: sortedData.slice(-EVALUATION_WINDOW),
+      // Forecast each recent day from the history before it (Holt-Winters)
+      forecastChecks: forecastService.evaluateRecentDays(
+        sortedData,
+        metricName,
+        EVALUATION_WINDOW
+      ),
+      scoreBaselines: (day) => this.scoreBaselines(day, metricName, model),
+      passesGates: (day, zScore, percentChange, gateOptions) =>
+        this.passesGates(
+          day,
+          metricName,
+          zScore,
+          percentChange,
+          settings,
+          gateOptions
+        ),
+    };
 
-    // Analyze last 3 days for anomalies
-    const recentDays = sortedData.slice(-3);
+    const findings = new Map();
+    for (const detector of detectors) {
+      if (detector.scope !== "metric") continue;
 
-    for (const day of recentDays) {
-      const dayOfWeek = new Date(day.date).getDay();
-      const currentValue = day[metricName] || 0;
-      const expectedValue = seasonalBaseline[dayOfWeek];
-
-      // Calculate Z-score (how many standard deviations from normal)
-      const zScore = (currentValue - expectedValue) / stdDev;
-
-      // Only flag if statistically significant (>2 std deviations = 95% confidence)
-      if (Math.abs(zScore) >= Z_SCORE_THRESHOLD) {
-        // Determine if spike or sustained trend
-        const trendType = this.classifyTrend(sortedData, metricName, day.date);
-
-        // Calculate percent change
-        const percentChange = (currentValue - expectedValue) / expectedValue;
-
-        // Get metric weight (default to 1.0 if not defined)
-        const metricWeight = METRIC_WEIGHTS[metricName] || 1.0;
-
-        insights.push({
-          date: day.date,
-          metric: metricName,
-          currentValue: currentValue,
-          expectedValue: expectedValue,
-          percentChange: percentChange,
-          zScore: zScore,
-          confidence: this.zScoreToConfidence(zScore),
-          trendType: trendType,
-          direction: percentChange > 0 ? "up" : "down",
-          impactScore: Math.abs(percentChange) * 100 * metricWeight, // UPDATED: Now uses weighted scoring
-          headline: this.generateHeadline(
-            metricName,
-            percentChange,
-            trendType,
-            zScore
-          ),
-          explanation: this.generateExplanation(
-            metricName,
-            currentValue,
-            expectedValue,
-            percentChange,
-            trendType,
-            day.date
-          ),
-          actionItems: this.getActionItems(
-            metricName,
-            percentChange > 0 ? "up" : "down"
-          ),
-        });
+      for (const finding of detector.detect(context)) {
+        const existing = findings.get(finding.date);
+        if (existing) {
+          existing.flaggedBy.push(detector.id);
+        } else {
+          findings.set(finding.date, {
+            ...finding,
+            detector: detector.id,
+            flaggedBy: [detector.id],
+          });
+        }
       }
     }
 
+    for (const day of context.days) {
+      const finding = findings.get(day.date);
+
+      // Unflagged days count toward the number of tests too
+      const pValue = finding
+        ? twoSidedPValue(finding.zScore, finding.degreesOfFreedom)
+        : this.evaluateDay(day, metricName, model, settings).pValue;
+      tests?.push({ metric: metricName, date: day.date, pValue });
+
+      if (!finding) continue;
+
+      const { currentValue, expectedValue, zScore, percentChange } = finding;
+      const direction = percentChange > 0 ? "up" : "down";
+      const forecastCheck =
+        context.forecastChecks.find((f) => f.date === day.date) || null;
+
+      // Determine if spike or sustained trend (level shift via change-point detection)
+      const changePoint = this.detectChangePoint(
+        sortedData,
+        metricName,
+        day.date,
+        settings.trendWindow
+      );
+      const trendType = this.classifyTrend(changePoint);
+
+      // Check if the anomaly persisted (e.g. 3 of the last 5 days)
+      const persistence = this.checkPersistence(
+        sortedData,
+        metricName,
+        day.date,
+        direction,
+        model,
+        settings
+      );
+
+      // Get metric weight (default to 1.0 if not defined)
+      const metricWeight = settings.metricWeights[metricName] || 1.0;
+
+      // Holiday or annotation on/near the day - the likely explanation
+      const event = calendar
+        ? calendarService.findNearestEvent(calendar.events, day.date)
+        : null;
+
+      insights.push({
+        date: day.date,
+        metric: metricName,
+        currentValue: currentValue,
+        expectedValue: expectedValue,
+        percentChange: percentChange,
+        zScore: zScore,
+        pValue,
+        // Until applyMultipleTestingCorrection sees the other metrics and days
+        adjustedPValue: pValue,
+        confidence: this.pValueToConfidence(pValue),
+        trendType: trendType,
+        direction: direction,
+        persistent: persistence.persistent,
+        persistenceCount: persistence.count,
+        threshold: settings.thresholds[metricName] ?? null,
+        baselineMethod: settings.baselineMethod,
+        baselines: context.scoreBaselines(day),
+        detector: finding.detector,
+        flaggedBy: finding.flaggedBy,
+        event,
+        forecast: forecastCheck
+          ? {
+              expected: forecastCheck.expected,
+              lower80: forecastCheck.lower80,
+              upper80: forecastCheck.upper80,
+              lower95: forecastCheck.lower95,
+              upper95: forecastCheck.upper95,
+              outside95: forecastCheck.outside95,
+            }
+          : null,
+        impactScore: Math.abs(percentChange) * 100 * metricWeight, // UPDATED: Now uses weighted scoring
+        changePoint: changePoint.detected ? changePoint : null,
+        headline: this.generateHeadline(
+          metricName,
+          percentChange,
+          trendType,
+          pValue,
+          changePoint
+        ),
+        explanation: this.generateExplanation(
+          metricName,
+          currentValue,
+          expectedValue,
+          percentChange,
+          trendType,
+          day.date,
+          persistence,
+          changePoint,
+          event
+        ),
+        actionItems: this.getActionItems(metricName, direction),
+      });
+    }
+
     return insights;
   },
 
+  /**
+   * Build the per-metric baselines used to score each day
+   * - seasonal: day-of-week mean + global std-dev (original method)
+   * - robust: day-of-week median + MAD, excluding the evaluation window
+   * @param {Map} dayWeights - date -> weight from the calendar (0 = excluded);
+   *   the robust median already shrugs off down-weighted days, so only exclusions apply
+   */
+  buildBaselineModel(sortedData, metricName, dayWeights = null) {
+    const values = sortedData.map((d) => d[metricName] || 0);
+    const weights = dayWeights
+      ? sortedData.map((d) => dayWeights.get(d.date) ?? 1)
+      : null;
+    const excludedDates = dayWeights
+      ? sortedData
+          .filter((d) => dayWeights.get(d.date) === 0)
+          .map((d) => d.date)
+      : [];
+
+    return {
+      seasonal: {
+        // Calculate seasonal baseline (accounts for day-of-week patterns)
+        baseline: this.calculateSeasonalBaseline(
+          sortedData,
+          metricName,
+          dayWeights
+        ),
+        // Calculate standard deviation (measures normal variance)
+        stdDev: this.calculateStandardDeviation(values, weights),
+        degreesOfFreedom: Math.max(1, values.length - 1),
+      },
+      robust: this.calculateRobustBaseline(sortedData, metricName, [
+        ...sortedData.slice(-EVALUATION_WINDOW).map((d) => d.date),
+        ...excludedDates,
+      ]),
+    };
+  },
+
+  /**
+   * Expected value and Z-score of a day under both baselines
+   */
+  scoreBaselines(day, metricName, model) {
+    const dayOfWeek = new Date(day.date).getDay();
+    const currentValue = day[metricName] || 0;
+
+    const seasonalExpected = model.seasonal.baseline[dayOfWeek];
+    const robustExpected = model.robust.baseline[dayOfWeek];
+
+    return {
+      seasonal: {
+        expectedValue: seasonalExpected,
+        // Calculate Z-score (how many standard deviations from normal)
+        zScore: (currentValue - seasonalExpected) / model.seasonal.stdDev,
+        degreesOfFreedom: model.seasonal.degreesOfFreedom,
+      },
+      robust: {
+        expectedValue: robustExpected,
+        zScore: (currentValue - robustExpected) / model.robust.scale,
+        degreesOfFreedom: model.robust.degreesOfFreedom,
+      },
+    };
+  },
+
+  /**
+   * Evaluate one day against the baseline using all config.algorithm gates
+   * Scores against both baselines; settings.baselineMethod decides which one gates
+   */
+  evaluateDay(day, metricName, model, settings) {
+    const currentValue = day[metricName] || 0;
+    const baselines = this.scoreBaselines(day, metricName, model);
+
+    const selected = baselines[settings.baselineMethod] || baselines.seasonal;
+    const expectedValue = selected.expectedValue;
+    const zScore = selected.zScore;
+    const pValue = twoSidedPValue(zScore, selected.degreesOfFreedom);
+
+    // Calculate percent change
+    const percentChange = (currentValue - expectedValue) / expectedValue;
+
+    return {
+      currentValue,
+      expectedValue,
+      zScore,
+      pValue,
+      percentChange,
+      baselines,
+      isAnomaly: this.passesGates(
+        day,
+        metricName,
+        zScore,
+        percentChange,
+        settings
+      ),
+    };
+  },
+
+  /**
+   * Apply the config.algorithm gates to a scored day
+   * @param {object} options - { significance: false skips the Z-score gate (rule-based detectors) }
+   */
+  passesGates(
+    day,
+    metricName,
+    zScore,
+    percentChange,
+    settings,
+    options = {}
+  ) {
+    const { significance = true } = options;
+
+    // Metrics the user keeps rating as noise need a bigger move
+    const sensitivity = settings.metricSensitivity?.[metricName] ?? 1;
+
+    // Gate 1: Minimum sample size - low-traffic days are too noisy to judge
+    if (
+      day.sessions !== undefined &&
+      day.sessions < settings.minSampleSize
+    ) {
+      return false;
+    }
+
+    // Gate 2: Statistical significance
+    if (
+      significance &&
+      !(Math.abs(zScore) >= settings.zScoreThreshold * sensitivity)
+    ) {
+      return false;
+    }
+
+    // Gate 3: Practical significance (only for metrics with a configured threshold)
+    const threshold = settings.thresholds[metricName];
+    if (
+      threshold !== undefined &&
+      !(Math.abs(percentChange) >= threshold * sensitivity)
+    ) {
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Count anomalous days (same direction) in the persistence window ending at targetDate
+   */
+  checkPersistence(
+    sortedData,
+    metricName,
+    targetDate,
+    direction,
+    model,
+    settings
+  ) {
+    const { window, required } = settings.persistence;
+    const targetIndex = sortedData.findIndex((d) => d.date === targetDate);
+    const windowDays = sortedData.slice(
+      Math.max(0, targetIndex - window + 1),
+      targetIndex + 1
+    );
+
+    const count = windowDays.filter((day) => {
+      const evaluation = this.evaluateDay(day, metricName, model, settings);
+      const dayDirection = evaluation.percentChange > 0 ? "up" : "down";
+      return evaluation.isAnomaly && dayDirection === direction;
+    }).length;
+
+    return { persistent: count >= required, count, window };
+  },
+
   /**
    * STEP 2: Calculate seasonal baseline (accounts for day-of-week patterns)
    * Example: Mondays are always 20% higher than Wednesdays
+   * @param {Map} dayWeights - Optional date -> weight (holidays/events count less or not at all)
    */
-  calculateSeasonalBaseline(sortedData, metricName) {
+  calculateSeasonalBaseline(sortedData, metricName, dayWeights = null) {
     const byDayOfWeek = Array(7)
       .fill()
-      .map(() => []);
+      .map(() => ({ sum: 0, weight: 0 }));
+    const overall = { sum: 0, weight: 0 };
 
     // Group data by day of week
     for (const day of sortedData) {
       const dayOfWeek = new Date(day.date).getDay();
-      byDayOfWeek[dayOfWeek].push(day[metricName] || 0);
+      const weight = dayWeights?.get(day.date) ?? 1;
+      const value = day[metricName] || 0;
+      byDayOfWeek[dayOfWeek].sum += value * weight;
+      byDayOfWeek[dayOfWeek].weight += weight;
+      overall.sum += value * weight;
+      overall.weight += weight;
+    }
+
+    // Everything excluded - fall back to the plain average
+    if (overall.weight === 0) {
+      return this.calculateSeasonalBaseline(sortedData, metricName);
     }
 
-    // Calculate average for each day of week
+    // Calculate (weighted) average for each day of week
     const baseline = {};
     for (let i = 0; i < 7; i++) {
-      if (byDayOfWeek[i].length > 0) {
-        const sum = byDayOfWeek[i].reduce((acc, val) => acc + val, 0);
-        baseline[i] = sum / byDayOfWeek[i].length;
-      } else {
-        // Fallback to overall average
-        const allValues = sortedData.map((d) => d[metricName] || 0);
-        const overallSum = allValues.reduce((acc, val) => acc + val, 0);
-        baseline[i] = overallSum / allValues.length;
-      }
+      baseline[i] =
+        byDayOfWeek[i].weight > 0
+          ? byDayOfWeek[i].sum / byDayOfWeek[i].weight
+          : overall.sum / overall.weight; // Fallback to overall average
     }
 
     return baseline;
   },
 
+  /**
+   * STEP 2b: Robust baseline - median per day of week, scale from pooled MAD
+   * Days in excludeDates (the days being tested) never shape their own baseline,
+   * and a single outlier can't drag the median or inflate the MAD.
+   */
+  calculateRobustBaseline(sortedData, metricName, excludeDates = []) {
+    const excluded = new Set(excludeDates);
+    let history = sortedData.filter((d) => !excluded.has(d.date));
+    if (history.length === 0) history = sortedData;
+
+    const byDayOfWeek = Array(7)
+      .fill()
+      .map(() => []);
+
+    for (const day of history) {
+      const dayOfWeek = new Date(day.date).getDay();
+      byDayOfWeek[dayOfWeek].push(day[metricName] || 0);
+    }
+
+    // Median for each day of week (fallback to overall median)
+    const overallMedian = median(history.map((d) => d[metricName] || 0));
+    const baseline = {};
+    for (let i = 0; i < 7; i++) {
+      baseline[i] =
+        byDayOfWeek[i].length > 0 ? median(byDayOfWeek[i]) : overallMedian;
+    }
+
+    // Pool residuals across weekdays - too few points per weekday for its own MAD
+    const residuals = history.map(
+      (d) => (d[metricName] || 0) - baseline[new Date(d.date).getDay()]
+    );
+    let scale = MAD_SCALE * medianAbsoluteDeviation(residuals);
+
+    // MAD collapses to 0 when most residuals are identical - fall back to mean deviation
+    if (scale === 0) {
+      const center = mean(residuals);
+      scale =
+        Math.sqrt(Math.PI / 2) *
+        mean(residuals.map((r) => Math.abs(r - center)));
+    }
+
+    // Seven weekday medians are estimated from the same history
+    return {
+      baseline,
+      scale,
+      degreesOfFreedom: Math.max(1, history.length - 7),
+    };
+  },
+
   /**
    * STEP 3: Calculate standard deviation (measures normal variance)
    */
-  calculateStandardDeviation(values) {
-    const mean = values.reduce((acc, val) => acc + val, 0) / values.length;
-    const squaredDiffs = values.map((val) => Math.pow(val - mean, 2));
+  calculateStandardDeviation(values, weights = null) {
+    const totalWeight = weights
+      ? weights.reduce((acc, w) => acc + w, 0)
+      : values.length;
+    // Weighted by calendar events unless that would leave nothing
+    if (weights && totalWeight === 0) {
+      return this.calculateStandardDeviation(values);
+    }
+    const weightOf = (i) => (weights ? weights[i] : 1);
+
+    const mean =
+      values.reduce((acc, val, i) => acc + val * weightOf(i), 0) / totalWeight;
+    const squaredDiffs = values.map(
+      (val, i) => Math.pow(val - mean, 2) * weightOf(i)
+    );
     const variance =
-      squaredDiffs.reduce((acc, val) => acc + val, 0) / values.length;
+      squaredDiffs.reduce((acc, val) => acc + val, 0) / totalWeight;
     return Math.sqrt(variance);
   },
 
   /**
-   * STEP 4: Classify if spike or sustained trend
+   * STEP 4: Detect a level shift in the series up to targetDate
    */
-  classifyTrend(sortedData, metricName, targetDate) {
+  detectChangePoint(
+    sortedData,
+    metricName,
+    targetDate,
+    trendWindow = TREND_WINDOW
+  ) {
     const targetIndex = sortedData.findIndex((d) => d.date === targetDate);
-    if (targetIndex < TREND_WINDOW) return "spike";
-
-    // Look at last N days
-    const recentWindow = sortedData.slice(
-      targetIndex - TREND_WINDOW + 1,
-      targetIndex + 1
+    return changePointService.detect(
+      sortedData.slice(0, targetIndex + 1),
+      metricName,
+      { minSegmentBefore: trendWindow }
     );
-    const values = recentWindow.map((d) => d[metricName] || 0);
+  },
+
+  /**
+   * Classify if spike or sustained trend
+   * A trend is a significant level shift that is still holding
+   */
+  classifyTrend(changePoint) {
+    return changePoint?.detected && changePoint.persists ? "trend" : "spike";
+  },
+
+  /**
+   * Format a YYYY-MM-DD date as "Oct 3"
+   */
+  formatShortDate(dateString) {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  },
+
+  /**
+   * Break an anomaly's delta down by segment
+   * Volume metrics: contribution = segment delta.
+   * Rates/averages: contribution = rate change weighted by the segment's share of sessions.
+   * @param {string} metricName - GA4 metric name
+   * @param {Array} rows - From ga4Service.fetchSegmentBreakdown
+   * @returns {object} { totalDelta, contributors: [{ segment, current, baseline, delta, share }] }
+   */
+  computeSegmentContributions(metricName, rows) {
+    if (!rows || rows.length === 0) return { totalDelta: 0, contributors: [] };
+
+    const isRateMetric =
+      metricName.includes("Rate") ||
+      metricName.includes("Probability") ||
+      metricName === "averageEngagementTime";
+
+    const totalSessions = rows.reduce((acc, r) => acc + r.currentSessions, 0);
+
+    const contributors = rows.map((row) => {
+      const delta = isRateMetric
+        ? totalSessions > 0
+          ? ((row.current - row.baseline) * row.currentSessions) /
+            totalSessions
+          : 0
+        : row.current - row.baseline;
+
+      return {
+        segment: row.segment,
+        current: row.current,
+        baseline: row.baseline,
+        percentChange:
+          row.baseline !== 0 ? (row.current - row.baseline) / row.baseline : null,
+        delta,
+      };
+    });
+
+    const totalDelta = contributors.reduce((acc, c) => acc + c.delta, 0);
+    for (const contributor of contributors) {
+      contributor.share = totalDelta !== 0 ? contributor.delta / totalDelta : 0;
+    }
 
-    // Calculate if consistently trending (using simple linear regression slope)
-    const slope = this.calculateSlope(values);
+    // Largest movers in the same direction as the overall change first
+    contributors.sort((a, b) => b.share - a.share);
 
-    // If slope is strong and consistent, it's a trend
-    return Math.abs(slope) > 0.1 ? "trend" : "spike";
+    return { totalDelta, contributors };
   },
 
   /**
-   * Calculate slope (for trend detection)
+   * Build the drill-down attached to an insight from all dimension breakdowns
+   * @param {object} insight - Insight from analyzeMetrics
+   * @param {object} breakdowns - { [dimension]: rows } from ga4Service.fetchDrilldown
+   * @returns {object|null} { dimensions, topContributors }
    */
-  calculateSlope(values) {
-    const n = values.length;
-    const xValues = Array.from({ length: n }, (_, i) => i);
+  buildDrilldown(insight, breakdowns) {
+    const dimensions = {};
+    const candidates = [];
+
+    for (const [dimension, rows] of Object.entries(breakdowns || {})) {
+      const { totalDelta, contributors } = this.computeSegmentContributions(
+        insight.metric,
+        rows
+      );
+      const top = contributors
+        .filter((c) => c.share > 0)
+        .slice(0, TOP_CONTRIBUTORS);
+
+      dimensions[dimension] = { totalDelta, top };
+      candidates.push(
+        ...top.map((c) => ({
+          dimension,
+          dimensionLabel: DIMENSION_LABELS[dimension] || dimension,
+          ...c,
+        }))
+      );
+    }
 
-    const sumX = xValues.reduce((acc, x) => acc + x, 0);
-    const sumY = values.reduce((acc, y) => acc + y, 0);
-    const sumXY = xValues.reduce((acc, x, i) => acc + x * values[i], 0);
-    const sumX2 = xValues.reduce((acc, x) => acc + x * x, 0);
+    if (candidates.length === 0) return null;
 
-    return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+    // Dimensions overlap (every session has a channel AND a device), so rank
+    // by share within their own dimension rather than summing across them
+    candidates.sort((a, b) => b.share - a.share);
+
+    return {
+      dimensions,
+      topContributors: candidates.slice(0, TOP_CONTRIBUTORS),
+    };
   },
 
   /**
-   * Convert Z-score to confidence %
+   * One-line summary of the top drill-down drivers (used in emails)
+   * e.g. "Channel: Organic Search (62% of change), Device: mobile (55%)"
    */
-  zScoreToConfidence(zScore) {
-    const absZ = Math.abs(zScore);
-    if (absZ >= 3.0) return 99.7; // 3 sigma
-    if (absZ >= 2.5) return 98.8;
-    if (absZ >= 2.0) return 95.4; // 2 sigma
-    return 90.0;
+  summarizeDrilldown(drilldown) {
+    if (!drilldown?.topContributors?.length) return "";
+
+    return drilldown.topContributors
+      .map(
+        (c, index) =>
+          `${c.dimensionLabel}: ${c.segment} (${Math.round(c.share * 100)}%${
+            index === 0 ? " of change" : ""
+          })`
+      )
+      .join(", ");
+  },
+
+  /**
+   * Confidence % from a (corrected) p-value: 1 - p, capped below certainty
+   */
+  pValueToConfidence(pValue) {
+    if (pValue === null || pValue === undefined) return null;
+    return Math.min(99.9, Math.round((1 - pValue) * 1000) / 10);
+  },
+
+  /**
+   * "p = 0.03", "p = 0.004", "p < 0.001"
+   */
+  formatPValue(pValue) {
+    if (pValue < 0.001) return "p < 0.001";
+    return `p = ${pValue < 0.01 ? pValue.toFixed(3) : pValue.toFixed(2)}`;
+  },
+
+  /**
+   * Benjamini-Hochberg across every metric and day tested in one analysis
+   * With ~10 metrics x 3 days some would clear p < 0.05 by chance alone;
+   * the adjusted p-value (and the confidence and headline built on it) accounts
+   * for that, and insights it leaves above the significance level are dropped.
+   * @param {Array} insights - Metric insights (updated in place)
+   * @param {Array} tests - [{ metric, date, pValue }] for every test run
+   * @param {number} significanceLevel - Largest adjusted p-value to keep
+   * @returns {Array} The insights that are still significant
+   */
+  applyMultipleTestingCorrection(
+    insights,
+    tests,
+    significanceLevel = SIGNIFICANCE_LEVEL
+  ) {
+    if (tests.length === 0) return insights;
+
+    const adjusted = benjaminiHochberg(tests.map((test) => test.pValue));
+    const adjustedByTest = new Map(
+      tests.map((test, index) => [
+        `${test.metric}|${test.date}`,
+        adjusted[index],
+      ])
+    );
+
+    for (const insight of insights) {
+      const adjustedPValue =
+        adjustedByTest.get(`${insight.metric}|${insight.date}`) ??
+        insight.pValue;
+      insight.adjustedPValue = adjustedPValue;
+      insight.confidence = this.pValueToConfidence(adjustedPValue);
+      insight.headline = this.generateHeadline(
+        insight.metric,
+        insight.percentChange,
+        insight.trendType,
+        adjustedPValue,
+        insight.changePoint
+      );
+    }
+
+    return insights.filter(
+      (insight) =>
+        insight.adjustedPValue <= significanceLevel ||
+        detectorRegistry.get(insight.detector)?.significance === false
+    );
   },
 
   /**
    * Generate headline with statistical language
+   * @param {number} pValue - Multiple-testing adjusted p-value shown to the user
    */
-  generateHeadline(metricName, percentChange, trendType, zScore) {
+  generateHeadline(
+    metricName,
+    percentChange,
+    trendType,
+    pValue,
+    changePoint = null
+  ) {
     const humanMetric = this.getHumanMetricName(metricName);
     const percentDisplay = (Math.abs(percentChange) * 100).toFixed(1);
     const direction = percentChange > 0 ? "jumped" : "dropped";
-    const confidence = this.zScoreToConfidence(zScore);
+    const significance = this.formatPValue(pValue);
 
-    const trendWord = trendType === "trend" ? "trending" : direction;
+    // Sustained level shift: "Sessions shifted down 18% starting Oct 3"
+    if (trendType === "trend" && changePoint?.detected) {
+      const shiftDisplay = Math.round(Math.abs(changePoint.magnitude) * 100);
+      return `${humanMetric} shifted ${
+        changePoint.direction
+      } ${shiftDisplay}% starting ${this.formatShortDate(
+        changePoint.startDate
+      )} (${significance})`;
+    }
 
-    return `${humanMetric} ${trendWord} ${percentDisplay}% (${confidence}% confidence)`;
+    return `${humanMetric} ${direction} ${percentDisplay}% (${significance})`;
   },
 
   /**
@@ -377,15 +1637,32 @@ export const insightsService = {
     expectedValue,
     percentChange,
     trendType,
-    date
+    date,
+    persistence = null,
+    changePoint = null,
+    event = null
   ) {
     const humanMetric = this.getHumanMetricName(metricName);
     const direction = percentChange > 0 ? "up" : "down";
 
-    const trendContext =
-      trendType === "trend"
-        ? "This is a sustained trend over multiple days."
-        : "This appears to be a temporary spike.";
+    let trendContext = "This appears to be a temporary spike.";
+    if (trendType === "trend" && changePoint?.detected) {
+      trendContext = `${humanMetric} shifted ${changePoint.direction} ${Math.round(
+        Math.abs(changePoint.magnitude) * 100
+      )}% starting ${this.formatShortDate(
+        changePoint.startDate
+      )} and has held at the new level for ${
+        changePoint.daysSinceShift
+      } days.`;
+    } else if (trendType === "trend") {
+      trendContext = "This is a sustained trend over multiple days.";
+    }
+
+    const persistenceContext = persistence?.persistent
+      ? ` It has been anomalous on ${persistence.count} of the last ${persistence.window} days.`
+      : "";
+
+    const eventContext = event ? ` ${this.describeEvent(event)}` : "";
 
     return `${humanMetric} reached ${this.formatMetricValue(
       metricName,
@@ -393,7 +1670,30 @@ export const insightsService = {
     )} on ${date}, ${direction} from an expected ${this.formatMetricValue(
       metricName,
       expectedValue
-    )} (accounting for day-of-week patterns). ${trendContext}`;
+    )} (accounting for day-of-week patterns). ${trendContext}${persistenceContext}${eventContext}`;
+  },
+
+  /**
+   * One sentence placing a calendar event relative to the insight's date
+   */
+  describeEvent(event) {
+    const when =
+      event.startDate === event.endDate
+        ? this.formatShortDate(event.startDate)
+        : `${this.formatShortDate(event.startDate)} to ${this.formatShortDate(
+            event.endDate
+          )}`;
+    const days = Math.abs(event.daysAway);
+    const dayLabel = `${days} day${days === 1 ? "" : "s"}`;
+
+    if (event.daysAway === 0) {
+      return event.startDate === event.endDate
+        ? `This coincides with ${event.title}.`
+        : `This falls during ${event.title} (${when}).`;
+    }
+    return event.daysAway < 0
+      ? `Nearest calendar event: ${event.title} (${when}), ${dayLabel} earlier.`
+      : `Nearest calendar event: ${event.title} (${when}), ${dayLabel} later.`;
   },
 
   /**
@@ -432,16 +1732,28 @@ export const insightsService = {
   },
 
   /**
-   * Get action items
+   * Get action items from the industry library (see action-library.service.js)
+   * @param {object} options - { industry, drilldown } for vertical/segment-specific advice
    */
-  getActionItems(metricName, direction) {
-    const key = `${metricName}_${direction}`;
-    return (
-      ACTION_LIBRARY[key] || [
-        "Review recent changes that might have caused this shift",
-        "Check GA4 for additional context and related metrics",
-        "Monitor over next few days to confirm this is a trend",
-      ]
-    );
+  getActionItems(metricName, direction, options = {}) {
+    return actionLibraryService.selectActions(metricName, direction, options);
+  },
+
+  /**
+   * Re-pick an insight's actions once its industry and drill-down are known
+   * Updates, data-quality, rule and goal insights keep their own actions
+   */
+  tailorActionItems(insight, industry) {
+    if (
+      insight.insightType &&
+      !COMPARISON_INSIGHT_TYPES.includes(insight.insightType)
+    ) {
+      return insight.actionItems;
+    }
+
+    return this.getActionItems(insight.metric, insight.direction, {
+      industry,
+      drilldown: insight.drilldown,
+    });
   },
 };
@@ -0,0 +1,318 @@
+// Intraday Service - Same-day drop detection on hourly (dateHour) data
+// Each hour of today is compared with the same hour on the same weekday over the
+// last few weeks (hour-of-week baseline), so "checkout broke at 10am" surfaces in
+// the afternoon instead of in tomorrow's daily report.
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+import {
+  MAD_SCALE,
+  median,
+  medianAbsoluteDeviation,
+  twoSidedPValue,
+  benjaminiHochberg,
+} from "../utils/statistics.js";
+
+export const INTRADAY_METRICS = ["sessions", "conversions", "totalRevenue"];
+
+const HISTORY_DAYS = 28; // Four samples per hour-of-week slot
+const MIN_SLOT_SAMPLES = 2; // Weeks of history an hour needs before it can be judged
+const PROCESSING_LAG_HOURS = 1; // GA4 hourly data settles ~1 hour after the hour ends
+const MIN_STREAK_HOURS = 2; // One bad hour is noise, two in a row is a problem
+const MIN_HOURLY_DROP = 0.4; // Every hour in the streak is 40%+ below its baseline
+const Z_THRESHOLD = 3.5; // On the cumulative streak total
+const MEDIAN_EFFICIENCY = 1.57; // Variance of a median vs a mean (pi / 2)
+
+// Streaks whose expected total is below this are too small to alert on
+const MIN_EXPECTED = {
+  sessions: 50,
+  conversions: 5,
+  totalRevenue: 100,
+};
+
+/**
+ * Add whole days to a YYYY-MM-DD date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Hour-of-week slot (0 = Sunday 00:00) for a date and hour
+ */
+function slotOf(dateString, hour) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay() * 24 + hour;
+}
+
+/**
+ * "10am", "12pm", "3pm"
+ */
+function formatHour(hour) {
+  const suffix = hour < 12 ? "am" : "pm";
+  return `${hour % 12 === 0 ? 12 : hour % 12}${suffix}`;
+}
+
+export const intradayService = {
+  HISTORY_DAYS,
+
+  /**
+   * Hour-of-week baseline for one metric from the days before today
+   * Hours missing from GA4 (keepEmptyRows is off) count as zero
+   * @returns {object} { slots: Map(slot -> { expected, samples }), scale }
+   */
+  buildBaseline(hourly, metricName, today) {
+    const values = new Map();
+    for (const row of hourly) {
+      if (row.date < today) {
+        values.set(`${row.date}|${row.hour}`, row[metricName] || 0);
+      }
+    }
+
+    const historyDates = [...new Set(hourly.map((row) => row.date))]
+      .filter((date) => date < today)
+      .sort();
+    if (historyDates.length === 0) return { slots: new Map(), scale: 0 };
+
+    // Every hour from the first day with data up to yesterday
+    const samplesBySlot = new Map();
+    for (let date = historyDates[0]; date < today; date = addDays(date, 1)) {
+      for (let hour = 0; hour < 24; hour++) {
+        const slot = slotOf(date, hour);
+        if (!samplesBySlot.has(slot)) samplesBySlot.set(slot, []);
+        samplesBySlot.get(slot).push(values.get(`${date}|${hour}`) || 0);
+      }
+    }
+
+    const slots = new Map();
+    for (const [slot, samples] of samplesBySlot) {
+      slots.set(slot, { expected: median(samples), samples });
+    }
+
+    // Pooled noise: residuals scaled by sqrt(expected) so quiet and busy hours compare
+    const residuals = [];
+    for (const { expected, samples } of slots.values()) {
+      if (samples.length < MIN_SLOT_SAMPLES) continue;
+      for (const value of samples) {
+        residuals.push((value - expected) / Math.sqrt(expected + 1));
+      }
+    }
+
+    return {
+      slots,
+      scale: MAD_SCALE * medianAbsoluteDeviation(residuals),
+    };
+  },
+
+  /**
+   * Detect an ongoing same-day problem for one metric
+   * Looks for a streak of hours, ending at the last settled hour, that are all
+   * well below their hour-of-week baseline.
+   * @param {Array} hourly - fetchIntraday rows (history + today)
+   * @param {object} now - { date, hour } in the property's timezone
+   * @returns {object|null} INTRADAY insight
+   */
+  analyzeMetric(hourly, metricName, now, options = {}) {
+    const lastHour = now.hour - 1 - PROCESSING_LAG_HOURS;
+    if (lastHour < MIN_STREAK_HOURS - 1) return null;
+
+    // GA4 reports in the property's timezone - if its latest day isn't now.date,
+    // "now" is on another clock (or today hasn't been processed yet) and every
+    // hour would read as a 100% drop
+    const latestDate = hourly.reduce(
+      (latest, row) => (row.date > latest ? row.date : latest),
+      ""
+    );
+    if (latestDate !== now.date) return null;
+
+    const { slots, scale } = this.buildBaseline(hourly, metricName, now.date);
+    if (!scale) return null;
+
+    const todayValues = new Map(
+      hourly
+        .filter((row) => row.date === now.date)
+        .map((row) => [row.hour, row[metricName] || 0])
+    );
+
+    // Walk back from the last settled hour while every hour stays well below
+    // its baseline - spikes are good news and wait for the daily report
+    const streak = [];
+    for (let hour = lastHour; hour >= 0; hour--) {
+      const baseline = slots.get(slotOf(now.date, hour));
+      if (!baseline || baseline.samples.length < MIN_SLOT_SAMPLES) break;
+
+      const actual = todayValues.get(hour) || 0;
+      const { expected } = baseline;
+      if (expected <= 0 || (expected - actual) / expected < MIN_HOURLY_DROP) {
+        break;
+      }
+
+      streak.unshift({
+        hour,
+        actual,
+        expected,
+        samples: baseline.samples.length,
+      });
+    }
+
+    if (streak.length < MIN_STREAK_HOURS) return null;
+
+    const currentValue = streak.reduce((sum, h) => sum + h.actual, 0);
+    const expectedValue = streak.reduce((sum, h) => sum + h.expected, 0);
+    if (expectedValue < (MIN_EXPECTED[metricName] ?? 0)) return null;
+
+    // Today's noise plus the noise in a median of only a few weeks
+    const variance = streak.reduce(
+      (sum, h) =>
+        sum + (h.expected + 1) * (1 + MEDIAN_EFFICIENCY / h.samples),
+      0
+    );
+    const zScore =
+      (currentValue - expectedValue) / (scale * Math.sqrt(variance));
+    if (zScore > -Z_THRESHOLD) return null;
+
+    return this.buildIntradayInsight(metricName, now, streak, {
+      currentValue,
+      expectedValue,
+      zScore,
+      industry: options.industry,
+    });
+  },
+
+  /**
+   * Intraday insights for every metric, biggest problem first
+   * p-values are corrected across the metrics checked (a metric with no
+   * streak counts as p = 1, which keeps the correction conservative)
+   * @param {object} options - { metrics, industry }
+   */
+  analyzeIntraday(hourly, now, options = {}) {
+    const metrics = options.metrics || INTRADAY_METRICS;
+    const results = metrics.map((metric) =>
+      this.analyzeMetric(hourly, metric, now, options)
+    );
+    const adjusted = benjaminiHochberg(results.map((r) => r?.pValue ?? 1));
+
+    return results
+      .map((insight, index) => {
+        if (!insight) return null;
+        insight.adjustedPValue = adjusted[index];
+        insight.confidence = insightsService.pValueToConfidence(
+          adjusted[index]
+        );
+        insight.headline = `${insight.headline} (${insightsService.formatPValue(
+          adjusted[index]
+        )})`;
+        return insight;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.impactScore - a.impactScore);
+  },
+
+  /**
+   * Shape a streak like the rest of the insights
+   */
+  buildIntradayInsight(metricName, now, streak, stats) {
+    const { currentValue, expectedValue, zScore } = stats;
+    // Pooled over weeks of hourly residuals - plenty for the normal
+    const pValue = twoSidedPValue(zScore);
+    const humanMetric = insightsService.getHumanMetricName(metricName);
+    const format = (value) =>
+      insightsService.formatMetricValue(metricName, value);
+    const startHour = streak[0].hour;
+    const endHour = streak[streak.length - 1].hour;
+    const percentChange = (currentValue - expectedValue) / expectedValue;
+    const weekday = new Date(`${now.date}T00:00:00Z`).toLocaleDateString(
+      "en-US",
+      { weekday: "long", timeZone: "UTC" }
+    );
+
+    return {
+      date: now.date,
+      metric: metricName,
+      insightType: "INTRADAY",
+      detector: "intraday",
+      startHour,
+      endHour,
+      currentValue,
+      expectedValue,
+      percentChange,
+      zScore,
+      pValue,
+      adjustedPValue: pValue,
+      confidence: insightsService.pValueToConfidence(pValue),
+      trendType: "spike",
+      direction: "down",
+      impactScore: Math.abs(percentChange) * 100,
+      headline: `${humanMetric} down ${Math.round(
+        Math.abs(percentChange) * 100
+      )}% since ${formatHour(startHour)} today`,
+      explanation: `Between ${formatHour(startHour)} and ${formatHour(
+        (endHour + 1) % 24
+      )} you had ${format(currentValue)} ${humanMetric.toLowerCase()}, against ${format(
+        expectedValue
+      )} expected for a ${weekday} at those hours. Every hour since ${formatHour(
+        startHour
+      )} has been well below its usual level, so this looks like something that changed today rather than noise.`,
+      actionItems: insightsService.getActionItems(metricName, "down", {
+        industry: stats.industry,
+      }),
+    };
+  },
+
+  /**
+   * Metrics already alerted for a connection today
+   */
+  async getSentAlerts(connectionId, alertDate) {
+    const { data, error } = await supabaseAdmin
+      .from("intraday_alerts")
+      .select("metric_name")
+      .eq("ga4_connection_id", connectionId)
+      .eq("alert_date", alertDate);
+
+    if (error) {
+      console.error("Failed to load intraday alerts:", error);
+      return new Set();
+    }
+
+    return new Set((data || []).map((row) => row.metric_name));
+  },
+
+  /**
+   * Drop insights that were already alerted today - one email per problem per day
+   */
+  filterUnsent(insights, sentAlerts) {
+    return insights.filter((insight) => !sentAlerts.has(insight.metric));
+  },
+
+  /**
+   * Record sent alerts (non-fatal)
+   */
+  async saveAlerts(userId, connectionId, insights) {
+    if (insights.length === 0) return;
+
+    const { error } = await supabaseAdmin.from("intraday_alerts").upsert(
+      insights.map((insight) => ({
+        user_id: userId,
+        ga4_connection_id: connectionId,
+        alert_date: insight.date,
+        metric_name: insight.metric,
+        start_hour: insight.startHour,
+        end_hour: insight.endHour,
+        metric_value: insight.currentValue,
+        baseline_value: insight.expectedValue,
+        percent_change: insight.percentChange,
+        headline: insight.headline,
+        explanation: insight.explanation,
+        created_at: new Date().toISOString(),
+      })),
+      {
+        onConflict: "ga4_connection_id,alert_date,metric_name",
+        ignoreDuplicates: true,
+      }
+    );
+
+    if (error) {
+      console.error("Failed to save intraday alerts:", error);
+    }
+  },
+};
@@ -0,0 +1,272 @@
+// Narrative Service - Short templated story on top of the ranked insights
+// e.g. "A quieter week: traffic down 12%, mostly Organic Search on mobile;
+// revenue held steady. The biggest change: Conversions dropped 35.2%."
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+
+const WEEK_DAYS = 7;
+const STEADY_CHANGE = 0.05; // Week-over-week moves under 5% read as "steady"
+const MOSTLY_SHARE = 0.5; // A segment owns the story when it drives 50%+ of the change
+const MAX_SENTENCES = 4;
+
+const TRAFFIC_METRICS = ["sessions", "totalUsers", "newUsers"];
+
+/**
+ * Totals of the additive metrics over a slice of daily rows
+ */
+function summarizeWeek(rows) {
+  const sum = (metric) => rows.reduce((acc, d) => acc + (d[metric] || 0), 0);
+  return {
+    days: rows.length,
+    sessions: sum("sessions"),
+    totalRevenue: sum("totalRevenue"),
+    conversions: sum("conversions"),
+  };
+}
+
+/**
+ * Card headlines carry "(p = 0.004)" and "Update:" - too technical for a summary
+ */
+function plainHeadline(headline) {
+  return headline
+    .replace(/^Update:\s*/, "")
+    .replace(/\s*\(p [=<] \d+(\.\d+)?\)/, "");
+}
+
+function relativeChange(current, previous) {
+  if (!previous) return null;
+  return (current - previous) / previous;
+}
+
+function describeChange(label, change) {
+  if (change === null) return null;
+  if (Math.abs(change) < STEADY_CHANGE) return `${label} held steady`;
+  return `${label} ${change > 0 ? "up" : "down"} ${Math.round(
+    Math.abs(change) * 100
+  )}%`;
+}
+
+export const narrativeService = {
+  /**
+   * Week-over-week totals from the fetchMetrics daily rows
+   * @returns {object|null} { current, previous, sessionsChange, revenueChange, conversionsChange }
+   */
+  computeWeekOverWeek(daily) {
+    const sorted = [...(daily || [])].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+    if (sorted.length < WEEK_DAYS * 2) return null;
+
+    const current = summarizeWeek(sorted.slice(-WEEK_DAYS));
+    const previous = summarizeWeek(
+      sorted.slice(-WEEK_DAYS * 2, -WEEK_DAYS)
+    );
+
+    return {
+      current,
+      previous,
+      sessionsChange: relativeChange(current.sessions, previous.sessions),
+      revenueChange: relativeChange(
+        current.totalRevenue,
+        previous.totalRevenue
+      ),
+      conversionsChange: relativeChange(
+        current.conversions,
+        previous.conversions
+      ),
+    };
+  },
+
+  /**
+   * "mostly Organic Search on mobile" from a traffic insight's drill-down
+   */
+  describeDrivers(insights) {
+    // A composite insight led by another metric still explains the traffic move
+    const traffic = insights.find(
+      (i) =>
+        i.drilldown?.dimensions &&
+        [i.metric, ...(i.relatedMetrics || []).map((r) => r.metric)].some(
+          (metric) => TRAFFIC_METRICS.includes(metric)
+        )
+    );
+    if (!traffic) return "";
+
+    const leader = (dimension) => {
+      const top = traffic.drilldown.dimensions[dimension]?.top?.[0];
+      return top && top.share >= MOSTLY_SHARE ? top.segment : null;
+    };
+
+    const channel = leader("sessionDefaultChannelGroup");
+    const device = leader("deviceCategory");
+    if (!channel && !device) return "";
+
+    return `, mostly ${[channel, device && `on ${device}`]
+      .filter(Boolean)
+      .join(" ")}`;
+  },
+
+  /**
+   * Compose the 2-4 sentence summary for one property
+   * @param {object} metrics - fetchMetrics result (daily rows and totals)
+   * @param {Array} insights - Ranked insights as reported (rules, top 3, goal pacing)
+   * @returns {object} { text, sentences, weekOverWeek }
+   */
+  buildSummary(metrics, insights = []) {
+    const sentences = [];
+    const weekOverWeek = this.computeWeekOverWeek(metrics?.daily);
+
+    // 1. The overall story: tone, traffic (and who drove it), money
+    if (weekOverWeek) {
+      const { sessionsChange, revenueChange, conversionsChange } =
+        weekOverWeek;
+      const tone =
+        sessionsChange === null || Math.abs(sessionsChange) < STEADY_CHANGE
+          ? "A steady week"
+          : sessionsChange < 0
+          ? "A quieter week"
+          : "A busier week";
+
+      const traffic = describeChange("traffic", sessionsChange);
+      const outcome =
+        weekOverWeek.current.totalRevenue > 0 ||
+        weekOverWeek.previous.totalRevenue > 0
+          ? describeChange("revenue", revenueChange)
+          : describeChange("conversions", conversionsChange);
+
+      sentences.push(
+        `${tone}: ${[
+          traffic && `${traffic}${this.describeDrivers(insights)}`,
+          outcome,
+        ]
+          .filter(Boolean)
+          .join("; ")}.`
+      );
+    } else {
+      // Under two weeks of data (e.g. a short lookback) - totals instead, so the
+      // summary still has two sentences with the finding below
+      const days = metrics?.daily?.length || 0;
+      const totals =
+        metrics?.totals?.sessions !== undefined
+          ? metrics.totals
+          : summarizeWeek(metrics?.daily || []);
+
+      sentences.push(
+        days === 0
+          ? "There's no data for this period yet."
+          : `Over the last ${
+              days === 1 ? "day" : `${days} days`
+            } you had ${insightsService.formatMetricValue(
+              "sessions",
+              totals.sessions
+            )} sessions${
+              totals.totalRevenue
+                ? ` and ${insightsService.formatMetricValue(
+                    "totalRevenue",
+                    totals.totalRevenue
+                  )} in revenue`
+                : ""
+            }.`
+      );
+    }
+
+    // 2. Broken tracking changes how everything else should be read
+    const dataQuality = insights.find((i) => i.insightType === "DATA_QUALITY");
+    if (dataQuality) {
+      sentences.push(
+        `${plainHeadline(
+          dataQuality.headline
+        )}, so treat the numbers below with caution.`
+      );
+    }
+
+    // 3. The single most important finding
+    const lead = insights.find(
+      (i) => !["DATA_QUALITY", "GOAL_PACING", "RULE"].includes(i.insightType)
+    );
+    if (lead) {
+      sentences.push(
+        `The biggest change: ${plainHeadline(lead.headline)}.`
+      );
+    } else {
+      sentences.push("Nothing unusual stood out in yesterday's data.");
+    }
+
+    // 4. Alert rules the user set up
+    const rulesFired = insights.filter((i) => i.insightType === "RULE");
+    if (rulesFired.length === 1) {
+      sentences.push(`Your rule "${rulesFired[0].ruleName}" fired.`);
+    } else if (rulesFired.length > 1) {
+      sentences.push(`${rulesFired.length} of your alert rules fired.`);
+    }
+
+    // 5. Goal pacing
+    const goals = insights.filter((i) => i.insightType === "GOAL_PACING");
+    if (goals.length > 0) {
+      const behind = goals.filter((i) => i.goal?.status === "behind");
+      if (behind.length === 0) {
+        sentences.push(
+          goals.length === 1
+            ? `${goals[0].goal.name} is on track.`
+            : `All ${goals.length} goals are on track.`
+        );
+      } else {
+        sentences.push(
+          behind.length === 1
+            ? `${behind[0].goal.name} is behind pace.`
+            : `${behind.length} of your ${goals.length} goals are behind pace.`
+        );
+      }
+    }
+
+    const trimmed = sentences.slice(0, MAX_SENTENCES);
+    return {
+      text: trimmed.join(" "),
+      sentences: trimmed,
+      weekOverWeek,
+    };
+  },
+
+  /**
+   * Store a property's summary with the run that produced it (non-fatal)
+   * @param {object} runIds - { runId: daily_insights.run_id of the report,
+   *   cronJobId: cron_job_runs id }
+   */
+  async saveSummary(userId, connectionId, summaryDate, summary, runIds = {}) {
+    const { error } = await supabaseAdmin.from("insight_summaries").upsert(
+      {
+        user_id: userId,
+        ga4_connection_id: connectionId,
+        summary_date: summaryDate,
+        summary: summary.text,
+        sentences: summary.sentences,
+        week_over_week: summary.weekOverWeek,
+        run_id: runIds.runId || null,
+        cron_job_id: runIds.cronJobId || null,
+        created_at: new Date().toISOString(),
+      },
+      { onConflict: "ga4_connection_id,summary_date" }
+    );
+
+    if (error) {
+      console.error("Failed to save insight summary:", error);
+    }
+  },
+
+  /**
+   * Stored summaries of the given report runs
+   * @param {Array} runIds - daily_insights.run_id values
+   * @returns {object} { [runId]: summary row }
+   */
+  async getSummariesForRuns(runIds) {
+    if (runIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from("insight_summaries")
+      .select("*")
+      .in("run_id", runIds);
+
+    if (error) throw error;
+
+    return Object.fromEntries((data || []).map((row) => [row.run_id, row]));
+  },
+};
@@ -0,0 +1,149 @@
+// OAuth State Service - Signed, expiring, single-use state for the GA4 OAuth flow
+// The state sent to Google is an HMAC-signed { nonce, userId, redirectTo, exp }.
+// The nonce row (oauth_states) holds the PKCE verifier server-side and is deleted
+// when the callback verifies it, so a state can't be forged, replayed or used to
+// attach someone else's Google account.
+import crypto from "crypto";
+import { supabaseAdmin } from "./supabase.service.js";
+import { config } from "../config/index.js";
+
+const STATE_TTL_MINUTES = 10;
+const DEFAULT_REDIRECT = "/dashboard";
+
+/**
+ * 400 for anything wrong with a returned state
+ */
+function invalidState(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function sign(payload) {
+  if (!config.oauthState.secret) {
+    const error = new Error("OAUTH_STATE_SECRET is not configured");
+    error.status = 500;
+    throw error;
+  }
+  return crypto
+    .createHmac("sha256", config.oauthState.secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+export const oauthStateService = {
+  /**
+   * Frontend path to return to - only same-site relative paths are allowed
+   */
+  normalizeRedirect(redirectTo) {
+    if (
+      typeof redirectTo !== "string" ||
+      !redirectTo.startsWith("/") ||
+      redirectTo.startsWith("//") ||
+      redirectTo.includes("\\") ||
+      redirectTo.length > 200
+    ) {
+      return DEFAULT_REDIRECT;
+    }
+    return redirectTo;
+  },
+
+  /**
+   * Start an OAuth attempt: store a nonce with a fresh PKCE verifier
+   * @returns {object} { state, codeChallenge } for ga4Service.getAuthUrl
+   */
+  async create(userId, redirectTo) {
+    await this.deleteExpired();
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000);
+    const target = this.normalizeRedirect(redirectTo);
+
+    const { error } = await supabaseAdmin.from("oauth_states").insert({
+      nonce,
+      user_id: userId,
+      code_verifier: codeVerifier,
+      redirect_to: target,
+      expires_at: expiresAt.toISOString(),
+    });
+
+    if (error) throw error;
+
+    const payload = Buffer.from(
+      JSON.stringify({
+        nonce,
+        userId,
+        redirectTo: target,
+        exp: expiresAt.getTime(),
+      })
+    ).toString("base64url");
+
+    return {
+      state: `${payload}.${sign(payload)}`,
+      codeChallenge: crypto
+        .createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url"),
+    };
+  },
+
+  /**
+   * Verify a state from the callback and consume its nonce
+   * @returns {object} { userId, redirectTo, codeVerifier }
+   */
+  async verify(state) {
+    const [payload, signature] = (typeof state === "string" ? state : "").split(
+      "."
+    );
+    if (!payload || !signature) throw invalidState("Malformed OAuth state");
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      throw invalidState("OAuth state signature mismatch");
+    }
+
+    const { nonce, userId, exp } = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    if (!exp || Date.now() > exp) throw invalidState("OAuth state expired");
+
+    // Deleting the nonce makes the state single-use
+    const { data, error } = await supabaseAdmin
+      .from("oauth_states")
+      .delete()
+      .eq("nonce", nonce)
+      .eq("user_id", userId)
+      .gt("expires_at", new Date().toISOString())
+      .select("code_verifier, redirect_to");
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw invalidState("OAuth state already used or unknown");
+    }
+
+    return {
+      userId,
+      redirectTo: data[0].redirect_to,
+      codeVerifier: data[0].code_verifier,
+    };
+  },
+
+  /**
+   * Clear out abandoned OAuth attempts (non-fatal)
+   */
+  async deleteExpired() {
+    const { error } = await supabaseAdmin
+      .from("oauth_states")
+      .delete()
+      .lt("expires_at", new Date().toISOString());
+
+    if (error) {
+      console.error("Failed to clean up OAuth states:", error);
+    }
+  },
+};
@@ -0,0 +1,147 @@
+// Pending Connection Service - OAuth results waiting for the user to pick properties
+// The callback stores the tokens (encrypted) and the account's GA4 properties for a
+// few minutes; the select-property page only ever sees the pending id and the
+// property list, and connecting turns the row into ga4_connections rows.
+import { supabaseAdmin } from "./supabase.service.js";
+import { tokenEncryptionService } from "./token-encryption.service.js";
+
+const PENDING_TTL_MINUTES = 10;
+
+// ga4_connections columns that are safe to return to the browser
+const CONNECTION_COLUMNS =
+  "id, property_id, property_name, is_active, last_synced_at";
+
+export const pendingConnectionService = {
+  /**
+   * Store tokens from the OAuth callback until properties are selected
+   * @param {object} tokens - From ga4Service.getTokensFromCode
+   * @param {Array} properties - From ga4Service.getGA4Properties
+   * @returns {object} { id, expires_at }
+   */
+  async create(userId, tokens, properties) {
+    await this.deleteExpired();
+
+    const { data, error } = await supabaseAdmin
+      .from("pending_ga4_connections")
+      .insert({
+        user_id: userId,
+        ...tokenEncryptionService.encryptTokens({
+          accessToken: tokens.access_token,
+          refreshToken: tokens.refresh_token,
+        }),
+        token_expires_at: tokens.expiry_date
+          ? new Date(tokens.expiry_date).toISOString()
+          : null,
+        properties,
+        expires_at: new Date(
+          Date.now() + PENDING_TTL_MINUTES * 60 * 1000
+        ).toISOString(),
+      })
+      .select("id, expires_at")
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * A user's unexpired pending connection (null if missing, expired or not theirs)
+   */
+  async get(pendingId, userId) {
+    const { data, error } = await supabaseAdmin
+      .from("pending_ga4_connections")
+      .select("*")
+      .eq("id", pendingId)
+      .eq("user_id", userId)
+      .gt("expires_at", new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * What the select-property page may see - never the tokens
+   */
+  toPublic(pending) {
+    return {
+      pendingId: pending.id,
+      properties: pending.properties,
+      expiresAt: pending.expires_at,
+    };
+  },
+
+  /**
+   * Connect the chosen properties with the pending tokens, then drop the pending row
+   * Property names come from the stored list, so only properties the Google
+   * account can access are accepted.
+   * @returns {Array} Saved connections (without token columns)
+   */
+  async connectProperties(pending, propertyIds) {
+    const requested = [...new Set(propertyIds.map(String))];
+    const selected = pending.properties.filter((property) =>
+      requested.includes(property.propertyId)
+    );
+
+    if (selected.length !== requested.length) {
+      const error = new Error(
+        "Some properties are not available for this Google account"
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    const { accessToken, refreshToken } =
+      tokenEncryptionService.decryptTokens(pending);
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from("ga4_connections")
+      .upsert(
+        selected.map((property) => ({
+          user_id: pending.user_id,
+          property_id: property.propertyId,
+          property_name: property.propertyName,
+          ...tokenEncryptionService.encryptTokens({ accessToken, refreshToken }),
+          token_expires_at: pending.token_expires_at,
+          is_active: true,
+          last_synced_at: now,
+        })),
+        { onConflict: "user_id,property_id" }
+      )
+      .select(CONNECTION_COLUMNS);
+
+    if (error) throw error;
+
+    await this.delete(pending.id);
+    return data;
+  },
+
+  /**
+   * Remove a pending connection (non-fatal - it expires anyway)
+   */
+  async delete(pendingId) {
+    const { error } = await supabaseAdmin
+      .from("pending_ga4_connections")
+      .delete()
+      .eq("id", pendingId);
+
+    if (error) {
+      console.error("Failed to delete pending connection:", error);
+    }
+  },
+
+  /**
+   * Clear out abandoned selections (non-fatal)
+   */
+  async deleteExpired() {
+    const { error } = await supabaseAdmin
+      .from("pending_ga4_connections")
+      .delete()
+      .lt("expires_at", new Date().toISOString());
+
+    if (error) {
+      console.error("Failed to clean up pending connections:", error);
+    }
+  },
+};
@@ -0,0 +1,384 @@
+// Portfolio Service - Cross-property comparison for users with several GA4 properties
+// Each property's last week is measured against its own usual week first, so a
+// small blog and a big shop can be ranked side by side ("3 of your 8 properties
+// saw conversion drops this week").
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+import {
+  MAD_SCALE,
+  mean,
+  median,
+  medianAbsoluteDeviation,
+} from "../utils/statistics.js";
+
+const WEEK_DAYS = 7;
+const BASELINE_WEEKS = 4; // Weeks before the current one that define "usual"
+const MIN_PROPERTIES = 2;
+
+// Additive metrics, weighted like the insights engine ranks them
+const PORTFOLIO_METRICS = {
+  conversions: { weight: 3, label: "conversion" },
+  totalRevenue: { weight: 3, label: "revenue" },
+  sessions: { weight: 1, label: "traffic" },
+};
+
+// A property "saw a drop" when its week is clearly below its own baseline
+const DROP_Z = 2.0;
+const MIN_DROP = 0.1; // And at least 10% down
+
+// Health: a shortfall counts in full from 2 standard deviations below normal,
+// not at all within 1 (noise), and scales in between
+const HEALTH_NOISE_Z = 1.0;
+
+// Lagging the portfolio: robust z of the property's change among all properties
+const OUTLIER_Z = 2.0;
+const OUTLIER_GAP = 0.2; // 20 percentage points behind the typical property
+const MIN_OUTLIER_PROPERTIES = 3;
+
+const PORTFOLIO_ACTIONS = {
+  shared: [
+    "Look for a shared cause first - a tag manager or consent change, a shared campaign, or seasonality",
+    "Compare the affected properties' channels to see if one source fell everywhere",
+    "Check the unaffected properties for what they do differently",
+  ],
+  some: [
+    "Open each affected property's section below for its drivers",
+    "Check whether the affected properties share a platform, agency or campaign",
+    "Prioritize the property with the largest drop in absolute terms",
+  ],
+  outlier: [
+    "Review recent site, campaign and tracking changes on this property",
+    "Compare its channel mix with your healthier properties",
+    "Check its section below for the segments behind the drop",
+  ],
+};
+
+/**
+ * Join property names: "A", "A and B", "A, B and C"
+ */
+function joinNames(names) {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+function formatPercent(change) {
+  return `${change > 0 ? "+" : ""}${Math.round(change * 100)}%`;
+}
+
+export const portfolioService = {
+  /**
+   * Last week of one metric vs the property's own same-weekday baseline
+   * @param {Array} sortedData - Daily rows, oldest first
+   * @returns {object|null} { current, expected, change, zScore }
+   */
+  normalizeMetric(sortedData, metricName) {
+    if (!sortedData.some((d) => d[metricName] !== undefined)) return null;
+
+    const currentWeek = sortedData.slice(-WEEK_DAYS);
+    const baselineDays = sortedData.slice(
+      -WEEK_DAYS * (BASELINE_WEEKS + 1),
+      -WEEK_DAYS
+    );
+    if (currentWeek.length < WEEK_DAYS || baselineDays.length < WEEK_DAYS) {
+      return null;
+    }
+
+    // Usual value per weekday, and how far single days stray from it
+    const byWeekday = new Map();
+    for (const day of baselineDays) {
+      const weekday = new Date(day.date).getUTCDay();
+      if (!byWeekday.has(weekday)) byWeekday.set(weekday, []);
+      byWeekday.get(weekday).push(day[metricName] || 0);
+    }
+
+    const weekdayMeans = new Map(
+      [...byWeekday].map(([weekday, values]) => [weekday, mean(values)])
+    );
+    const residuals = baselineDays.map(
+      (day) =>
+        (day[metricName] || 0) - weekdayMeans.get(new Date(day.date).getUTCDay())
+    );
+    const dailyStd = Math.sqrt(
+      residuals.reduce((sum, r) => sum + r * r, 0) /
+        Math.max(1, residuals.length - 1)
+    );
+
+    const usual = (day) => weekdayMeans.get(new Date(day.date).getUTCDay());
+    const current = currentWeek.reduce(
+      (sum, d) => sum + (d[metricName] || 0),
+      0
+    );
+    const expected = currentWeek.reduce((sum, d) => sum + (usual(d) || 0), 0);
+    if (expected <= 0) return null;
+
+    return {
+      current,
+      expected,
+      change: (current - expected) / expected,
+      zScore:
+        dailyStd > 0
+          ? (current - expected) / (dailyStd * Math.sqrt(WEEK_DAYS))
+          : 0,
+    };
+  },
+
+  /**
+   * 0-100 health score: 100 = every metric at or above its own normal,
+   * 60 = conversions, revenue and traffic all clearly 40% below it
+   */
+  calculateHealthScore(metrics) {
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const [metricName, result] of Object.entries(metrics)) {
+      const significance = Math.min(
+        1,
+        Math.max(
+          0,
+          (-result.zScore - HEALTH_NOISE_Z) / (DROP_Z - HEALTH_NOISE_Z)
+        )
+      );
+      const score =
+        100 * Math.max(0, 1 + Math.min(0, result.change) * significance);
+      weighted += score * PORTFOLIO_METRICS[metricName].weight;
+      totalWeight += PORTFOLIO_METRICS[metricName].weight;
+    }
+
+    return totalWeight > 0 ? Math.round(weighted / totalWeight) : null;
+  },
+
+  /**
+   * Normalize, score and rank every property, then look for portfolio-wide patterns
+   * @param {Array} properties - [{ connection, daily }] (daily rows from fetchMetrics)
+   * @returns {object} { date, properties (healthiest first), insights }
+   */
+  analyzePortfolio(properties) {
+    const scored = properties
+      .filter((p) => p.daily && p.daily.length > 0)
+      .map(({ connection, daily }) => {
+        const sorted = [...daily].sort((a, b) => a.date.localeCompare(b.date));
+        const metrics = {};
+        for (const metricName of Object.keys(PORTFOLIO_METRICS)) {
+          const result = this.normalizeMetric(sorted, metricName);
+          if (result) metrics[metricName] = result;
+        }
+
+        return {
+          connectionId: connection.id,
+          propertyId: connection.property_id,
+          propertyName: connection.property_name || connection.property_id,
+          lastDate: sorted[sorted.length - 1].date,
+          metrics,
+          healthScore: this.calculateHealthScore(metrics),
+        };
+      })
+      .filter((p) => p.healthScore !== null)
+      .sort((a, b) => b.healthScore - a.healthScore)
+      .map((p, index) => ({ ...p, rank: index + 1 }));
+
+    const date = scored.reduce(
+      (latest, p) => (p.lastDate > latest ? p.lastDate : latest),
+      ""
+    );
+
+    if (scored.length < MIN_PROPERTIES) {
+      return { date: date || null, properties: scored, insights: [] };
+    }
+
+    // Metrics that hit the same properties become one insight ("Also affected")
+    const insights = new Map();
+    for (const metricName of Object.keys(PORTFOLIO_METRICS)) {
+      const withMetric = scored.filter((p) => p.metrics[metricName]);
+      if (withMetric.length < MIN_PROPERTIES) continue;
+
+      // A shared drop already explains any laggard
+      const insight =
+        this.findDrops(withMetric, metricName, date) ||
+        this.findOutlier(withMetric, metricName, date);
+      if (!insight) continue;
+
+      const key = insight.properties
+        .map((p) => p.connectionId)
+        .sort()
+        .join(",");
+      if (insights.has(key)) {
+        insights.get(key).relatedMetrics.push({
+          metric: metricName,
+          percentChange: insight.percentChange,
+        });
+      } else {
+        insights.set(key, { ...insight, relatedMetrics: [] });
+      }
+    }
+
+    return {
+      date,
+      properties: scored,
+      insights: [...insights.values()].sort(
+        (a, b) => b.impactScore - a.impactScore
+      ),
+    };
+  },
+
+  /**
+   * "3 of your 8 properties saw conversion drops this week"
+   * Only when 2+ properties dropped - a single drop is in that property's own section
+   */
+  findDrops(properties, metricName, date) {
+    const resultOf = (p) => p.metrics[metricName];
+    const dropped = properties
+      .filter(
+        (p) => resultOf(p).zScore <= -DROP_Z && resultOf(p).change <= -MIN_DROP
+      )
+      .sort((a, b) => resultOf(a).change - resultOf(b).change);
+    if (dropped.length < MIN_PROPERTIES) return null;
+
+    const { label, weight } = PORTFOLIO_METRICS[metricName];
+    const total = properties.length;
+    const everyProperty = dropped.length === total;
+    const current = dropped.reduce((sum, p) => sum + resultOf(p).current, 0);
+    const expected = dropped.reduce((sum, p) => sum + resultOf(p).expected, 0);
+    const others = total - dropped.length;
+    const humanMetric = insightsService.getHumanMetricName(metricName);
+
+    return {
+      date,
+      metric: metricName,
+      insightType: "PORTFOLIO",
+      detector: "portfolio",
+      currentValue: current,
+      expectedValue: expected,
+      percentChange: (current - expected) / expected,
+      zScore: null,
+      confidence: null,
+      trendType: "trend",
+      direction: "down",
+      impactScore: (dropped.length / total) * 100 * weight,
+      properties: dropped.map((p) => ({
+        connectionId: p.connectionId,
+        propertyName: p.propertyName,
+        percentChange: resultOf(p).change,
+      })),
+      headline: everyProperty
+        ? `All ${total} of your properties saw ${label} drops this week`
+        : `${dropped.length} of your ${total} properties saw ${label} drops this week`,
+      explanation: `${humanMetric} fell at ${joinNames(
+        dropped.map(
+          (p) => `${p.propertyName} (${formatPercent(resultOf(p).change)})`
+        )
+      )}, each compared with its own usual week.${
+        everyProperty
+          ? " When every property drops together the cause is usually shared rather than site-specific."
+          : ` Your other ${others} propert${others === 1 ? "y" : "ies"} held up.`
+      }`,
+      actionItems: everyProperty
+        ? PORTFOLIO_ACTIONS.shared
+        : PORTFOLIO_ACTIONS.some,
+    };
+  },
+
+  /**
+   * The one property clearly behind the rest of the portfolio on a metric
+   */
+  findOutlier(properties, metricName, date) {
+    if (properties.length < MIN_OUTLIER_PROPERTIES) return null;
+
+    const changes = properties.map((p) => p.metrics[metricName].change);
+    const typical = median(changes);
+    const spread = MAD_SCALE * medianAbsoluteDeviation(changes);
+
+    const worst = properties.reduce((a, b) =>
+      b.metrics[metricName].change < a.metrics[metricName].change ? b : a
+    );
+    const result = worst.metrics[metricName];
+    const gap = result.change - typical;
+
+    if (
+      gap > -OUTLIER_GAP ||
+      result.zScore > -DROP_Z ||
+      (spread > 0 && gap / spread > -OUTLIER_Z)
+    ) {
+      return null;
+    }
+
+    const { weight } = PORTFOLIO_METRICS[metricName];
+    const humanMetric = insightsService.getHumanMetricName(metricName);
+
+    return {
+      date,
+      metric: metricName,
+      insightType: "PORTFOLIO",
+      detector: "portfolio",
+      currentValue: result.current,
+      expectedValue: result.expected,
+      percentChange: result.change,
+      zScore: result.zScore,
+      confidence: null,
+      trendType: "trend",
+      direction: "down",
+      impactScore: Math.abs(gap) * 100 * weight,
+      properties: [
+        {
+          connectionId: worst.connectionId,
+          propertyName: worst.propertyName,
+          percentChange: result.change,
+        },
+      ],
+      headline: `${worst.propertyName} is lagging the rest of your portfolio: ${humanMetric.toLowerCase()} ${formatPercent(
+        result.change
+      )} this week vs ${formatPercent(typical)} for a typical property`,
+      explanation: `${worst.propertyName} had ${insightsService.formatMetricValue(
+        metricName,
+        result.current
+      )} ${humanMetric.toLowerCase()} in the last 7 days against ${insightsService.formatMetricValue(
+        metricName,
+        result.expected
+      )} expected from its own recent weeks. Across your ${
+        properties.length
+      } properties the typical change was ${formatPercent(
+        typical
+      )}, so this looks specific to ${worst.propertyName}. Health score: ${
+        worst.healthScore
+      }/100 (rank ${worst.rank} of ${properties.length}).`,
+      actionItems: PORTFOLIO_ACTIONS.outlier,
+    };
+  },
+
+  /**
+   * Store the day's portfolio for the API (non-fatal)
+   */
+  async saveSnapshot(userId, portfolio, runId = null) {
+    const { error } = await supabaseAdmin.from("portfolio_snapshots").upsert(
+      {
+        user_id: userId,
+        snapshot_date: portfolio.date,
+        properties: portfolio.properties.map(
+          ({ lastDate, ...property }) => property
+        ),
+        insights: portfolio.insights,
+        cron_job_id: runId,
+        created_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,snapshot_date" }
+    );
+
+    if (error) {
+      console.error("Failed to save portfolio snapshot:", error);
+    }
+  },
+
+  /**
+   * Most recent stored portfolio for a user (null before the first run)
+   */
+  async getLatestSnapshot(userId) {
+    const { data, error } = await supabaseAdmin
+      .from("portfolio_snapshots")
+      .select("*")
+      .eq("user_id", userId)
+      .order("snapshot_date", { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+};
@@ -0,0 +1,405 @@
+// Rules Service - User-defined alert rules in a small rule language
+//
+// Grammar (case-insensitive, optional leading "alert if"):
+//   rule       := metric condition [days]
+//   condition  := operator number                       e.g. "conversions < 5"
+//               | movement number "%" "vs" reference    e.g. "revenue drops 30% vs same day last week"
+//   operator   := "<" | "<=" | ">" | ">=" | "=" | "!="
+//   movement   := "drops" | "rises" | "changes"
+//   reference  := "same day last week" | "previous day" | "yesterday" | "7-day average"
+//   days       := "on" ("any day" | "any weekday" | "weekdays" | "weekends" | day ["," day]*)
+//
+// Rules are checked against the latest day of the daily series.
+import { supabaseAdmin } from "./supabase.service.js";
+import { insightsService } from "./insights.service.js";
+import { mean } from "../utils/statistics.js";
+
+// Metric names (and friendly aliases) a rule can reference
+const RULE_METRICS = {
+  sessions: "sessions",
+  users: "totalUsers",
+  totalusers: "totalUsers",
+  newusers: "newUsers",
+  conversions: "conversions",
+  revenue: "totalRevenue",
+  totalrevenue: "totalRevenue",
+  engagementrate: "engagementRate",
+  bouncerate: "bounceRate",
+};
+
+const OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+const MOVEMENTS = {
+  drops: "drop",
+  drop: "drop",
+  falls: "drop",
+  rises: "rise",
+  rise: "rise",
+  increases: "rise",
+  changes: "change",
+  change: "change",
+};
+
+// Reference phrases -> reference id
+const REFERENCES = [
+  { words: ["same", "day", "last", "week"], id: "same_day_last_week" },
+  { words: ["previous", "day"], id: "previous_day" },
+  { words: ["yesterday"], id: "previous_day" },
+  { words: ["7-day", "average"], id: "trailing_7_day_average" },
+  { words: ["7", "day", "average"], id: "trailing_7_day_average" },
+  { words: ["last", "7", "days"], id: "trailing_7_day_average" },
+];
+
+const REFERENCE_LABELS = {
+  same_day_last_week: "the same day last week",
+  previous_day: "the previous day",
+  trailing_7_day_average: "the 7-day average",
+};
+
+const DAY_NAMES = {
+  sunday: 0,
+  sun: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tue: 2,
+  wednesday: 3,
+  wed: 3,
+  thursday: 4,
+  thu: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6,
+  sat: 6,
+};
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKENDS = [0, 6];
+
+const RULE_ACTIONS = [
+  "Check whether this was expected (campaign change, holiday, deploy)",
+  "Review the related channels and pages in GA4",
+  "Adjust the rule if it fires too often or too late",
+];
+
+/**
+ * Rule syntax error - the message is shown to the user as-is
+ */
+function syntaxError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Split an expression into lowercase tokens (operators, numbers, words, commas)
+ */
+function tokenize(expression) {
+  const pattern =
+    /<=|>=|!=|==|<|>|=|%|,|-?\d+(?:\.\d+)?(?![\w-])|[a-z0-9][a-z0-9-]*/g;
+  return expression.toLowerCase().match(pattern) || [];
+}
+
+export const rulesService = {
+  /**
+   * Parse a rule expression into a rule definition
+   * @throws {Error} status 400 with a readable message when the syntax is invalid
+   * @returns {object} { metric, type: "absolute"|"relative", operator, value, movement, percent, reference, days }
+   */
+  parse(expression) {
+    if (typeof expression !== "string" || !expression.trim()) {
+      throw syntaxError("Rule expression is required");
+    }
+
+    const tokens = tokenize(expression);
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    // Optional "alert if"
+    if (peek() === "alert") next();
+    if (peek() === "if") next();
+
+    const metricToken = next();
+    const metric = RULE_METRICS[metricToken];
+    if (!metric) {
+      throw syntaxError(
+        `Unknown metric "${metricToken ?? ""}". Use one of: ${Object.keys(
+          RULE_METRICS
+        ).join(", ")}`
+      );
+    }
+
+    const rule = { metric, days: null };
+    const conditionToken = next();
+
+    if (conditionToken === "==" || OPERATORS[conditionToken]) {
+      const value = parseFloat(next());
+      if (Number.isNaN(value)) {
+        throw syntaxError(`Expected a number after "${conditionToken}"`);
+      }
+      rule.type = "absolute";
+      rule.operator = conditionToken === "==" ? "=" : conditionToken;
+      rule.value = value;
+    } else if (MOVEMENTS[conditionToken]) {
+      const percent = parseFloat(next());
+      if (Number.isNaN(percent) || percent <= 0) {
+        throw syntaxError(
+          `Expected a positive percentage after "${conditionToken}"`
+        );
+      }
+      if (next() !== "%") {
+        throw syntaxError(`Percentages need a "%" sign (e.g. 30%)`);
+      }
+      if (next() !== "vs") {
+        throw syntaxError(
+          `Expected "vs" and a reference (e.g. "vs same day last week")`
+        );
+      }
+
+      const reference = REFERENCES.find(({ words }) =>
+        words.every((word, i) => tokens[position + i] === word)
+      );
+      if (!reference) {
+        throw syntaxError(
+          `Unknown reference. Use "same day last week", "previous day" or "7-day average"`
+        );
+      }
+      position += reference.words.length;
+
+      rule.type = "relative";
+      rule.movement = MOVEMENTS[conditionToken];
+      rule.percent = percent / 100;
+      rule.reference = reference.id;
+    } else {
+      throw syntaxError(
+        `Expected a comparison (<, >, ...) or drops/rises/changes after the metric`
+      );
+    }
+
+    if (peek() === "on") {
+      next();
+      rule.days = this.parseDays(tokens.slice(position));
+      position = tokens.length;
+    }
+
+    if (position < tokens.length) {
+      throw syntaxError(`Unexpected "${tokens.slice(position).join(" ")}"`);
+    }
+
+    return rule;
+  },
+
+  /**
+   * Parse the "on ..." day filter (null = every day)
+   */
+  parseDays(tokens) {
+    const phrase = tokens.filter((t) => t !== "any" && t !== "every");
+
+    if (phrase.length === 1 && ["day", "days"].includes(phrase[0])) {
+      return null;
+    }
+    if (phrase.length === 1 && ["weekday", "weekdays"].includes(phrase[0])) {
+      return WEEKDAYS;
+    }
+    if (phrase.length === 1 && ["weekend", "weekends"].includes(phrase[0])) {
+      return WEEKENDS;
+    }
+
+    const days = [];
+    for (const token of phrase) {
+      if (token === "," || token === "and") continue;
+      const day = DAY_NAMES[token.replace(/s$/, "")];
+      if (day === undefined) {
+        throw syntaxError(
+          `Unknown day "${token}". Use weekdays, weekends or day names`
+        );
+      }
+      days.push(day);
+    }
+
+    if (days.length === 0) {
+      throw syntaxError(`Expected days after "on"`);
+    }
+    return [...new Set(days)].sort();
+  },
+
+  /**
+   * Validate an expression without throwing
+   * @returns {object} { rule } or { error }
+   */
+  validate(expression) {
+    try {
+      return { rule: this.parse(expression) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  },
+
+  /**
+   * Reference value a relative rule compares the day against
+   */
+  getReferenceValue(rule, sortedData, index) {
+    const values = sortedData.map((d) => d[rule.metric]);
+    const day = sortedData[index];
+
+    const offsetDay = (days) => {
+      const target = new Date(day.date);
+      target.setUTCDate(target.getUTCDate() - days);
+      const date = target.toISOString().split("T")[0];
+      return sortedData.find((d) => d.date === date)?.[rule.metric];
+    };
+
+    if (rule.reference === "same_day_last_week") return offsetDay(7);
+    if (rule.reference === "previous_day") return offsetDay(1);
+
+    const trailing = values.slice(Math.max(0, index - 7), index);
+    return trailing.length === 7 ? mean(trailing) : undefined;
+  },
+
+  /**
+   * Check a rule against the latest day of the series
+   * @param {object} ruleRow - alert_rules row (name, expression)
+   * @returns {object|null} RULE insight when the rule fires
+   */
+  evaluate(ruleRow, sortedData) {
+    if (!sortedData || sortedData.length === 0) return null;
+
+    const { rule, error } = this.validate(ruleRow.expression);
+    if (error) {
+      console.error(`Skipping invalid rule ${ruleRow.id}: ${error}`);
+      return null;
+    }
+
+    const index = sortedData.length - 1;
+    const day = sortedData[index];
+    const currentValue = day[rule.metric];
+    if (currentValue === undefined) return null;
+
+    if (rule.days && !rule.days.includes(new Date(day.date).getUTCDay())) {
+      return null;
+    }
+
+    if (rule.type === "absolute") {
+      if (!OPERATORS[rule.operator](currentValue, rule.value)) return null;
+      return this.buildRuleInsight(ruleRow, rule, day, currentValue, rule.value);
+    }
+
+    const referenceValue = this.getReferenceValue(rule, sortedData, index);
+    if (referenceValue === undefined || !(referenceValue > 0)) return null;
+
+    const change = (currentValue - referenceValue) / referenceValue;
+    const fired =
+      (rule.movement === "drop" && change <= -rule.percent) ||
+      (rule.movement === "rise" && change >= rule.percent) ||
+      (rule.movement === "change" && Math.abs(change) >= rule.percent);
+    if (!fired) return null;
+
+    return this.buildRuleInsight(
+      ruleRow,
+      rule,
+      day,
+      currentValue,
+      referenceValue
+    );
+  },
+
+  /**
+   * Evaluate every rule, in the order given, against the latest day of the series
+   */
+  evaluateRules(ruleRows, dailyData) {
+    const sortedData = [...(dailyData || [])].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+    return ruleRows
+      .map((ruleRow) => this.evaluate(ruleRow, sortedData))
+      .filter(Boolean);
+  },
+
+  /**
+   * Shape a fired rule like the rest of the insights
+   */
+  buildRuleInsight(ruleRow, rule, day, currentValue, referenceValue) {
+    const humanMetric = insightsService.getHumanMetricName(rule.metric);
+    const format = (value) =>
+      insightsService.formatMetricValue(rule.metric, value);
+    const percentChange =
+      referenceValue !== 0 ? (currentValue - referenceValue) / referenceValue : 0;
+    const direction = percentChange >= 0 ? "up" : "down";
+    const ruleName = ruleRow.name || ruleRow.expression;
+
+    const detail =
+      rule.type === "absolute"
+        ? `${humanMetric} was ${format(currentValue)} (${rule.operator} ${format(
+            rule.value
+          )})`
+        : `${humanMetric} ${direction} ${(Math.abs(percentChange) * 100).toFixed(
+            1
+          )}% vs ${REFERENCE_LABELS[rule.reference]}`;
+
+    return {
+      date: day.date,
+      metric: rule.metric,
+      insightType: "RULE",
+      detector: "rule",
+      ruleId: ruleRow.id,
+      ruleName,
+      ruleExpression: ruleRow.expression,
+      currentValue,
+      expectedValue: referenceValue,
+      percentChange,
+      zScore: null,
+      confidence: null,
+      trendType: "spike",
+      direction,
+      impactScore: Math.abs(percentChange) * 100,
+      headline: `Rule "${ruleName}" triggered: ${detail}`,
+      explanation: `Your rule "${ruleRow.expression}" matched on ${insightsService.formatShortDate(
+        day.date
+      )}: ${humanMetric} was ${format(currentValue)}${
+        rule.type === "relative"
+          ? ` compared with ${format(referenceValue)} (${
+              REFERENCE_LABELS[rule.reference]
+            })`
+          : ""
+      }.`,
+      actionItems: RULE_ACTIONS,
+    };
+  },
+
+  /**
+   * Active rules for a user (per-connection and user-wide ones)
+   */
+  async getActiveRules(userId) {
+    const { data, error } = await supabaseAdmin
+      .from("alert_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("is_active", true)
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.error("Failed to load alert rules:", error);
+      return [];
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Rules that apply to one connection (ga4_connection_id null = every connection)
+   */
+  rulesForConnection(rules, connectionId) {
+    return rules.filter(
+      (rule) =>
+        !rule.ga4_connection_id || rule.ga4_connection_id === connectionId
+    );
+  },
+};
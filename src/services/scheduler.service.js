@@ -1,7 +1,20 @@
 // src/services/scheduler.service.js
 import cron from "node-cron";
+import crypto from "crypto";
 import { supabaseAdmin } from "./supabase.service.js";
-import { sendDailyInsights } from "./email.service.js";
+import { sendDailyInsights, sendIntradayAlerts } from "./email.service.js";
+import { feedbackService } from "./feedback.service.js";
+import { goalsService } from "./goals.service.js";
+import { rulesService } from "./rules.service.js";
+import { calendarService } from "./calendar.service.js";
+import { narrativeService } from "./narrative.service.js";
+import { intradayService } from "./intraday.service.js";
+import { portfolioService } from "./portfolio.service.js";
+import { tokenEncryptionService } from "./token-encryption.service.js";
+import {
+  hasFeatureAccess,
+  getReportsPerDay,
+} from "../config/subscriptions.js";
 import moment from "moment-timezone";
 
 /**
@@ -52,6 +65,487 @@ function shouldSendReport(subscriptionTier, lastEmailSentAt, frequency) {
   return true;
 }
 
+/**
+ * Fetch, analyze and save insights for a single GA4 connection
+ * Never throws - failures are returned so other properties keep processing
+ * @param {object} options - { historicalComparison: tier includes YoY/PoP comparisons,
+ *   learned: feedback-based metric adjustments for this user,
+ *   rules: the user's active alert rules, runId: cron_job_runs id for the summary,
+ *   industry: user_profiles.industry for the action library }
+ */
+async function processConnection(
+  userId,
+  connection,
+  lookbackDays,
+  options = {}
+) {
+  const label = `${connection.property_name || connection.property_id} (${connection.id})`;
+
+  try {
+    // This connection's own client - refreshes expired tokens and saves them back
+    const { ga4Service } = await import("./ga4.service.js");
+    const auth = createConnectionClient(ga4Service, connection);
+    const timeZone = await getPropertyTimezone(ga4Service, connection, auth);
+
+    // Fetch GA4 metrics
+    const metrics = await ga4Service.fetchMetrics(
+      connection.property_id,
+      auth,
+      {
+        startDate: `${lookbackDays}daysAgo`,
+        endDate: "yesterday",
+        comparisons: options.historicalComparison
+          ? ["yearOverYear", "previousPeriod"]
+          : [],
+        timeZone: timeZone || "UTC",
+      }
+    );
+
+    if (
+      !metrics ||
+      !metrics.hasData ||
+      !metrics.daily ||
+      metrics.daily.length === 0
+    ) {
+      console.log(`[Scheduler] No metrics data available for ${label}`);
+      return { connection, insights: [], error: null };
+    }
+
+    // GA4 returns rows in no particular order - rules, goals and the engine all
+    // read "the latest day" from the end of the series
+    metrics.daily.sort((a, b) => a.date.localeCompare(b.date));
+
+    const { insightsService } = await import("./insights.service.js");
+
+    // Store expected-vs-actual forecasts for dashboards (non-fatal)
+    await saveForecasts(
+      userId,
+      connection.id,
+      insightsService.forecastMetrics(metrics.daily)
+    );
+
+    // Analyze for anomalies
+    const analysisOptions = {
+      algorithm: connection.algorithm_settings,
+      learned: options.learned,
+      // Annotated campaigns/migrations stay out of baselines (holidays come from settings)
+      events: await calendarService.getAnnotations(userId, connection.id),
+    };
+    const detected = await insightsService.analyzeMetrics(
+      metrics.daily,
+      analysisOptions
+    );
+
+    // User-defined alert rules fire every day they match
+    const ruleInsights = rulesService.evaluateRules(
+      rulesService.rulesForConnection(options.rules || [], connection.id),
+      metrics.daily
+    );
+
+    // YoY / previous-period changes (Growth and above)
+    const comparisonInsights = insightsService.analyzeComparisons(
+      metrics.daily,
+      metrics.comparisons,
+      analysisOptions
+    );
+
+    // Don't re-send what we already reported - only material changes come back
+    const previousInsights = await getRecentInsights(connection.id);
+    const { insights: unsuppressed } = insightsService.suppressRepeats(
+      [...detected, ...comparisonInsights],
+      previousInsights,
+      metrics.daily,
+      analysisOptions
+    );
+
+    // Day-level anomalies and updates first, period comparisons fill the rest
+    const insights = [
+      ...unsuppressed.filter((i) => !i.comparisonType),
+      ...unsuppressed.filter((i) => i.comparisonType),
+    ];
+
+    // Goal pacing is reported every day, on top of the top 3
+    const goalPacing = await getGoalPacingInsights(
+      connection,
+      metrics.daily,
+      auth
+    );
+
+    if (
+      insights.length === 0 &&
+      ruleInsights.length === 0 &&
+      goalPacing.insights.length === 0
+    ) {
+      console.log(`[Scheduler] No insights generated for ${label}`);
+      return { connection, insights: [], daily: metrics.daily, error: null };
+    }
+
+    let topInsights = insights.slice(0, 3);
+
+    // Drill into each top insight to find the channels/devices/pages behind it
+    for (const insight of topInsights) {
+      // Segment breakdowns of broken tracking or whole periods aren't meaningful
+      if (insight.insightType === "DATA_QUALITY" || insight.comparisonType) {
+        continue;
+      }
+
+      const { breakdowns } = await ga4Service.fetchDrilldown(
+        connection.property_id,
+        auth,
+        { metric: insight.metric, date: insight.date }
+      );
+
+      insight.drilldown = insightsService.buildDrilldown(insight, breakdowns);
+    }
+
+    // Anomalies driven by the same segment are one problem, not several
+    topInsights = insightsService.groupByDrilldownDriver(topInsights);
+
+    // Advice for the user's industry, specific to the segments behind each move
+    for (const insight of topInsights) {
+      insight.actionItems = insightsService.tailorActionItems(
+        insight,
+        options.industry
+      );
+    }
+
+    // Rules the user asked for explicitly lead the report
+    // (one row per insight key - the batch upsert can't touch a row twice)
+    const reportInsights = uniqueByInsightKey([
+      ...ruleInsights,
+      ...topInsights,
+      ...goalPacing.insights,
+    ]);
+
+    // Save insights to database (fired rules + top 3 per property + goal pacing)
+    // One run_id per save so /api/insights/today shows exactly this report
+    const reportRunId = crypto.randomUUID();
+    const runAt = new Date().toISOString();
+    const { error: saveError } = await supabaseAdmin
+      .from("daily_insights")
+      .upsert(
+        reportInsights.map((insight, index) => ({
+          user_id: userId,
+          ga4_connection_id: connection.id,
+          insight_key: buildInsightKey(insight),
+          insight_date: insight.date,
+          insight_type: insight.insightType || "ANOMALY",
+          priority: index + 1,
+          metric_name: insight.metric,
+          metric_value: insight.currentValue, // FIX #3: Change metric_value → current_value
+          baseline_value: insight.expectedValue, // FIX #2: Change insight.baseline → insight.expectedValue
+          percent_change: insight.percentChange,
+          direction: insight.direction,
+          headline: insight.headline,
+          explanation: insight.explanation,
+          action_item: insight.actionItems.join("\n"),
+          impact_score: insight.impactScore,
+          supporting_data: buildSupportingData(insight),
+          run_id: reportRunId,
+          run_at: runAt,
+          email_sent_at: null,
+        })),
+        {
+          onConflict: "ga4_connection_id,insight_key",
+          ignoreDuplicates: false,
+        }
+      );
+
+    if (saveError) {
+      console.error(`[Scheduler] Error saving insights for ${label}:`, saveError);
+      return { connection, insights: [], error: "Failed to save insights" };
+    }
+
+    console.log(
+      `[Scheduler] Saved ${reportInsights.length} insights to database for ${label}`
+    );
+
+    // Executive summary for the top of the email (non-fatal)
+    const summary = narrativeService.buildSummary(metrics, reportInsights);
+    const latestDate = metrics.daily.reduce(
+      (latest, d) => (d.date > latest ? d.date : latest),
+      metrics.daily[0].date
+    );
+    await narrativeService.saveSummary(
+      userId,
+      connection.id,
+      latestDate,
+      summary,
+      { runId: reportRunId, cronJobId: options.runId }
+    );
+
+    return {
+      connection,
+      insights: reportInsights,
+      summary,
+      daily: metrics.daily,
+      error: null,
+    };
+  } catch (error) {
+    console.error(`[Scheduler] Error processing ${label}:`, error);
+    return { connection, insights: [], error: error.message };
+  }
+}
+
+/**
+ * GOAL_PACING insights for a connection's active goals
+ * Fetches from the start of the longest goal period when the lookback is shorter
+ * Never throws - goals must not block the anomaly insights
+ */
+async function getGoalPacingInsights(connection, daily, auth) {
+  try {
+    const goals = await goalsService.getActiveGoals(connection.id);
+    if (goals.length === 0) return { insights: [] };
+
+    const sortedDaily = [...daily].sort((a, b) => a.date.localeCompare(b.date));
+    const lastDataDate = sortedDaily[sortedDaily.length - 1].date;
+    const earliestStart = goalsService.getEarliestStart(goals, lastDataDate);
+    let series = sortedDaily;
+
+    if (sortedDaily[0].date > earliestStart) {
+      const { ga4Service } = await import("./ga4.service.js");
+      const periodMetrics = await ga4Service.fetchMetrics(
+        connection.property_id,
+        auth,
+        {
+          startDate: earliestStart,
+          endDate: lastDataDate,
+          metrics: [...new Set(goals.map((goal) => goal.metric_name))],
+        }
+      );
+      series = periodMetrics.daily || [];
+    }
+
+    return { insights: goalsService.evaluateGoals(goals, series) };
+  } catch (error) {
+    console.error(
+      `[Scheduler] Goal pacing failed for connection ${connection.id}:`,
+      error.message
+    );
+    return { insights: [] };
+  }
+}
+
+/**
+ * Insights already saved for a connection over the last week (for repeat suppression)
+ */
+async function getRecentInsights(connectionId) {
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .split("T")[0];
+
+  const { data, error } = await supabaseAdmin
+    .from("daily_insights")
+    .select(
+      "metric_name, insight_date, direction, percent_change, insight_type, supporting_data"
+    )
+    .eq("ga4_connection_id", connectionId)
+    .gte("insight_date", since);
+
+  if (error) {
+    console.error(`[Scheduler] Failed to load recent insights:`, error);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * GA4 client for one connection - credentials are never shared between
+ * connections, so users processed concurrently can't swap tokens
+ */
+function createConnectionClient(ga4Service, connection) {
+  const { accessToken, refreshToken } =
+    tokenEncryptionService.decryptTokens(connection);
+
+  return ga4Service.createClient(
+    { accessToken, refreshToken, expiresAt: connection.token_expires_at },
+    (tokens) =>
+      saveRefreshedTokens(connection.id, {
+        ...tokens,
+        refresh_token: tokens.refresh_token || refreshToken,
+      })
+  );
+}
+
+/**
+ * Property's reporting timezone - stored on the connection after the first lookup
+ * Returns null when GA4 can't be asked (the caller picks a fallback)
+ */
+async function getPropertyTimezone(ga4Service, connection, auth) {
+  if (connection.property_timezone) return connection.property_timezone;
+
+  try {
+    const timeZone = await ga4Service.getPropertyTimezone(
+      connection.property_id,
+      auth
+    );
+    if (!timeZone) return null;
+
+    const { error } = await supabaseAdmin
+      .from("ga4_connections")
+      .update({ property_timezone: timeZone })
+      .eq("id", connection.id);
+
+    if (error) {
+      console.error(`[Scheduler] Failed to save property timezone:`, error);
+    }
+    connection.property_timezone = timeZone;
+    return timeZone;
+  } catch (error) {
+    console.error(
+      `[Scheduler] Failed to look up timezone for connection ${connection.id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Persist tokens the OAuth client refreshed mid-run (non-fatal)
+ * Uses Google's expiry_date; both tokens are re-encrypted under a new data key
+ */
+async function saveRefreshedTokens(connectionId, tokens) {
+  try {
+    const { error } = await supabaseAdmin
+      .from("ga4_connections")
+      .update({
+        ...tokenEncryptionService.encryptTokens({
+          accessToken: tokens.access_token,
+          refreshToken: tokens.refresh_token,
+        }),
+        token_expires_at: new Date(tokens.expiry_date).toISOString(),
+      })
+      .eq("id", connectionId);
+
+    if (error) throw error;
+    console.log(`[Scheduler] Token refreshed for connection ${connectionId}`);
+  } catch (error) {
+    console.error(`[Scheduler] Failed to save refreshed token:`, error);
+  }
+}
+
+/**
+ * Upsert Holt-Winters forecasts into metric_forecasts
+ * Past days carry the actual value, future days only the forecast
+ */
+async function saveForecasts(userId, connectionId, forecasts) {
+  const rows = forecasts.flatMap(({ metric, evaluated, upcoming }) =>
+    [...evaluated, ...upcoming].map((point) => ({
+      user_id: userId,
+      ga4_connection_id: connectionId,
+      metric_name: metric,
+      forecast_date: point.date,
+      expected_value: point.expected,
+      lower_80: point.lower80,
+      upper_80: point.upper80,
+      lower_95: point.lower95,
+      upper_95: point.upper95,
+      actual_value: point.actual,
+      generated_at: new Date().toISOString(),
+    }))
+  );
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from("metric_forecasts")
+    .upsert(rows, { onConflict: "ga4_connection_id,metric_name,forecast_date" });
+
+  if (error) {
+    console.error(`[Scheduler] Failed to save forecasts:`, error);
+  } else {
+    console.log(`[Scheduler] Saved ${rows.length} forecast points`);
+  }
+}
+
+/**
+ * Stable identity of an insight (daily_insights.insight_key)
+ * Re-running a date updates the same finding instead of overwriting whichever
+ * row held that priority, so repeat suppression and feedback keep pointing at it.
+ * Updates are keyed by the anomaly they follow up on - a metric can recover from
+ * an "up" and a "down" anomaly on the same day.
+ */
+export function buildInsightKey(insight) {
+  const key = [
+    insight.insightType || "ANOMALY",
+    insight.detector || "",
+    insight.metric,
+    insight.date,
+    insight.comparisonType ||
+      insight.ruleId ||
+      insight.goal?.id ||
+      insight.check ||
+      "",
+  ];
+  if (insight.insightType === "UPDATE") {
+    key.push(insight.originalDate || "", insight.originalDirection || "");
+  }
+  return key.join("|");
+}
+
+/**
+ * First insight per insight key, in report order
+ */
+export function uniqueByInsightKey(insights) {
+  const seen = new Set();
+  return insights.filter((insight) => {
+    const key = buildInsightKey(insight);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Statistical context saved alongside each insight (daily_insights.supporting_data)
+ */
+function buildSupportingData(insight) {
+  return {
+    zScore: insight.zScore,
+    pValue: insight.pValue,
+    adjustedPValue: insight.adjustedPValue,
+    confidence: insight.confidence,
+    threshold: insight.threshold,
+    persistent: insight.persistent,
+    persistenceCount: insight.persistenceCount,
+    baselineMethod: insight.baselineMethod,
+    baselines: insight.baselines,
+    detector: insight.detector,
+    flaggedBy: insight.flaggedBy,
+    forecast: insight.forecast,
+    drilldown: insight.drilldown,
+    relatedMetrics: insight.relatedMetrics || [],
+    updateType: insight.updateType,
+    originalDate: insight.originalDate,
+    originalDirection: insight.originalDirection,
+    dataQualityCheck: insight.check,
+    missingDates: insight.missingDates,
+    comparisonType: insight.comparisonType,
+    goal: insight.goal,
+    calendarEvent: insight.event,
+    ruleId: insight.ruleId,
+    ruleName: insight.ruleName,
+    ruleExpression: insight.ruleExpression,
+    currentRange: insight.currentRange,
+    comparisonRange: insight.comparisonRange,
+  };
+}
+
+/**
+ * Compact per-property summary for job results and run logs
+ */
+function summarizePropertyResults(propertyResults) {
+  return propertyResults.map((r) => ({
+    connectionId: r.connection.id,
+    propertyId: r.connection.property_id,
+    success: !r.error,
+    insightsCount: r.insights.length,
+    summary: r.summary?.text,
+    error: r.error || undefined,
+  }));
+}
+
 /**
  * Process daily insights for a single user
  */
@@ -122,233 +616,175 @@ async function processDailyInsightsForUser(
       return { userId, success: false, error: "Frequency limit reached" };
     }
 
-    // Step 6: Get user's GA4 connection
+    // Step 6: Get ALL of the user's active GA4 connections
     const { data: connections, error: connError } = await supabaseAdmin
       .from("ga4_connections")
       .select("*")
       .eq("user_id", userId)
       .eq("is_active", true)
-      .limit(1);
+      .order("created_at", { ascending: true });
 
     if (connError || !connections || connections.length === 0) {
       console.log(`[Scheduler] No active connection for user ${userId}`);
       return { userId, success: false, error: "No active GA4 connection" };
     }
 
-    const connection = connections[0];
-    let accessToken = connection.access_token;
-
-    // Step 7: Check if token needs refresh
-    const tokenExpiry = new Date(connection.token_expires_at);
-    const now = new Date();
-
-    if (now >= tokenExpiry) {
-      console.log(`[Scheduler] Refreshing expired token for user ${userId}`);
-
-      const { ga4Service } = await import("./ga4.service.js");
-      const newTokens = await ga4Service.refreshAccessToken(
-        connection.refresh_token
-      );
-
-      const { error: updateError } = await supabaseAdmin
-        .from("ga4_connections")
-        .update({
-          access_token: newTokens.access_token,
-          token_expires_at: new Date(newTokens.expiry_date).toISOString(),
-        })
-        .eq("id", connection.id);
-
-      if (updateError) {
-        console.error(`[Scheduler] Failed to update token:`, updateError);
-      } else {
-        accessToken = newTokens.access_token;
-        console.log(`[Scheduler] Token refreshed`);
-      }
-    }
-
-    // Step 8: Get lookback days based on subscription tier
+    // Step 7: Get lookback days based on subscription tier
     const lookbackDays = getLookbackDays(userProfile.subscription_tier);
     console.log(
-      `[Scheduler] Using ${lookbackDays}-day lookback for ${userProfile.subscription_tier} tier`
-    );
-
-    // Step 9: Fetch GA4 metrics
-    const { ga4Service } = await import("./ga4.service.js");
-    const metrics = await ga4Service.fetchMetrics(
-      connection.property_id,
-      accessToken,
-      connection.refresh_token,
-      {
-        startDate: `${lookbackDays}daysAgo`,
-        endDate: "yesterday",
-      }
+      `[Scheduler] Using ${lookbackDays}-day lookback for ${userProfile.subscription_tier} tier across ${connections.length} propert${connections.length === 1 ? "y" : "ies"}`
     );
 
-    // If token was refreshed during fetchMetrics, save it
-    if (metrics.tokenRefreshed && metrics.newAccessToken) {
-      console.log(`[Scheduler] Saving refreshed token for user ${userId}`);
-
-      await supabaseAdmin
-        .from("ga4_connections")
-        .update({
-          access_token: metrics.newAccessToken,
-          token_expires_at: new Date(Date.now() + 3600 * 1000).toISOString(), // 1 hour from now
-        })
-        .eq("id", connection.id);
+    // Tune metric weights/sensitivity to what this user rated useful or noise
+    const learned = await feedbackService.getLearnedAdjustments(userId);
+    const rules = await rulesService.getActiveRules(userId);
+
+    // Step 8: Analyze each property on its own - one failure must not stop the rest
+    const propertyResults = [];
+    for (const connection of connections) {
+      const result = await processConnection(userId, connection, lookbackDays, {
+        historicalComparison: hasFeatureAccess(
+          userProfile.subscription_tier,
+          "historicalComparison"
+        ),
+        learned,
+        rules,
+        runId,
+        industry: userProfile.industry,
+      });
+      propertyResults.push(result);
     }
 
-    if (
-      !metrics ||
-      !metrics.hasData ||
-      !metrics.daily ||
-      metrics.daily.length === 0
-    ) {
-      console.log(`[Scheduler] No metrics data available for user ${userId}`);
-      return { userId, success: false, error: "No metrics available" };
+    // Agencies: rank properties against each other (needs 2+ properties)
+    let portfolio = null;
+    if (connections.length > 1) {
+      portfolio = portfolioService.analyzePortfolio(propertyResults);
+      if (portfolio.date) {
+        await portfolioService.saveSnapshot(userId, portfolio, runId);
+      }
     }
+    const portfolioInsights = portfolio?.insights || [];
 
-    // Step 10: Analyze for anomalies
-    const { insightsService } = await import("./insights.service.js");
-    const insights = await insightsService.analyzeMetrics(metrics.daily);
+    const totalInsights =
+      portfolioInsights.length +
+      propertyResults.reduce((sum, r) => sum + r.insights.length, 0);
 
-    if (!insights || insights.length === 0) {
+    if (totalInsights === 0) {
       console.log(`[Scheduler] No insights generated for user ${userId}`);
 
       // Check if we should send "no insights yet" email
-      const { data: connection, error: connError } = await supabaseAdmin
-        .from("ga4_connections")
-        .select("created_at")
-        .eq("user_id", userId)
-        .eq("is_active", true)
-        .order("created_at", { ascending: true })
-        .limit(1)
-        .single();
-
-      if (!connError && connection) {
-        const hoursSinceConnection =
-          (Date.now() - new Date(connection.created_at)) / (1000 * 60 * 60);
-        const lastEmailSent = emailPref.last_email_sent_at;
-
-        // Send "no insights" email if:
-        // - More than 24 hours since connection
-        // - Haven't sent this email before (or it's been 7+ days)
-        if (hoursSinceConnection >= 24) {
-          const daysSinceLastEmail = lastEmailSent
-            ? (Date.now() - new Date(lastEmailSent)) / (1000 * 60 * 60 * 24)
-            : 999;
-
-          if (daysSinceLastEmail >= 7) {
-            console.log(
-              `[Scheduler] Sending "no insights yet" email to user ${userId}`
-            );
-            const { sendNoInsightsEmail } = await import("./email.service.js");
-
-            const noInsightsResult = await sendNoInsightsEmail(userId);
-
-            if (noInsightsResult.success) {
-              // Log email to user_email_logs table (NEW!)
-              const { error: logError } = await supabaseAdmin
-                .from("user_email_logs")
-                .insert({
-                  user_id: userId,
-                  email_type: "no_insights",
-                  sent_at: new Date().toISOString(),
-                  insights_count: 0,
-                  cron_job_id: runId, // Link to current cron run
-                  email_status: "sent",
-                  resend_message_id: noInsightsResult.emailId || null,
-                });
-
-              if (logError) {
-                console.error(
-                  `[Scheduler] Failed to log no-insights email:`,
-                  logError
-                );
-              }
-
-              // Update last email sent timestamp (skip if testing)
-              if (!skipTimestampUpdate) {
-                await supabaseAdmin
-                  .from("email_preferences")
-                  .update({ last_email_sent_at: new Date().toISOString() })
-                  .eq("user_id", userId);
-              } else {
-                console.log(
-                  `[Scheduler] Skipping timestamp update (test mode)`
-                );
-              }
-
-              console.log(
-                `[Scheduler] "No insights" email sent to user ${userId}`
+      const firstConnection = connections[0];
+      const hoursSinceConnection =
+        (Date.now() - new Date(firstConnection.created_at)) / (1000 * 60 * 60);
+      const lastEmailSent = emailPref.last_email_sent_at;
+
+      // Send "no insights" email if:
+      // - More than 24 hours since connection
+      // - Haven't sent this email before (or it's been 7+ days)
+      if (hoursSinceConnection >= 24) {
+        const daysSinceLastEmail = lastEmailSent
+          ? (Date.now() - new Date(lastEmailSent)) / (1000 * 60 * 60 * 24)
+          : 999;
+
+        if (daysSinceLastEmail >= 7) {
+          console.log(
+            `[Scheduler] Sending "no insights yet" email to user ${userId}`
+          );
+          const { sendNoInsightsEmail } = await import("./email.service.js");
+
+          const noInsightsResult = await sendNoInsightsEmail(userId);
+
+          if (noInsightsResult.success) {
+            // Log email to user_email_logs table (NEW!)
+            const { error: logError } = await supabaseAdmin
+              .from("user_email_logs")
+              .insert({
+                user_id: userId,
+                email_type: "no_insights",
+                sent_at: new Date().toISOString(),
+                insights_count: 0,
+                cron_job_id: runId, // Link to current cron run
+                email_status: "sent",
+                resend_message_id: noInsightsResult.emailId || null,
+              });
+
+            if (logError) {
+              console.error(
+                `[Scheduler] Failed to log no-insights email:`,
+                logError
               );
             }
+
+            // Update last email sent timestamp (skip if testing)
+            if (!skipTimestampUpdate) {
+              await supabaseAdmin
+                .from("email_preferences")
+                .update({ last_email_sent_at: new Date().toISOString() })
+                .eq("user_id", userId);
+            } else {
+              console.log(`[Scheduler] Skipping timestamp update (test mode)`);
+            }
+
+            console.log(
+              `[Scheduler] "No insights" email sent to user ${userId}`
+            );
           }
         }
       }
 
-      return { userId, success: false, error: "No insights generated" };
+      return {
+        userId,
+        success: false,
+        error: "No insights generated",
+        properties: summarizePropertyResults(propertyResults),
+      };
     }
 
     console.log(
-      `[Scheduler] Found ${insights.length} insights for user ${userId}`
+      `[Scheduler] Found ${totalInsights} insights across ${propertyResults.length} properties for user ${userId}`
     );
 
-    // Step 11: Save insights to database (top 3 only)
-    const topInsights = insights.slice(0, 3);
-    const { error: saveError } = await supabaseAdmin
-      .from("daily_insights")
-      .upsert(
-        topInsights.map((insight, index) => ({
-          user_id: userId,
-          ga4_connection_id: connection.id,
-          insight_date: insight.date,
-          insight_type: "ANOMALY",
-          priority: index + 1,
-          metric_name: insight.metric,
-          metric_value: insight.currentValue, // FIX #3: Change metric_value → current_value
-          baseline_value: insight.expectedValue, // FIX #2: Change insight.baseline → insight.expectedValue
-          percent_change: insight.percentChange,
-          direction: insight.direction,
-          headline: insight.headline,
-          explanation: insight.explanation,
-          action_item: insight.actionItems.join("\n"),
-          impact_score: insight.impactScore,
-          supporting_data: null,
-          email_sent_at: null,
-        })),
-        {
-          onConflict: "user_id,insight_date,priority",
-          ignoreDuplicates: false,
-        }
-      );
-
-    if (saveError) {
-      console.error(`[Scheduler] Error saving insights:`, saveError);
-      return { userId, success: false, error: saveError.message };
+    // Step 9: Send one combined email with a section per property
+    // (portfolio-wide patterns first)
+    const sections = propertyResults.map((r) => ({
+      propertyId: r.connection.property_id,
+      propertyName: r.connection.property_name || r.connection.property_id,
+      summary: r.summary?.text,
+      insights: r.insights,
+      error: r.error,
+    }));
+    if (portfolioInsights.length > 0) {
+      sections.unshift({
+        propertyName: "Across your properties",
+        insights: portfolioInsights,
+        error: null,
+      });
     }
 
-    console.log(`[Scheduler] Saved ${topInsights.length} insights to database`);
-
-    // Step 12: Send email (pass subscription tier for branding)
     const emailResult = await sendDailyInsights(
       userId,
-      topInsights,
+      sections,
       userProfile.subscription_tier
     );
 
     if (!emailResult.success) {
       console.error(`[Scheduler] Error sending email:`, emailResult.error);
-      return { userId, success: false, error: emailResult.error };
+      return {
+        userId,
+        success: false,
+        error: emailResult.error,
+        properties: summarizePropertyResults(propertyResults),
+      };
     }
 
-    // Step 13: Log email to user_email_logs table (NEW!)
+    // Step 10: Log email to user_email_logs table (NEW!)
     const { error: logError } = await supabaseAdmin
       .from("user_email_logs")
       .insert({
         user_id: userId,
         email_type: "daily_insights",
         sent_at: new Date().toISOString(),
-        insights_count: topInsights.length,
+        insights_count: totalInsights,
         cron_job_id: runId, // Link to current cron run
         email_status: "sent",
         resend_message_id: emailResult.emailId || null,
@@ -359,7 +795,7 @@ async function processDailyInsightsForUser(
       // Don't fail the entire job, just log the error
     }
 
-    // Step 14: Update last email sent timestamp (skip if testing)
+    // Step 11: Update last email sent timestamp (skip if testing)
     if (!skipTimestampUpdate) {
       await supabaseAdmin
         .from("email_preferences")
@@ -375,8 +811,9 @@ async function processDailyInsightsForUser(
     return {
       userId,
       success: true,
-      insightsCount: topInsights.length,
+      insightsCount: totalInsights,
       emailSent: true,
+      properties: summarizePropertyResults(propertyResults),
     };
   } catch (error) {
     console.error(`[Scheduler] Error processing user ${userId}:`, error);
@@ -618,6 +1055,240 @@ export async function runDailyInsightsJob(options = {}) {
   }
 }
 
+/**
+ * Is this hour one of the user's extra (intraday) report slots?
+ * Slots are spread evenly from the delivery time by the tier's reports per day
+ * (Pro: +8h and +16h, Enterprise: hourly), skipping the daily report's ±1 hour window.
+ * @returns {object} { due, now: { date, hour } in the user's timezone }
+ */
+function getIntradaySlot(prefs, reportsPerDay) {
+  const local = moment.tz(prefs.timezone || "UTC");
+  const now = { date: local.format("YYYY-MM-DD"), hour: local.hour() };
+  if (reportsPerDay <= 1 || !prefs.delivery_time) return { due: false, now };
+
+  const [deliveryHour] = prefs.delivery_time.split(":").map(Number);
+  const interval = Math.max(1, Math.round(24 / reportsPerDay));
+  const offset = (now.hour - deliveryHour + 24) % 24;
+
+  return {
+    due: offset > 1 && offset < 23 && offset % interval === 0,
+    now,
+  };
+}
+
+/**
+ * Check one connection's hourly data for a same-day drop
+ * Never throws - failures are returned so other properties keep processing
+ * @param {object} userNow - { date, hour } in the user's timezone, only used when
+ *   the property's timezone can't be looked up
+ */
+async function processIntradayConnection(
+  userId,
+  connection,
+  userNow,
+  options = {}
+) {
+  const label = `${connection.property_name || connection.property_id} (${connection.id})`;
+
+  try {
+    const { ga4Service } = await import("./ga4.service.js");
+    const auth = createConnectionClient(ga4Service, connection);
+
+    // GA4's "today" and dateHour are in the property's timezone, not the user's
+    const timeZone = await getPropertyTimezone(ga4Service, connection, auth);
+    const local = timeZone ? moment.tz(timeZone) : null;
+    const now = local
+      ? { date: local.format("YYYY-MM-DD"), hour: local.hour() }
+      : userNow;
+
+    const { hourly } = await ga4Service.fetchIntraday(
+      connection.property_id,
+      auth,
+      { startDate: `${intradayService.HISTORY_DAYS}daysAgo`, endDate: "today" }
+    );
+
+    const detected = intradayService.analyzeIntraday(hourly, now, {
+      industry: options.industry,
+    });
+    if (detected.length === 0) {
+      return { connection, insights: [], error: null };
+    }
+
+    // Each problem is emailed once per day, not in every slot until it recovers
+    const sentAlerts = await intradayService.getSentAlerts(
+      connection.id,
+      now.date
+    );
+    const insights = intradayService.filterUnsent(detected, sentAlerts);
+
+    console.log(
+      `[Scheduler] ${insights.length} new intraday alert(s) for ${label}`
+    );
+    return { connection, insights, error: null };
+  } catch (error) {
+    console.error(`[Scheduler] Intraday check failed for ${label}:`, error);
+    return { connection, insights: [], error: error.message };
+  }
+}
+
+/**
+ * Run the intraday check for a user whose extra report slot is now
+ */
+async function processIntradayForUser(userId, now) {
+  try {
+    const { data: userProfile, error: userError } = await supabaseAdmin
+      .from("user_profiles")
+      .select("*")
+      .eq("id", userId)
+      .single();
+
+    if (
+      userError ||
+      !userProfile ||
+      !["active", "trialing"].includes(userProfile.subscription_status)
+    ) {
+      return { userId, success: false, error: "Inactive subscription" };
+    }
+
+    const { data: connections, error: connError } = await supabaseAdmin
+      .from("ga4_connections")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("is_active", true)
+      .order("created_at", { ascending: true });
+
+    if (connError || !connections || connections.length === 0) {
+      return { userId, success: false, error: "No active GA4 connection" };
+    }
+
+    const propertyResults = [];
+    for (const connection of connections) {
+      propertyResults.push(
+        await processIntradayConnection(userId, connection, now, {
+          industry: userProfile.industry,
+        })
+      );
+    }
+
+    const withAlerts = propertyResults.filter((r) => r.insights.length > 0);
+    const alertsCount = withAlerts.reduce(
+      (sum, r) => sum + r.insights.length,
+      0
+    );
+    if (alertsCount === 0) {
+      return { userId, success: true, alertsCount: 0, emailSent: false };
+    }
+
+    const emailResult = await sendIntradayAlerts(
+      userId,
+      withAlerts.map((r) => ({
+        propertyId: r.connection.property_id,
+        propertyName: r.connection.property_name || r.connection.property_id,
+        insights: r.insights,
+      }))
+    );
+
+    if (!emailResult.success) {
+      console.error(
+        `[Scheduler] Error sending intraday alert:`,
+        emailResult.error
+      );
+      return { userId, success: false, error: emailResult.message };
+    }
+
+    // Only mark alerts as sent once the email went out
+    for (const r of withAlerts) {
+      await intradayService.saveAlerts(userId, r.connection.id, r.insights);
+    }
+
+    const { error: logError } = await supabaseAdmin
+      .from("user_email_logs")
+      .insert({
+        user_id: userId,
+        email_type: "intraday_alert",
+        sent_at: new Date().toISOString(),
+        insights_count: alertsCount,
+        email_status: "sent",
+        resend_message_id: emailResult.emailId || null,
+      });
+
+    if (logError) {
+      console.error(`[Scheduler] Failed to log intraday email:`, logError);
+    }
+
+    return { userId, success: true, alertsCount, emailSent: true };
+  } catch (error) {
+    console.error(`[Scheduler] Intraday error for user ${userId}:`, error);
+    return { userId, success: false, error: error.message };
+  }
+}
+
+/**
+ * Same-day drop alerts for tiers with more than one report a day
+ * Runs every hour next to the daily job; each user is checked in their extra slots
+ */
+export async function runIntradayJob() {
+  try {
+    const { data: preferences, error } = await supabaseAdmin
+      .from("email_preferences")
+      .select("user_id, delivery_time, timezone")
+      .eq("enabled", true);
+
+    if (error) {
+      console.error("[Scheduler] Error fetching intraday preferences:", error);
+      return { success: false, error: error.message };
+    }
+
+    if (!preferences || preferences.length === 0) {
+      return { success: true, processedUsers: 0, results: [] };
+    }
+
+    const { data: profiles, error: profileError } = await supabaseAdmin
+      .from("user_profiles")
+      .select("id, subscription_tier")
+      .in("id", preferences.map((pref) => pref.user_id));
+
+    if (profileError) {
+      console.error("[Scheduler] Error fetching intraday tiers:", profileError);
+      return { success: false, error: profileError.message };
+    }
+
+    const tiers = new Map(
+      (profiles || []).map((profile) => [profile.id, profile.subscription_tier])
+    );
+
+    const due = preferences
+      .map((pref) => ({
+        pref,
+        slot: getIntradaySlot(pref, getReportsPerDay(tiers.get(pref.user_id))),
+      }))
+      .filter(({ slot }) => slot.due);
+
+    if (due.length === 0) {
+      return { success: true, processedUsers: 0, results: [] };
+    }
+
+    console.log(
+      `[Scheduler] Intraday check for ${due.length} user(s) in an extra report slot`
+    );
+
+    const results = [];
+    for (const { pref, slot } of due) {
+      results.push(await processIntradayForUser(pref.user_id, slot.now));
+    }
+
+    return {
+      success: true,
+      processedUsers: results.length,
+      alertsSent: results.filter((r) => r.emailSent).length,
+      results,
+    };
+  } catch (error) {
+    console.error("[Scheduler] Fatal error in intraday job:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Start the daily cron job
  * Runs every hour and checks which users need reports
@@ -633,6 +1304,7 @@ export function startDailySchedule() {
         `[Scheduler] Hourly check triggered at ${new Date().toISOString()}`
       );
       await runDailyInsightsJob();
+      await runIntradayJob();
     },
     {
       scheduled: true,
@@ -640,7 +1312,9 @@ export function startDailySchedule() {
     }
   );
 
-  console.log("Hourly scheduler started (checks every hour for due reports)");
+  console.log(
+    "Hourly scheduler started (checks every hour for due reports and intraday alerts)"
+  );
 }
 
 /**
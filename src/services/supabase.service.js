@@ -49,7 +49,7 @@ export const supabaseService = {
     return data;
   },
 
-  // Get user's GA4 connections
+  // Get user's GA4 connections (token columns never leave the backend)
   async getGA4Connections(userId) {
     const { data, error } = await supabaseAdmin
       .from("ga4_connections")
@@ -58,7 +58,15 @@ export const supabaseService = {
       .eq("is_active", true);
 
     if (error) throw error;
-    return data;
+    return data.map(
+      ({
+        access_token,
+        refresh_token,
+        token_data_key,
+        token_key_version,
+        ...connection
+      }) => connection
+    );
   },
 
   /**
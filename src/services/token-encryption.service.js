@@ -0,0 +1,181 @@
+// Token Encryption Service - Envelope encryption for ga4_connections OAuth tokens
+// Each connection gets a random data key that encrypts its access/refresh tokens
+// (AES-256-GCM). The data key is stored wrapped by a master key from
+// TOKEN_ENCRYPTION_KEYS, and token_key_version records which master key - so
+// rotating the master key only re-wraps data keys (src/scripts/rotate-token-keys.js).
+import crypto from "crypto";
+import { config } from "../config/index.js";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Master keys by version from "1:<base64 key>,2:<base64 key>"
+ */
+function parseKeys(value) {
+  const keys = new Map();
+
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) continue;
+
+    const [version, encoded] = entry.trim().split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!/^\d+$/.test(version) || key.length !== KEY_BYTES) {
+      throw new Error(
+        "TOKEN_ENCRYPTION_KEYS entries must be <version>:<32-byte base64 key>"
+      );
+    }
+    keys.set(parseInt(version, 10), key);
+  }
+
+  return keys;
+}
+
+/**
+ * AES-256-GCM, packed as base64(iv | tag | ciphertext)
+ * The column name is authenticated so ciphertexts can't be swapped between columns
+ */
+function seal(key, plaintext, context) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+    "base64"
+  );
+}
+
+function open(key, sealed, context) {
+  const data = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    data.subarray(0, IV_BYTES)
+  );
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_BYTES + TAG_BYTES)),
+    decipher.final(),
+  ]);
+}
+
+export const tokenEncryptionService = {
+  /**
+   * Configured master keys (parsed on every call so tests/scripts can swap env)
+   */
+  getKeys() {
+    return parseKeys(config.tokenEncryption.keys);
+  },
+
+  /**
+   * Newest master key version - used for every write
+   */
+  getCurrentVersion() {
+    const versions = [...this.getKeys().keys()];
+    if (versions.length === 0) {
+      const error = new Error("TOKEN_ENCRYPTION_KEYS is not configured");
+      error.status = 500;
+      throw error;
+    }
+    return Math.max(...versions);
+  },
+
+  /**
+   * Master key for a version (throws if it was removed from the env)
+   */
+  getKey(version) {
+    const key = this.getKeys().get(version);
+    if (!key) {
+      const error = new Error(`No token encryption key for version ${version}`);
+      error.status = 500;
+      throw error;
+    }
+    return key;
+  },
+
+  /**
+   * Columns to write for a connection's tokens - always both tokens, since they
+   * share one freshly generated data key
+   * @returns {object} { access_token, refresh_token, token_data_key, token_key_version }
+   */
+  encryptTokens({ accessToken, refreshToken }) {
+    const version = this.getCurrentVersion();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+
+    return {
+      access_token: accessToken
+        ? seal(dataKey, accessToken, "access_token")
+        : null,
+      refresh_token: refreshToken
+        ? seal(dataKey, refreshToken, "refresh_token")
+        : null,
+      token_data_key: seal(this.getKey(version), dataKey, "token_data_key"),
+      token_key_version: version,
+    };
+  },
+
+  /**
+   * Plaintext tokens from a ga4_connections row
+   * Rows without a key version predate encryption and are read as-is until the
+   * rotation command encrypts them
+   * @returns {object} { accessToken, refreshToken }
+   */
+  decryptTokens(connection) {
+    if (connection.token_key_version == null) {
+      return {
+        accessToken: connection.access_token,
+        refreshToken: connection.refresh_token,
+      };
+    }
+
+    const dataKey = open(
+      this.getKey(connection.token_key_version),
+      connection.token_data_key,
+      "token_data_key"
+    );
+    const decrypt = (column) =>
+      connection[column]
+        ? open(dataKey, connection[column], column).toString("utf8")
+        : null;
+
+    return {
+      accessToken: decrypt("access_token"),
+      refreshToken: decrypt("refresh_token"),
+    };
+  },
+
+  /**
+   * Whether a row is plaintext or wrapped by an older master key
+   */
+  needsRotation(connection) {
+    return (
+      connection.token_key_version == null ||
+      connection.token_key_version < this.getCurrentVersion()
+    );
+  },
+
+  /**
+   * Columns that move a row onto the current master key
+   * Encrypted rows only get their data key re-wrapped; plaintext rows are encrypted
+   */
+  rotateTokens(connection) {
+    if (connection.token_key_version == null) {
+      return this.encryptTokens(this.decryptTokens(connection));
+    }
+
+    const dataKey = open(
+      this.getKey(connection.token_key_version),
+      connection.token_data_key,
+      "token_data_key"
+    );
+    const version = this.getCurrentVersion();
+
+    return {
+      token_data_key: seal(this.getKey(version), dataKey, "token_data_key"),
+      token_key_version: version,
+    };
+  },
+};
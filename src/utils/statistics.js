@@ -0,0 +1,212 @@
+// Statistics helpers - small, dependency-free math shared by the insights engine
+
+// Scales MAD so it estimates the standard deviation of normally distributed data
+export const MAD_SCALE = 1.4826;
+
+/**
+ * Arithmetic mean (0 for an empty list)
+ */
+export function mean(values) {
+  if (!values || values.length === 0) return 0;
+  return values.reduce((acc, val) => acc + val, 0) / values.length;
+}
+
+/**
+ * Median (0 for an empty list)
+ */
+export function median(values) {
+  if (!values || values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Median absolute deviation around the median (unscaled)
+ */
+export function medianAbsoluteDeviation(values) {
+  const center = median(values);
+  return median(values.map((val) => Math.abs(val - center)));
+}
+
+/**
+ * Pearson correlation of two equal-length series (0 if either is flat)
+ */
+export function pearsonCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return 0;
+
+  const meanX = mean(xs.slice(0, n));
+  const meanY = mean(ys.slice(0, n));
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return 0;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, x > 0)
+ */
+export function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const c of coefficients) series += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (Lentz's method)
+ */
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+export function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+// Chebyshev coefficients for erfc (Numerical Recipes erfcc)
+const ERFC_COEFFICIENTS = [
+  -1.26551223, 1.00002368, 0.37409196, 0.09678418, -0.18628806, 0.27886807,
+  -1.13520398, 1.48851587, -0.82215223, 0.17087277,
+];
+
+/**
+ * Complementary error function (relative error < 1.2e-7, so tail
+ * probabilities stay accurate far from the mean)
+ */
+export function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const polynomial = ERFC_COEFFICIENTS.reduceRight(
+    (acc, coefficient) => coefficient + t * acc,
+    0
+  );
+  const result = t * Math.exp(-z * z + polynomial);
+  return x >= 0 ? result : 2 - result;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ */
+export function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/**
+ * Student's t cumulative distribution function
+ */
+export function studentTCdf(t, degreesOfFreedom) {
+  const tail =
+    0.5 *
+    regularizedIncompleteBeta(
+      degreesOfFreedom / (degreesOfFreedom + t * t),
+      degreesOfFreedom / 2,
+      0.5
+    );
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided p-value of a z or t statistic
+ * Finite degrees of freedom use the t-distribution (small baselines have
+ * fatter tails than the normal); Infinity or none uses the normal.
+ */
+export function twoSidedPValue(statistic, degreesOfFreedom = Infinity) {
+  if (Number.isNaN(statistic)) return 1;
+  if (!Number.isFinite(statistic)) return 0;
+
+  const absolute = Math.abs(statistic);
+  if (!Number.isFinite(degreesOfFreedom)) {
+    return Math.min(1, erfc(absolute / Math.SQRT2));
+  }
+
+  const df = Math.max(1, degreesOfFreedom);
+  return Math.min(
+    1,
+    regularizedIncompleteBeta(df / (df + absolute * absolute), df / 2, 0.5)
+  );
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values (false discovery rate), same order as input
+ * Controls the share of false alarms when many metrics and days are tested at once
+ */
+export function benjaminiHochberg(pValues) {
+  const m = pValues.length;
+  const order = pValues
+    .map((p, index) => ({ p, index }))
+    .sort((a, b) => a.p - b.p);
+
+  const adjusted = new Array(m);
+  let runningMin = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const { p, index } = order[rank - 1];
+    runningMin = Math.min(runningMin, (p * m) / rank);
+    adjusted[index] = runningMin;
+  }
+
+  return adjusted;
+}
@@ -0,0 +1,8 @@
+-- Daily insights are now saved per GA4 connection, so priorities 1-3 can
+-- exist once per property for the same user and date.
+ALTER TABLE daily_insights
+  DROP CONSTRAINT IF EXISTS daily_insights_user_id_insight_date_priority_key;
+
+ALTER TABLE daily_insights
+  ADD CONSTRAINT daily_insights_user_connection_date_priority_key
+  UNIQUE (user_id, ga4_connection_id, insight_date, priority);
@@ -0,0 +1,4 @@
+-- Per-connection overrides for config.algorithm (thresholds, persistence,
+-- minSampleSize). NULL means "use the defaults".
+ALTER TABLE ga4_connections
+  ADD COLUMN IF NOT EXISTS algorithm_settings JSONB;
@@ -0,0 +1,20 @@
+-- Holt-Winters forecasts per connection and metric. Rows for past dates carry
+-- actual_value so dashboards can plot expected vs actual.
+CREATE TABLE IF NOT EXISTS metric_forecasts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID NOT NULL REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  metric_name TEXT NOT NULL,
+  forecast_date DATE NOT NULL,
+  expected_value DOUBLE PRECISION NOT NULL,
+  lower_80 DOUBLE PRECISION,
+  upper_80 DOUBLE PRECISION,
+  lower_95 DOUBLE PRECISION,
+  upper_95 DOUBLE PRECISION,
+  actual_value DOUBLE PRECISION,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (ga4_connection_id, metric_name, forecast_date)
+);
+
+CREATE INDEX IF NOT EXISTS metric_forecasts_user_date_idx
+  ON metric_forecasts (user_id, forecast_date);
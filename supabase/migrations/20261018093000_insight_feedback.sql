@@ -0,0 +1,22 @@
+-- User ratings of individual insights. Feeds learned metric weights and
+-- sensitivity (feedback.service.js) and the admin precision report.
+CREATE TABLE IF NOT EXISTS insight_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  insight_id UUID NOT NULL REFERENCES daily_insights(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID REFERENCES ga4_connections(id) ON DELETE SET NULL,
+  metric_name TEXT NOT NULL,
+  insight_type TEXT,
+  rating TEXT NOT NULL CHECK (rating IN ('useful', 'not_useful', 'already_knew')),
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (insight_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS insight_feedback_user_metric_idx
+  ON insight_feedback (user_id, metric_name, created_at);
+
+-- Admins can see aggregate feedback across all users
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,17 @@
+-- Monthly/quarterly/yearly targets per GA4 connection (goals.service.js).
+-- Pacing against them is reported daily as GOAL_PACING insights.
+CREATE TABLE IF NOT EXISTS goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID NOT NULL REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  name TEXT,
+  metric_name TEXT NOT NULL,
+  target_value DOUBLE PRECISION NOT NULL CHECK (target_value > 0),
+  period TEXT NOT NULL DEFAULT 'month' CHECK (period IN ('month', 'quarter', 'year')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS goals_connection_active_idx
+  ON goals (ga4_connection_id, is_active);
@@ -0,0 +1,18 @@
+-- User-defined alert rules (rules.service.js), e.g.
+--   "conversions < 5 on weekdays"
+--   "revenue drops 30% vs same day last week"
+-- A null ga4_connection_id applies the rule to every property of the user.
+-- Fired rules are reported daily as RULE insights.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  expression TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alert_rules_user_active_idx
+  ON alert_rules (user_id, is_active);
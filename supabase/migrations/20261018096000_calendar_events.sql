@@ -0,0 +1,24 @@
+-- User annotations for the events calendar (calendar.service.js), e.g.
+-- "campaign launched" or "site migration". Built-in public holidays ship as
+-- data files (src/data/holidays) and are picked per connection through
+-- algorithm_settings.holidayCountry.
+-- baseline_effect: exclude (left out of baselines), downweight, none (mention only).
+-- A null ga4_connection_id applies the event to every property of the user.
+CREATE TABLE IF NOT EXISTS calendar_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'other'
+    CHECK (category IN ('campaign', 'promotion', 'launch', 'migration', 'outage', 'other')),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  baseline_effect TEXT NOT NULL DEFAULT 'exclude'
+    CHECK (baseline_effect IN ('exclude', 'downweight', 'none')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS calendar_events_user_start_idx
+  ON calendar_events (user_id, start_date);
@@ -0,0 +1,17 @@
+-- Executive summary narrative per property per report (narrative.service.js).
+-- Shown at the top of the daily email and returned by GET /api/insights/today.
+CREATE TABLE IF NOT EXISTS insight_summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID NOT NULL REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  summary_date DATE NOT NULL,
+  summary TEXT NOT NULL,
+  sentences JSONB NOT NULL DEFAULT '[]'::jsonb,
+  week_over_week JSONB,
+  cron_job_id UUID, -- cron_job_runs.id of the run that produced it (like user_email_logs)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (ga4_connection_id, summary_date)
+);
+
+CREATE INDEX IF NOT EXISTS insight_summaries_user_date_idx
+  ON insight_summaries (user_id, summary_date DESC);
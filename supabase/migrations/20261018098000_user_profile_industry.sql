@@ -0,0 +1,4 @@
+-- Industry vertical used to pick recommended actions (action-library.service.js).
+-- Values match the library files in src/data/actions; null = general advice.
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS industry TEXT;
@@ -0,0 +1,22 @@
+-- Same-day drop alerts (intraday.service.js) for tiers with several reports a day.
+-- One row per property, day and metric: a problem is emailed once, in the first
+-- extra report slot after it is detected.
+CREATE TABLE IF NOT EXISTS intraday_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  ga4_connection_id UUID NOT NULL REFERENCES ga4_connections(id) ON DELETE CASCADE,
+  alert_date DATE NOT NULL,
+  metric_name TEXT NOT NULL,
+  start_hour SMALLINT NOT NULL,
+  end_hour SMALLINT NOT NULL,
+  metric_value NUMERIC,
+  baseline_value NUMERIC,
+  percent_change NUMERIC,
+  headline TEXT,
+  explanation TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (ga4_connection_id, alert_date, metric_name)
+);
+
+CREATE INDEX IF NOT EXISTS intraday_alerts_user_date_idx
+  ON intraday_alerts (user_id, alert_date);
@@ -0,0 +1,17 @@
+-- Cross-property comparison per user per report (portfolio.service.js).
+-- properties: health score (0-100), rank and per-metric week vs own baseline.
+-- insights: PORTFOLIO insights ("3 of your 8 properties saw conversion drops").
+-- Returned by GET /api/insights/portfolio.
+CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  properties JSONB NOT NULL DEFAULT '[]'::jsonb,
+  insights JSONB NOT NULL DEFAULT '[]'::jsonb,
+  cron_job_id UUID, -- cron_job_runs.id of the run that produced it (like user_email_logs)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS portfolio_snapshots_user_date_idx
+  ON portfolio_snapshots (user_id, snapshot_date DESC);
@@ -0,0 +1,11 @@
+-- Envelope encryption for OAuth tokens (token-encryption.service.js).
+-- access_token / refresh_token hold AES-256-GCM ciphertext under a per-row data
+-- key; token_data_key is that key wrapped by master key token_key_version.
+-- NULL version = plaintext row from before encryption - run
+-- `npm run rotate-token-keys` to encrypt them.
+ALTER TABLE ga4_connections
+  ADD COLUMN IF NOT EXISTS token_data_key TEXT,
+  ADD COLUMN IF NOT EXISTS token_key_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS ga4_connections_token_key_version_idx
+  ON ga4_connections (token_key_version);
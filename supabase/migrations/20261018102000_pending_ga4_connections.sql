@@ -0,0 +1,19 @@
+-- OAuth results waiting for the user to pick properties (pending-connection.service.js).
+-- Tokens are encrypted like ga4_connections (token-encryption.service.js) and never
+-- sent to the browser; the select-property page only sees the id and property list.
+-- Rows are deleted once properties are connected, or after expires_at.
+CREATE TABLE IF NOT EXISTS pending_ga4_connections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  access_token TEXT,
+  refresh_token TEXT,
+  token_data_key TEXT,
+  token_key_version INTEGER,
+  token_expires_at TIMESTAMPTZ,
+  properties JSONB NOT NULL DEFAULT '[]'::jsonb,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS pending_ga4_connections_expires_at_idx
+  ON pending_ga4_connections (expires_at);
@@ -0,0 +1,14 @@
+-- Nonces for the signed GA4 OAuth state (oauth-state.service.js).
+-- One row per OAuth attempt, holding the PKCE verifier and where to send the
+-- user afterwards; the callback deletes the row, so each state works once.
+CREATE TABLE IF NOT EXISTS oauth_states (
+  nonce TEXT PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  code_verifier TEXT NOT NULL,
+  redirect_to TEXT NOT NULL DEFAULT '/dashboard',
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS oauth_states_expires_at_idx
+  ON oauth_states (expires_at);
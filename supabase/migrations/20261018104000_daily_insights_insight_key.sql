@@ -0,0 +1,55 @@
+-- Insights are upserted on a stable key (type|detector|metric|date|discriminator,
+-- plus originalDate|originalDirection for updates - see buildInsightKey in
+-- scheduler.service.js) instead of their priority, so
+-- re-analyzing a date no longer overwrites a different, already-reported insight
+-- (which repeat suppression and insight_feedback point at).
+ALTER TABLE daily_insights
+  ADD COLUMN IF NOT EXISTS insight_key TEXT;
+
+UPDATE daily_insights
+SET insight_key = concat_ws(
+  '|',
+  coalesce(insight_type, 'ANOMALY'),
+  coalesce(supporting_data->>'detector', ''),
+  metric_name,
+  insight_date::text,
+  coalesce(
+    supporting_data->>'comparisonType',
+    supporting_data->>'ruleId',
+    supporting_data->'goal'->>'id',
+    supporting_data->>'dataQualityCheck',
+    ''
+  )
+) || CASE
+  WHEN insight_type = 'UPDATE' THEN concat_ws(
+    '|',
+    '',
+    coalesce(supporting_data->>'originalDate', ''),
+    coalesce(supporting_data->>'originalDirection', '')
+  )
+  ELSE ''
+END
+WHERE insight_key IS NULL;
+
+-- Older rows that collide on the new key keep their own identity
+UPDATE daily_insights
+SET insight_key = insight_key || '|' || id::text
+WHERE id IN (
+  SELECT id FROM (
+    SELECT id, row_number() OVER (
+      PARTITION BY ga4_connection_id, insight_key ORDER BY id
+    ) AS duplicate
+    FROM daily_insights
+  ) ranked
+  WHERE duplicate > 1
+);
+
+ALTER TABLE daily_insights
+  ALTER COLUMN insight_key SET NOT NULL;
+
+ALTER TABLE daily_insights
+  DROP CONSTRAINT IF EXISTS daily_insights_user_connection_date_priority_key;
+
+ALTER TABLE daily_insights
+  ADD CONSTRAINT daily_insights_connection_insight_key
+  UNIQUE (ga4_connection_id, insight_key);
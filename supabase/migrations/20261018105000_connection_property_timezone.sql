@@ -0,0 +1,5 @@
+-- GA4 property reporting timezone (Admin API properties.get -> timeZone).
+-- GA4 resolves relative dates and dateHour in this timezone; the scheduler fills
+-- it in on first use and uses it for comparison ranges and intraday "now".
+ALTER TABLE ga4_connections
+  ADD COLUMN IF NOT EXISTS property_timezone TEXT;
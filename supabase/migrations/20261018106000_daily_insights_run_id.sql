@@ -0,0 +1,26 @@
+-- Every save of a property's report stamps its rows with one run_id/run_at, so
+-- /api/insights/today can show exactly the latest report. The report spans
+-- several insight dates (rules, goal pacing, late anomalies), which the old
+-- "latest insight_date" lookup split up or mixed with earlier runs.
+ALTER TABLE daily_insights
+  ADD COLUMN IF NOT EXISTS run_id UUID,
+  ADD COLUMN IF NOT EXISTS run_at TIMESTAMPTZ;
+
+-- Existing rows: one run per property and date, as they were shown before
+UPDATE daily_insights d
+SET run_id = runs.run_id,
+    run_at = runs.run_at
+FROM (
+  SELECT ga4_connection_id,
+         insight_date,
+         gen_random_uuid() AS run_id,
+         insight_date::timestamptz AS run_at
+  FROM daily_insights
+  GROUP BY ga4_connection_id, insight_date
+) runs
+WHERE d.run_id IS NULL
+  AND d.ga4_connection_id = runs.ga4_connection_id
+  AND d.insight_date = runs.insight_date;
+
+CREATE INDEX IF NOT EXISTS daily_insights_connection_run_at_idx
+  ON daily_insights (ga4_connection_id, run_at DESC);
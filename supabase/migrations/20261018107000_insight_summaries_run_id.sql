@@ -0,0 +1,21 @@
+-- Summaries are stored with the report run they describe (daily_insights.run_id),
+-- so /api/insights/today never pairs one run's insights with another's summary.
+ALTER TABLE insight_summaries
+  ADD COLUMN IF NOT EXISTS run_id UUID;
+
+-- Existing summaries: the run back-filled for the same property and date
+UPDATE insight_summaries s
+SET run_id = runs.run_id
+FROM (
+  SELECT DISTINCT ON (ga4_connection_id, insight_date)
+         ga4_connection_id, insight_date, run_id
+  FROM daily_insights
+  WHERE run_id IS NOT NULL
+  ORDER BY ga4_connection_id, insight_date, run_at DESC
+) runs
+WHERE s.run_id IS NULL
+  AND s.ga4_connection_id = runs.ga4_connection_id
+  AND s.summary_date = runs.insight_date;
+
+CREATE INDEX IF NOT EXISTS insight_summaries_run_id_idx
+  ON insight_summaries (run_id);
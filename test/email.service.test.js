@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { renderInsightCards } from "../src/services/email.service.js";
+
+const STYLES = {};
+
+describe("renderInsightCards", () => {
+  it("leads a broken-tracking card with its headline, not a traffic collapse", () => {
+    const html = renderInsightCards(
+      [
+        {
+          insightType: "DATA_QUALITY",
+          check: "missing_days",
+          metric: "sessions",
+          currentValue: 0,
+          expectedValue: 1200,
+          percentChange: -1,
+          direction: "down",
+          headline: "Tracking may be broken: 2 days with no data",
+          explanation: "GA4 returned no data at all for Oct 16 and Oct 17.",
+          actionItems: ["Check that the GA4 tag still fires"],
+        },
+      ],
+      STYLES
+    );
+
+    assert.match(html, /DATA QUALITY/);
+    assert.match(html, /Tracking may be broken: 2 days with no data/);
+    assert.match(html, /GA4 returned no data at all/);
+    assert.doesNotMatch(html, /-100\.0%/);
+    assert.doesNotMatch(html, /0 vs 1,200/);
+  });
+
+  it("shows the headline, explanation and change of a database row", () => {
+    const html = renderInsightCards(
+      [
+        {
+          insight_type: "ANOMALY",
+          metric_name: "sessions",
+          metric_value: 820,
+          baseline_value: 1000,
+          percent_change: -0.18,
+          direction: "down",
+          headline: "Sessions shifted down 18% starting Oct 3 (p = 0.004)",
+          explanation: "Sessions have been lower since Oct 3.",
+          action_item: "Check campaigns\nReview landing pages",
+        },
+      ],
+      STYLES
+    );
+
+    assert.match(html, /Sessions shifted down 18% starting Oct 3 \(p = 0\.004\)/);
+    assert.match(html, /Sessions have been lower since Oct 3\./);
+    assert.match(html, /-18\.0%/);
+    assert.match(html, /820 vs 1,000/);
+    assert.doesNotMatch(html, /DATA QUALITY/);
+  });
+
+  it("names the rule that fired", () => {
+    const html = renderInsightCards(
+      [
+        {
+          insightType: "RULE",
+          detector: "rule",
+          ruleName: "No sales",
+          metric: "conversions",
+          currentValue: 0,
+          expectedValue: 0,
+          percentChange: 0,
+          direction: "up",
+          headline: 'Rule "No sales" triggered: Conversions was 0 (= 0)',
+          actionItems: [],
+        },
+      ],
+      STYLES
+    );
+
+    assert.match(html, /YOUR ALERT RULE/);
+    assert.match(html, /Rule &quot;No sales&quot; triggered/);
+    assert.match(html, /0 vs 0/);
+  });
+
+  it("keeps zero baselines and escapes the headline", () => {
+    const html = renderInsightCards(
+      [
+        {
+          metric: "conversions",
+          currentValue: 0,
+          expectedValue: 0,
+          percentChange: 0,
+          direction: "up",
+          headline: 'Goal "<b>Q4</b>" is behind',
+          actionItems: [],
+        },
+      ],
+      STYLES
+    );
+
+    assert.match(html, /0 vs 0/);
+    assert.match(html, /Goal &quot;&lt;b&gt;Q4&lt;\/b&gt;&quot; is behind/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { feedbackService } from "../src/services/feedback.service.js";
+
+/**
+ * n ratings of one metric and insight type
+ */
+function ratings(n, metric_name, rating, insight_type = "ANOMALY") {
+  return Array.from({ length: n }, () => ({
+    metric_name,
+    rating,
+    insight_type,
+  }));
+}
+
+describe("feedbackService.learnAdjustments", () => {
+  it("learns only from ratings of detector-generated insights", () => {
+    const { feedbackCounts, sensitivity } = feedbackService.learnAdjustments([
+      ...ratings(4, "sessions", "not_useful"),
+      ...ratings(1, "sessions", "useful", null),
+      ...ratings(6, "sessions", "not_useful", "UPDATE"),
+      ...ratings(6, "conversions", "not_useful", "RULE"),
+      ...ratings(6, "conversions", "not_useful", "GOAL_PACING"),
+    ]);
+
+    assert.deepEqual(feedbackCounts, {
+      sessions: { useful: 1, not_useful: 4, already_knew: 0, total: 5 },
+    });
+    assert.ok(sensitivity.sessions > 1);
+    assert.equal(sensitivity.conversions, undefined);
+  });
+});
+
+describe("feedbackService.summarizePrecision", () => {
+  it("leaves rules, goals, data quality and updates out of precision", () => {
+    const metrics = feedbackService.summarizePrecision([
+      ...ratings(3, "sessions", "useful"),
+      ...ratings(1, "sessions", "already_knew", "YOY_CHANGE"),
+      ...ratings(4, "sessions", "not_useful"),
+      ...ratings(5, "sessions", "not_useful", "RULE"),
+      ...ratings(5, "sessions", "not_useful", "DATA_QUALITY"),
+      ...ratings(5, "sessions", "not_useful", "PORTFOLIO"),
+      ...ratings(5, "totalRevenue", "useful", "GOAL_PACING"),
+      ...ratings(5, "totalRevenue", "useful", "UPDATE"),
+    ]);
+
+    assert.deepEqual(metrics, [
+      {
+        metric: "sessions",
+        useful: 3,
+        not_useful: 4,
+        already_knew: 1,
+        total: 8,
+        precision: 0.5,
+        usefulness: 0.375,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+// In-memory stand-in for the Supabase admin client - just the query builder
+// calls the services use (insert/upsert/update/delete/select, filters, single).
+// install() swaps it into supabaseAdmin; restore() puts the real client back.
+import crypto from "crypto";
+import { supabaseAdmin } from "../../src/services/supabase.service.js";
+
+const COMPARATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  in: (a, b) => b.includes(a),
+  is: (a, b) => (a ?? null) === b,
+};
+
+/**
+ * Keep only the selected columns ("*" or "a, b, c")
+ */
+function project(row, columns) {
+  if (!columns || columns.trim() === "*") return { ...row };
+  return Object.fromEntries(
+    columns.split(",").map((column) => [column.trim(), row[column.trim()]])
+  );
+}
+
+class Query {
+  constructor(tables, table) {
+    this.tables = tables;
+    this.table = table;
+    this.action = "select";
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.columns = "*";
+    this.returning = false;
+    this.mode = "many";
+    this.limitTo = null;
+    this.orders = [];
+  }
+
+  select(columns = "*") {
+    this.columns = columns;
+    this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitTo = count;
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybeSingle";
+    return this;
+  }
+
+  then(resolve, reject) {
+    try {
+      resolve(this.execute());
+    } catch (error) {
+      reject(error);
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(({ op, column, value }) =>
+      COMPARATORS[op](row[column], value)
+    );
+  }
+
+  rows() {
+    if (!this.tables.has(this.table)) this.tables.set(this.table, []);
+    return this.tables.get(this.table);
+  }
+
+  execute() {
+    const rows = this.rows();
+    let affected;
+
+    if (this.action === "insert" || this.action === "upsert") {
+      const conflict = this.options.onConflict?.split(",");
+      affected = [this.payload].flat().map((values) => {
+        const existing =
+          conflict &&
+          rows.find((row) => conflict.every((c) => row[c] === values[c]));
+        if (existing) return Object.assign(existing, values);
+
+        const row = {
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          ...values,
+        };
+        rows.push(row);
+        return row;
+      });
+    } else if (this.action === "update") {
+      affected = rows.filter((row) => this.matches(row));
+      affected.forEach((row) => Object.assign(row, this.payload));
+    } else if (this.action === "delete") {
+      affected = rows.filter((row) => this.matches(row));
+      this.tables.set(
+        this.table,
+        rows.filter((row) => !affected.includes(row))
+      );
+    } else {
+      affected = rows.filter((row) => this.matches(row));
+      this.returning = true;
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      affected = [...affected].sort(
+        (a, b) => (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1)
+      );
+    }
+    if (this.limitTo !== null) affected = affected.slice(0, this.limitTo);
+
+    const data = this.returning
+      ? affected.map((row) => project(row, this.columns))
+      : null;
+
+    if (this.mode === "many") return { data, error: null };
+    if (data.length > 1) {
+      return { data: null, error: { message: "Multiple rows returned" } };
+    }
+    if (data.length === 0 && this.mode === "single") {
+      return { data: null, error: { code: "PGRST116", message: "No rows" } };
+    }
+    return { data: data[0] ?? null, error: null };
+  }
+}
+
+for (const op of Object.keys(COMPARATORS)) {
+  Query.prototype[op] = function (column, value) {
+    this.filters.push({ op, column, value });
+    return this;
+  };
+}
+
+const realFrom = supabaseAdmin.from;
+const realGetUser = supabaseAdmin.auth.getUser;
+
+/**
+ * Route supabaseAdmin to in-memory tables
+ * @param {object} options - { users: { [token]: user } } for authenticateUser
+ * @returns {Map} table name -> rows, for seeding and assertions
+ */
+export function install({ users = {} } = {}) {
+  const tables = new Map();
+  supabaseAdmin.from = (table) => new Query(tables, table);
+  supabaseAdmin.auth.getUser = async (token) =>
+    users[token]
+      ? { data: { user: users[token] }, error: null }
+      : { data: { user: null }, error: { message: "Invalid token" } };
+  return tables;
+}
+
+export function restore() {
+  supabaseAdmin.from = realFrom;
+  supabaseAdmin.auth.getUser = realGetUser;
+}
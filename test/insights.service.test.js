@@ -0,0 +1,126 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { insightsService } from "../src/services/insights.service.js";
+
+/**
+ * Minimal metric insight as analyzeMetric builds it
+ */
+function insight(metric, { zScore, pValue, impactScore = 10, detector }) {
+  return {
+    date: "2026-10-18",
+    metric,
+    currentValue: 50,
+    expectedValue: 100,
+    percentChange: -0.5,
+    zScore,
+    pValue,
+    adjustedPValue: pValue,
+    trendType: "spike",
+    direction: "down",
+    impactScore,
+    detector: detector || "zscore",
+    headline: `${metric} dropped`,
+    explanation: `${metric} was lower than usual.`,
+  };
+}
+
+/**
+ * adjustedPValue, and the confidence built on it
+ */
+function assertAdjusted(result, expected) {
+  assert.ok(Math.abs(result.adjustedPValue - expected) < 1e-9);
+  assert.equal(result.confidence, insightsService.pValueToConfidence(expected));
+}
+
+describe("insightsService.applyMultipleTestingCorrection", () => {
+  // Ten metrics tested, two flagged: BH spreads the raw p-values over all ten
+  const tests = [
+    { metric: "sessions", date: "2026-10-18", pValue: 0.001 },
+    { metric: "conversions", date: "2026-10-18", pValue: 0.04 },
+    ...Array.from({ length: 8 }, (_, i) => ({
+      metric: `other${i}`,
+      date: "2026-10-18",
+      pValue: 0.6,
+    })),
+  ];
+
+  it("drops insights above the significance level after correction", () => {
+    const kept = insightsService.applyMultipleTestingCorrection(
+      [
+        insight("sessions", { zScore: -3.3, pValue: 0.001 }),
+        insight("conversions", { zScore: -2.05, pValue: 0.04 }),
+      ],
+      tests,
+      0.05
+    );
+
+    assert.deepEqual(kept.map((i) => i.metric), ["sessions"]);
+    assertAdjusted(kept[0], 0.01);
+    assert.match(kept[0].headline, /\(p = 0\.01\)$/);
+  });
+
+  it("uses the configured significance level", () => {
+    const kept = insightsService.applyMultipleTestingCorrection(
+      [insight("conversions", { zScore: -2.05, pValue: 0.04 })],
+      tests,
+      0.25
+    );
+
+    assert.equal(kept.length, 1);
+    assertAdjusted(kept[0], 0.2);
+  });
+
+  it("keeps rule-style detector findings regardless of p", () => {
+    const kept = insightsService.applyMultipleTestingCorrection(
+      [
+        insight("conversions", {
+          zScore: -1.2,
+          pValue: 0.04,
+          detector: "threshold",
+        }),
+      ],
+      tests,
+      0.05
+    );
+
+    assert.equal(kept.length, 1);
+  });
+
+  it("resolves the significance level from config and overrides", () => {
+    assert.equal(
+      insightsService.resolveAlgorithmSettings().significanceLevel,
+      0.05
+    );
+    assert.equal(
+      insightsService.resolveAlgorithmSettings({ significanceLevel: 0.01 })
+        .significanceLevel,
+      0.01
+    );
+  });
+});
+
+describe("insightsService.buildCompositeInsight", () => {
+  it("keeps the primary's z-score so it matches the p-value shown", () => {
+    const primary = insight("totalRevenue", {
+      zScore: -2.4,
+      pValue: 0.016,
+      impactScore: 40,
+    });
+    const member = insight("sessions", {
+      zScore: -4.1,
+      pValue: 0.00004,
+      impactScore: 15,
+    });
+
+    const composite = insightsService.buildCompositeInsight([member, primary]);
+
+    assert.equal(composite.metric, "totalRevenue");
+    assert.equal(composite.zScore, -2.4);
+    assert.equal(composite.pValue, 0.016);
+    assert.equal(composite.impactScore, 55);
+    assert.deepEqual(
+      composite.relatedMetrics.map((r) => [r.metric, r.zScore]),
+      [["sessions", -4.1]]
+    );
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { intradayService } from "../src/services/intraday.service.js";
+
+const TODAY = "2026-10-18";
+
+/**
+ * Four weeks of hourly rows plus today up to (not including) untilHour
+ * History wobbles a little around a daytime curve so the noise scale isn't zero;
+ * todayFactor(hour) scales today's hours (e.g. 0 for an outage)
+ */
+function hourlyRows({ untilHour, todayFactor = () => 1 }) {
+  const rows = [];
+  for (let daysAgo = intradayService.HISTORY_DAYS; daysAgo >= 0; daysAgo--) {
+    const date = new Date(`${TODAY}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - daysAgo);
+    const dateString = date.toISOString().split("T")[0];
+
+    for (let hour = 0; hour < 24; hour++) {
+      if (daysAgo === 0 && hour >= untilHour) break;
+
+      const wobble = ((daysAgo * 7 + hour * 3) % 5) - 2;
+      const sessions = 100 + 60 * Math.sin((hour / 24) * Math.PI) + wobble * 4;
+      const factor = daysAgo === 0 ? todayFactor(hour) : 1;
+      rows.push({
+        date: dateString,
+        hour,
+        sessions: Math.round(sessions * factor),
+        conversions: Math.round((sessions / 10) * factor),
+        totalRevenue: Math.round(sessions * 5 * factor),
+      });
+    }
+  }
+  return rows;
+}
+
+describe("intradayService.analyzeIntraday", () => {
+  it("flags a streak of hours far below their hour-of-week baseline", () => {
+    const hourly = hourlyRows({
+      untilHour: 15,
+      todayFactor: (hour) => (hour >= 10 ? 0 : 1),
+    });
+
+    const insights = intradayService.analyzeIntraday(hourly, {
+      date: TODAY,
+      hour: 15,
+    });
+
+    assert.deepEqual(insights.map((i) => i.metric).sort(), [
+      "conversions",
+      "sessions",
+      "totalRevenue",
+    ]);
+    for (const insight of insights) {
+      assert.equal(insight.insightType, "INTRADAY");
+      assert.equal(insight.date, TODAY);
+      assert.equal(insight.startHour, 10);
+      // Last settled hour: now minus the current hour and the processing lag
+      assert.equal(insight.endHour, 13);
+      assert.equal(insight.currentValue, 0);
+      assert.ok(insight.adjustedPValue < 0.001);
+      assert.match(insight.headline, /down 100% since 10am today/);
+    }
+  });
+
+  it("stays quiet on a normal day", () => {
+    const hourly = hourlyRows({ untilHour: 15 });
+
+    assert.deepEqual(
+      intradayService.analyzeIntraday(hourly, { date: TODAY, hour: 15 }),
+      []
+    );
+  });
+
+  it("needs at least two bad hours in a row", () => {
+    const hourly = hourlyRows({
+      untilHour: 15,
+      todayFactor: (hour) => (hour === 13 ? 0 : 1),
+    });
+
+    assert.deepEqual(
+      intradayService.analyzeIntraday(hourly, { date: TODAY, hour: 15 }),
+      []
+    );
+  });
+
+  it("bails out when GA4 has no rows yet for now.date", () => {
+    // "now" on a clock that's already on the next day (user ahead of the property)
+    const hourly = hourlyRows({ untilHour: 15 });
+
+    assert.deepEqual(
+      intradayService.analyzeIntraday(hourly, {
+        date: "2026-10-19",
+        hour: 8,
+      }),
+      []
+    );
+  });
+
+  it("bails out when GA4 is already reporting a later day", () => {
+    // "now" on a clock behind the property - today would look like yesterday
+    const hourly = hourlyRows({ untilHour: 3 });
+
+    assert.deepEqual(
+      intradayService.analyzeIntraday(hourly, {
+        date: "2026-10-17",
+        hour: 20,
+      }),
+      []
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { narrativeService } from "../src/services/narrative.service.js";
+
+/**
+ * Daily rows ending on 2026-10-18
+ */
+function dailyRows(days, values = { sessions: 100, totalRevenue: 50 }) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date("2026-10-18T00:00:00Z");
+    date.setUTCDate(date.getUTCDate() - (days - 1 - i));
+    return { date: date.toISOString().split("T")[0], ...values };
+  });
+}
+
+describe("narrativeService.buildSummary", () => {
+  it("has two sentences with under two weeks of data and nothing unusual", () => {
+    const summary = narrativeService.buildSummary({ daily: dailyRows(7) }, []);
+
+    assert.deepEqual(summary.sentences, [
+      "Over the last 7 days you had 700 sessions and $350.00 in revenue.",
+      "Nothing unusual stood out in yesterday's data.",
+    ]);
+    assert.equal(summary.weekOverWeek, null);
+  });
+
+  it("prefers the fetched totals over summing the daily rows", () => {
+    const summary = narrativeService.buildSummary(
+      {
+        daily: dailyRows(7),
+        totals: { sessions: 650, totalRevenue: 0 },
+      },
+      []
+    );
+
+    assert.equal(
+      summary.sentences[0],
+      "Over the last 7 days you had 650 sessions."
+    );
+    assert.equal(summary.sentences.length, 2);
+  });
+
+  it("still has two sentences without any data", () => {
+    const summary = narrativeService.buildSummary({ daily: [] }, []);
+
+    assert.equal(summary.sentences.length, 2);
+  });
+
+  it("tells the week-over-week story with two weeks of data", () => {
+    const daily = [
+      ...dailyRows(14).slice(0, 7),
+      ...dailyRows(7, { sessions: 80, totalRevenue: 50 }),
+    ];
+    const summary = narrativeService.buildSummary({ daily }, [
+      {
+        metric: "sessions",
+        insightType: "ANOMALY",
+        headline: "Sessions dropped 20.0% (p = 0.004)",
+      },
+    ]);
+
+    assert.deepEqual(summary.sentences, [
+      "A quieter week: traffic down 20%; revenue held steady.",
+      "The biggest change: Sessions dropped 20.0%.",
+    ]);
+  });
+
+  it("caps the summary at four sentences", () => {
+    const summary = narrativeService.buildSummary({ daily: dailyRows(14) }, [
+      { insightType: "DATA_QUALITY", headline: "Tracking may be broken" },
+      { metric: "sessions", insightType: "ANOMALY", headline: "Sessions up" },
+      { insightType: "RULE", ruleName: "No sales" },
+      {
+        insightType: "GOAL_PACING",
+        goal: { name: "Q4 revenue", status: "behind" },
+      },
+    ]);
+
+    assert.equal(summary.sentences.length, 4);
+  });
+});
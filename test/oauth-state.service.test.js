@@ -0,0 +1,135 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../src/config/index.js";
+import { oauthStateService } from "../src/services/oauth-state.service.js";
+import { install, restore } from "./helpers/fake-supabase.js";
+
+const USER_ID = "user-1";
+
+let tables;
+
+/**
+ * Decode, change and re-encode a state's payload (keeping the old signature)
+ */
+function withPayload(state, changes) {
+  const [payload, signature] = state.split(".");
+  const decoded = JSON.parse(Buffer.from(payload, "base64url").toString());
+  const forged = Buffer.from(
+    JSON.stringify({ ...decoded, ...changes })
+  ).toString("base64url");
+  return `${forged}.${signature}`;
+}
+
+/**
+ * Assert a promise rejects with a 400 whose message matches
+ */
+async function rejects400(promise, message) {
+  await assert.rejects(
+    promise,
+    (error) => error.status === 400 && message.test(error.message)
+  );
+}
+
+describe("oauthStateService", () => {
+  before(() => {
+    config.oauthState.secret = "test-oauth-state-secret";
+  });
+
+  after(restore);
+
+  beforeEach(() => {
+    tables = install();
+  });
+
+  it("verifies its own state once and returns the stored verifier", async () => {
+    const { state, codeChallenge } = await oauthStateService.create(
+      USER_ID,
+      "/settings"
+    );
+
+    const result = await oauthStateService.verify(state);
+
+    assert.equal(result.userId, USER_ID);
+    assert.equal(result.redirectTo, "/settings");
+    assert.ok(result.codeVerifier);
+    assert.ok(codeChallenge);
+    assert.equal(tables.get("oauth_states").length, 0);
+  });
+
+  it("rejects a replayed state - the nonce is consumed", async () => {
+    const { state } = await oauthStateService.create(USER_ID);
+
+    await oauthStateService.verify(state);
+    await rejects400(oauthStateService.verify(state), /already used/);
+  });
+
+  it("rejects a modified payload", async () => {
+    const { state } = await oauthStateService.create(USER_ID);
+
+    await rejects400(
+      oauthStateService.verify(withPayload(state, { userId: "attacker" })),
+      /signature mismatch/
+    );
+  });
+
+  it("rejects a modified signature, including one of another length", async () => {
+    const { state } = await oauthStateService.create(USER_ID);
+    const [payload, signature] = state.split(".");
+    const flipped = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+
+    await rejects400(
+      oauthStateService.verify(`${payload}.${flipped}`),
+      /signature mismatch/
+    );
+    await rejects400(
+      oauthStateService.verify(`${payload}.${signature.slice(0, -2)}`),
+      /signature mismatch/
+    );
+    await rejects400(
+      oauthStateService.verify(`${payload}.${signature}AAAA`),
+      /signature mismatch/
+    );
+    await rejects400(oauthStateService.verify(payload), /Malformed/);
+    await rejects400(oauthStateService.verify(undefined), /Malformed/);
+  });
+
+  it("rejects an expired state even with a valid signature", async () => {
+    const realNow = Date.now;
+    const { state } = await oauthStateService.create(USER_ID);
+
+    try {
+      Date.now = () => realNow() + 11 * 60 * 1000;
+      await rejects400(oauthStateService.verify(state), /expired/);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it("rejects a state whose nonce row expired", async () => {
+    const { state } = await oauthStateService.create(USER_ID);
+    tables.get("oauth_states")[0].expires_at = new Date(
+      Date.now() - 1000
+    ).toISOString();
+
+    await rejects400(oauthStateService.verify(state), /already used or unknown/);
+  });
+
+  it("normalizeRedirect only allows same-site relative paths", () => {
+    assert.equal(oauthStateService.normalizeRedirect("/settings"), "/settings");
+    for (const target of [
+      "https://evil.com",
+      "//evil.com",
+      "/\\evil.com",
+      "javascript:alert(1)",
+      "evil.com",
+      undefined,
+      `/${"a".repeat(200)}`,
+    ]) {
+      assert.equal(
+        oauthStateService.normalizeRedirect(target),
+        "/dashboard",
+        String(target)
+      );
+    }
+  });
+});
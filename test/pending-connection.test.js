@@ -0,0 +1,241 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import { config } from "../src/config/index.js";
+import { pendingConnectionService } from "../src/services/pending-connection.service.js";
+import { tokenEncryptionService } from "../src/services/token-encryption.service.js";
+import { checkPropertyLimit } from "../src/middleware/subscription.middleware.js";
+import ga4Routes from "../src/routes/ga4.routes.js";
+import { install, restore } from "./helpers/fake-supabase.js";
+
+const OWNER = { id: "user-owner" };
+const OTHER = { id: "user-other" };
+const PROPERTIES = [
+  { propertyId: "111", propertyName: "Shop" },
+  { propertyId: "222", propertyName: "Blog" },
+];
+const TOKENS = { access_token: "ya29.access", refresh_token: "1//refresh" };
+
+let tables;
+let server;
+let baseUrl;
+
+/**
+ * Call the GA4 router as a user
+ */
+async function request(method, path, { token = "owner", body } = {}) {
+  const response = await fetch(`${baseUrl}/api/ga4${path}`, {
+    method,
+    headers: {
+      authorization: `Bearer ${token}`,
+      "content-type": "application/json",
+    },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Run checkPropertyLimit on its own
+ * @returns {object} { nextCalled, status, body, req }
+ */
+async function runPropertyLimit(body, planType = "growth") {
+  const result = { nextCalled: false, status: 200, body: null };
+  const req = { user: OWNER, subscription: { plan_type: planType }, body };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    },
+  };
+  await checkPropertyLimit(req, res, () => {
+    result.nextCalled = true;
+  });
+  return { ...result, req };
+}
+
+describe("pending GA4 connections", () => {
+  before(async () => {
+    config.tokenEncryption.keys = `1:${crypto
+      .randomBytes(32)
+      .toString("base64")}`;
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/ga4", ga4Routes);
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    restore();
+  });
+
+  beforeEach(() => {
+    tables = install({ users: { owner: OWNER, other: OTHER } });
+    tables.set("subscriptions", [
+      { user_id: OWNER.id, plan_type: "growth", status: "active" },
+    ]);
+    // An existing connection, so connecting doesn't send a welcome email
+    tables.set("ga4_connections", [
+      {
+        id: "existing",
+        user_id: OWNER.id,
+        property_id: "999",
+        is_active: true,
+      },
+    ]);
+  });
+
+  it("returns the property list but never the tokens to the owner", async () => {
+    const pending = await pendingConnectionService.create(
+      OWNER.id,
+      TOKENS,
+      PROPERTIES
+    );
+
+    const { status, body } = await request("GET", `/pending/${pending.id}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.properties, PROPERTIES);
+    assert.equal(body.pendingId, pending.id);
+    assert.ok(!JSON.stringify(body).includes("ya29"));
+    assert.notEqual(
+      tables.get("pending_ga4_connections")[0].access_token,
+      TOKENS.access_token
+    );
+  });
+
+  it("returns 404 for another user's pending id", async () => {
+    const pending = await pendingConnectionService.create(
+      OWNER.id,
+      TOKENS,
+      PROPERTIES
+    );
+
+    const view = await request("GET", `/pending/${pending.id}`, {
+      token: "other",
+    });
+    assert.equal(view.status, 404);
+
+    tables.get("subscriptions").push({
+      user_id: OTHER.id,
+      plan_type: "growth",
+      status: "active",
+    });
+    const connect = await request("POST", `/pending/${pending.id}/connect`, {
+      token: "other",
+      body: { propertyIds: ["111"] },
+    });
+    assert.equal(connect.status, 404);
+    assert.equal(tables.get("pending_ga4_connections").length, 1);
+  });
+
+  it("rejects an expired pending connection", async () => {
+    const pending = await pendingConnectionService.create(
+      OWNER.id,
+      TOKENS,
+      PROPERTIES
+    );
+    tables.get("pending_ga4_connections")[0].expires_at = new Date(
+      Date.now() - 1000
+    ).toISOString();
+
+    assert.equal(
+      await pendingConnectionService.get(pending.id, OWNER.id),
+      null
+    );
+    const { status } = await request("POST", `/pending/${pending.id}/connect`, {
+      body: { propertyIds: ["111"] },
+    });
+    assert.equal(status, 404);
+  });
+
+  it("rejects property ids outside the stored list", async () => {
+    const pending = await pendingConnectionService.create(
+      OWNER.id,
+      TOKENS,
+      PROPERTIES
+    );
+
+    const { status, body } = await request(
+      "POST",
+      `/pending/${pending.id}/connect`,
+      { body: { propertyIds: ["111", "333"] } }
+    );
+
+    assert.equal(status, 400);
+    assert.match(body.error, /not available for this Google account/);
+    assert.equal(tables.get("ga4_connections").length, 1);
+    assert.equal(tables.get("pending_ga4_connections").length, 1);
+  });
+
+  it("connects the selected properties and deletes the pending row", async () => {
+    const pending = await pendingConnectionService.create(
+      OWNER.id,
+      TOKENS,
+      PROPERTIES
+    );
+
+    const { status, body } = await request(
+      "POST",
+      `/pending/${pending.id}/connect`,
+      { body: { propertyIds: ["111", "222"] } }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.connections.map((c) => c.property_name).sort(), [
+      "Blog",
+      "Shop",
+    ]);
+    assert.ok(!JSON.stringify(body).includes("token"));
+    assert.equal(tables.get("pending_ga4_connections").length, 0);
+
+    const saved = tables
+      .get("ga4_connections")
+      .find((c) => c.property_id === "111");
+    assert.equal(saved.user_id, OWNER.id);
+    assert.deepEqual(tokenEncryptionService.decryptTokens(saved), {
+      accessToken: TOKENS.access_token,
+      refreshToken: TOKENS.refresh_token,
+    });
+
+    const again = await request("POST", `/pending/${pending.id}/connect`, {
+      body: { propertyIds: ["111"] },
+    });
+    assert.equal(again.status, 404);
+  });
+
+  it("checkPropertyLimit counts only properties that aren't connected yet", async () => {
+    // Growth allows 3; "999" is already connected
+    const reconnect = await runPropertyLimit({ propertyIds: ["999", "111"] });
+    assert.ok(reconnect.nextCalled);
+
+    const upToLimit = await runPropertyLimit({
+      propertyIds: ["999", "111", "222", "111"],
+    });
+    assert.ok(upToLimit.nextCalled);
+    assert.equal(upToLimit.req.propertyLimit.current, 1);
+
+    const overLimit = await runPropertyLimit({
+      propertyIds: ["111", "222", "333"],
+    });
+    assert.ok(!overLimit.nextCalled);
+    assert.equal(overLimit.status, 403);
+    assert.equal(overLimit.body.requested, 3);
+
+    const existingOnly = await runPropertyLimit(
+      { propertyIds: ["999"] },
+      "starter"
+    );
+    assert.ok(existingOnly.nextCalled);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { rulesService } from "../src/services/rules.service.js";
+
+/**
+ * Daily rows ending on endDate, one per day, values from the callback
+ */
+function series(endDate, days, valuesFor) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(`${endDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - (days - 1 - i));
+    return { date: date.toISOString().split("T")[0], ...valuesFor(i) };
+  });
+}
+
+describe("rulesService.parse", () => {
+  it("parses absolute rules with aliases and an optional 'alert if'", () => {
+    assert.deepEqual(rulesService.parse("Alert if revenue == 0"), {
+      metric: "totalRevenue",
+      days: null,
+      type: "absolute",
+      operator: "=",
+      value: 0,
+    });
+  });
+
+  it("parses relative rules with a reference and a day filter", () => {
+    assert.deepEqual(
+      rulesService.parse(
+        "conversions drops 30% vs same day last week on weekdays"
+      ),
+      {
+        metric: "conversions",
+        days: [1, 2, 3, 4, 5],
+        type: "relative",
+        movement: "drop",
+        percent: 0.3,
+        reference: "same_day_last_week",
+      }
+    );
+    assert.deepEqual(
+      rulesService.parse("sessions rises 50% vs 7-day average on mon, fri").days,
+      [1, 5]
+    );
+  });
+
+  it("rejects invalid expressions with a 400 and a readable message", () => {
+    for (const [expression, message] of [
+      ["", /required/],
+      ["pageviews < 5", /Unknown metric "pageviews"/],
+      ["sessions drops 30 vs yesterday", /"%" sign/],
+      ["sessions drops 30% vs last month", /Unknown reference/],
+      ["sessions < 5 on funday", /Unknown day "funday"/],
+      ["sessions < 5 please", /Unexpected "please"/],
+    ]) {
+      assert.throws(
+        () => rulesService.parse(expression),
+        (error) => error.status === 400 && message.test(error.message),
+        expression
+      );
+    }
+  });
+
+  it("validate returns the error instead of throwing", () => {
+    assert.match(
+      rulesService.validate("sessions ~ 5").error,
+      /Expected a comparison/
+    );
+    assert.equal(rulesService.validate("sessions < 5").rule.value, 5);
+  });
+});
+
+describe("rulesService.evaluateRules", () => {
+  const rule = (expression) => ({ id: expression, expression });
+
+  it("checks the latest day even when rows arrive out of order", () => {
+    const daily = series("2026-10-18", 14, (i) => ({
+      sessions: i === 13 ? 40 : 100,
+    })).reverse();
+
+    const [insight] = rulesService.evaluateRules(
+      [rule("sessions drops 30% vs previous day")],
+      daily
+    );
+    assert.equal(insight.date, "2026-10-18");
+    assert.equal(insight.currentValue, 40);
+    assert.equal(insight.expectedValue, 100);
+    assert.equal(insight.percentChange, -0.6);
+  });
+
+  it("fires absolute rules against a zero value", () => {
+    const daily = series("2026-10-18", 7, (i) => ({
+      conversions: i === 6 ? 0 : 12,
+    }));
+
+    const [insight] = rulesService.evaluateRules(
+      [rule("conversions = 0")],
+      daily
+    );
+    assert.equal(insight.insightType, "RULE");
+    assert.equal(insight.currentValue, 0);
+    assert.equal(insight.expectedValue, 0);
+    assert.equal(insight.percentChange, 0);
+  });
+
+  it("compares against the 7 days before the latest one", () => {
+    const daily = series("2026-10-18", 8, (i) => ({
+      sessions: i === 7 ? 150 : 100,
+    }));
+
+    const fired = rulesService.evaluateRules(
+      [
+        rule("sessions rises 40% vs 7-day average"),
+        rule("sessions rises 60% vs 7-day average"),
+      ],
+      daily
+    );
+    assert.deepEqual(
+      fired.map((insight) => insight.ruleId),
+      ["sessions rises 40% vs 7-day average"]
+    );
+  });
+
+  it("skips days outside the rule's day filter and invalid rules", () => {
+    // 2026-10-18 is a Sunday
+    const daily = series("2026-10-18", 7, () => ({ sessions: 0 }));
+
+    assert.equal(
+      rulesService.evaluateRules(
+        [rule("sessions < 1 on weekdays"), rule("sessions ~ 1")],
+        daily
+      ).length,
+      0
+    );
+    assert.equal(
+      rulesService.evaluateRules([rule("sessions < 1 on sundays")], daily)
+        .length,
+      1
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { insightsService } from "../src/services/insights.service.js";
+import {
+  buildInsightKey,
+  uniqueByInsightKey,
+} from "../src/services/scheduler.service.js";
+
+/**
+ * Six weeks of steady daily sessions ending on 2026-10-18
+ */
+function steadySeries() {
+  return Array.from({ length: 42 }, (_, i) => {
+    const date = new Date("2026-10-18T00:00:00Z");
+    date.setUTCDate(date.getUTCDate() - (41 - i));
+    return {
+      date: date.toISOString().split("T")[0],
+      sessions: 1000 + ((i * 7) % 5) * 20 - 40,
+    };
+  });
+}
+
+/**
+ * daily_insights row for an already-reported sessions anomaly
+ */
+function reportedRow(date, direction) {
+  return {
+    metric_name: "sessions",
+    insight_date: date,
+    direction,
+    percent_change: direction === "up" ? 0.4 : -0.4,
+    insight_type: "ANOMALY",
+    supporting_data: { relatedMetrics: [] },
+  };
+}
+
+describe("buildInsightKey", () => {
+  it("keeps recoveries of an up and a down anomaly of one metric apart", () => {
+    const { insights } = insightsService.suppressRepeats(
+      [],
+      [reportedRow("2026-10-16", "up"), reportedRow("2026-10-17", "down")],
+      steadySeries()
+    );
+
+    assert.equal(insights.length, 2);
+    assert.ok(insights.every((i) => i.updateType === "recovered"));
+    assert.ok(insights.every((i) => i.date === "2026-10-18"));
+
+    const keys = insights.map(buildInsightKey);
+    assert.notEqual(keys[0], keys[1]);
+    assert.deepEqual(uniqueByInsightKey(insights), insights);
+  });
+
+  it("distinguishes period comparisons, rules and goals on the same day", () => {
+    const base = { metric: "sessions", date: "2026-10-18" };
+    const keys = new Set(
+      [
+        { ...base },
+        { ...base, insightType: "YOY_CHANGE", comparisonType: "yearOverYear" },
+        { ...base, insightType: "RULE", detector: "rule", ruleId: "r1" },
+        { ...base, insightType: "RULE", detector: "rule", ruleId: "r2" },
+        { ...base, insightType: "GOAL_PACING", goal: { id: "g1" } },
+      ].map(buildInsightKey)
+    );
+
+    assert.equal(keys.size, 5);
+  });
+});
+
+describe("uniqueByInsightKey", () => {
+  it("keeps the first insight per key, in report order", () => {
+    const rule = {
+      metric: "sessions",
+      date: "2026-10-18",
+      insightType: "RULE",
+      detector: "rule",
+      ruleId: "r1",
+      headline: "first",
+    };
+    const anomaly = { metric: "sessions", date: "2026-10-18" };
+
+    assert.deepEqual(
+      uniqueByInsightKey([rule, anomaly, { ...rule, headline: "second" }]).map(
+        (i) => i.headline || "anomaly"
+      ),
+      ["first", "anomaly"]
+    );
+  });
+});
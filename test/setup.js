@@ -0,0 +1,13 @@
+// Test setup - placeholder env so services that create clients at import time
+// load without a .env (tests never reach Supabase, Stripe, Resend or Google)
+const TEST_ENV = {
+  SUPABASE_URL: "http://localhost:54321",
+  SUPABASE_ANON_KEY: "test-anon-key",
+  SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key",
+  STRIPE_SECRET_KEY: "sk_test_placeholder",
+  RESEND_API_KEY: "re_test_placeholder",
+};
+
+for (const [key, value] of Object.entries(TEST_ENV)) {
+  process.env[key] ??= value;
+}
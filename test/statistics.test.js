@@ -0,0 +1,55 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  median,
+  medianAbsoluteDeviation,
+  normalCdf,
+  studentTCdf,
+  twoSidedPValue,
+  benjaminiHochberg,
+} from "../src/utils/statistics.js";
+
+/**
+ * Equal within a tolerance
+ */
+function assertClose(actual, expected, tolerance = 1e-3) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+describe("statistics", () => {
+  it("median and MAD", () => {
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), 0);
+    assert.equal(medianAbsoluteDeviation([1, 1, 2, 2, 4, 6, 9]), 1);
+  });
+
+  it("normal and Student's t CDFs match table values", () => {
+    assertClose(normalCdf(0), 0.5, 1e-6);
+    assertClose(normalCdf(1.645), 0.95);
+    assertClose(normalCdf(-1.96), 0.025);
+    assertClose(studentTCdf(1.812, 10), 0.95);
+    assertClose(studentTCdf(0, 4), 0.5, 1e-6);
+  });
+
+  it("two-sided p-values for z and t statistics", () => {
+    assertClose(twoSidedPValue(1.96), 0.05);
+    assertClose(twoSidedPValue(-3), 0.0027, 1e-4);
+    assertClose(twoSidedPValue(2.228, 10), 0.05);
+    // Fewer degrees of freedom, heavier tails, larger p for the same statistic
+    assert.ok(twoSidedPValue(2, 3) > twoSidedPValue(2));
+    assertClose(twoSidedPValue(1, 1), 0.5);
+  });
+
+  it("Benjamini-Hochberg adjusts in input order and stays monotone", () => {
+    const adjusted = benjaminiHochberg([0.01, 0.04, 0.03, 0.005, 0.5]);
+    [0.025, 0.05, 0.05, 0.025, 0.5].forEach((expected, i) =>
+      assertClose(adjusted[i], expected, 1e-9)
+    );
+    assert.deepEqual(benjaminiHochberg([]), []);
+    assert.ok(benjaminiHochberg([0.9, 0.95]).every((p) => p <= 1));
+  });
+});
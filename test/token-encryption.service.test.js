@@ -0,0 +1,130 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { config } from "../src/config/index.js";
+import { tokenEncryptionService } from "../src/services/token-encryption.service.js";
+
+const KEY_1 = crypto.randomBytes(32).toString("base64");
+const KEY_2 = crypto.randomBytes(32).toString("base64");
+const TOKENS = { accessToken: "ya29.access", refreshToken: "1//refresh" };
+
+describe("tokenEncryptionService", () => {
+  beforeEach(() => {
+    config.tokenEncryption.keys = `1:${KEY_1}`;
+  });
+
+  it("round-trips both tokens without storing them in the clear", () => {
+    const row = tokenEncryptionService.encryptTokens(TOKENS);
+
+    assert.equal(row.token_key_version, 1);
+    assert.notEqual(row.access_token, TOKENS.accessToken);
+    assert.ok(!row.refresh_token.includes(TOKENS.refreshToken));
+    assert.deepEqual(tokenEncryptionService.decryptTokens(row), TOKENS);
+  });
+
+  it("uses a fresh data key and IV for every write", () => {
+    const first = tokenEncryptionService.encryptTokens(TOKENS);
+    const second = tokenEncryptionService.encryptTokens(TOKENS);
+
+    assert.notEqual(first.token_data_key, second.token_data_key);
+    assert.notEqual(first.access_token, second.access_token);
+  });
+
+  it("keeps a missing refresh token null", () => {
+    const row = tokenEncryptionService.encryptTokens({
+      accessToken: "ya29.access",
+      refreshToken: null,
+    });
+
+    assert.equal(row.refresh_token, null);
+    assert.equal(tokenEncryptionService.decryptTokens(row).refreshToken, null);
+  });
+
+  it("rejects ciphertexts swapped between columns", () => {
+    const row = tokenEncryptionService.encryptTokens(TOKENS);
+    const swapped = {
+      ...row,
+      access_token: row.refresh_token,
+      refresh_token: row.access_token,
+    };
+
+    assert.throws(() => tokenEncryptionService.decryptTokens(swapped));
+  });
+
+  it("rejects tampered ciphertexts", () => {
+    const row = tokenEncryptionService.encryptTokens(TOKENS);
+    const bytes = Buffer.from(row.access_token, "base64");
+    bytes[bytes.length - 1] ^= 1;
+
+    assert.throws(() =>
+      tokenEncryptionService.decryptTokens({
+        ...row,
+        access_token: bytes.toString("base64"),
+      })
+    );
+  });
+
+  it("reads rows from before encryption as plaintext", () => {
+    const legacy = {
+      access_token: TOKENS.accessToken,
+      refresh_token: TOKENS.refreshToken,
+      token_data_key: null,
+      token_key_version: null,
+    };
+
+    assert.deepEqual(tokenEncryptionService.decryptTokens(legacy), TOKENS);
+    assert.ok(tokenEncryptionService.needsRotation(legacy));
+  });
+
+  it("rotation re-wraps the data key and leaves the token columns alone", () => {
+    const row = tokenEncryptionService.encryptTokens(TOKENS);
+    config.tokenEncryption.keys = `1:${KEY_1},2:${KEY_2}`;
+
+    assert.ok(tokenEncryptionService.needsRotation(row));
+    const update = tokenEncryptionService.rotateTokens(row);
+    assert.deepEqual(Object.keys(update).sort(), [
+      "token_data_key",
+      "token_key_version",
+    ]);
+    assert.equal(update.token_key_version, 2);
+
+    // Still readable once the old key is dropped from the env
+    config.tokenEncryption.keys = `2:${KEY_2}`;
+    const rotated = { ...row, ...update };
+    assert.deepEqual(tokenEncryptionService.decryptTokens(rotated), TOKENS);
+    assert.ok(!tokenEncryptionService.needsRotation(rotated));
+  });
+
+  it("rotation encrypts plaintext rows", () => {
+    const update = tokenEncryptionService.rotateTokens({
+      access_token: TOKENS.accessToken,
+      refresh_token: TOKENS.refreshToken,
+      token_data_key: null,
+      token_key_version: null,
+    });
+
+    assert.equal(update.token_key_version, 1);
+    assert.deepEqual(tokenEncryptionService.decryptTokens(update), TOKENS);
+  });
+
+  it("fails with a 500 when a row's key version is gone", () => {
+    const row = tokenEncryptionService.encryptTokens(TOKENS);
+    config.tokenEncryption.keys = `2:${KEY_2}`;
+
+    assert.throws(
+      () => tokenEncryptionService.decryptTokens(row),
+      (error) => error.status === 500 && /version 1/.test(error.message)
+    );
+  });
+
+  it("rejects malformed or missing key configuration", () => {
+    config.tokenEncryption.keys = "1:too-short";
+    assert.throws(() => tokenEncryptionService.getKeys(), /32-byte/);
+
+    config.tokenEncryption.keys = "";
+    assert.throws(
+      () => tokenEncryptionService.encryptTokens(TOKENS),
+      (error) => error.status === 500
+    );
+  });
+});